@@ -0,0 +1,11 @@
+from sqlalchemy import Column, Integer, DateTime, Text
+from datetime import datetime
+from database import Base
+
+class AchievementRecord(Base):
+    __tablename__ = "achievements"
+
+    player_id = Column(Integer, primary_key=True)
+    # The player's progress as JSON: achievement_schemas.StoredProgress
+    progress = Column(Text)
+    updated_at = Column(DateTime, default=datetime.utcnow, onupdate=datetime.utcnow)
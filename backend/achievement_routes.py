@@ -0,0 +1,78 @@
+from fastapi import APIRouter, Depends, HTTPException
+from sqlalchemy.orm import Session
+import json
+from database import get_db
+from player_routes import current_player
+import achievement_models, achievement_schemas, player_models
+
+router = APIRouter(prefix="/achievements", tags=["Achievements"])
+
+Progress = achievement_schemas.AchievementProgress
+Stored = achievement_schemas.StoredProgress
+# Each device adds its own counts to the player's totals, so there can't be
+# any number of them
+MAX_DEVICES = 20
+
+def higher(a: dict, b: dict) -> dict:
+    return {key: max(a.get(key, 0), b.get(key, 0)) for key in {*a, *b}}
+
+# A device's counts only ever go up, so the latest are the higher ones
+# (which also makes sending the same counts twice harmless), and the
+# player's totals are their sum across devices. Counts carried over from
+# before devices kept their own were only ever merged by taking the higher,
+# so they still are. best is the most any one run reached, and unlocks are
+# kept from either side, dated from whichever got them first.
+def merge(stored: Stored, incoming: achievement_schemas.AchievementSync) -> Stored:
+    unlocked = dict(stored.unlocked)
+    for key, at in incoming.unlocked.items():
+        if key not in unlocked or at < unlocked[key]:
+            unlocked[key] = at
+    devices = dict(stored.devices)
+    devices[incoming.device] = higher(devices.get(incoming.device, {}), incoming.totals)
+    return Stored(
+        totals=higher(stored.totals, incoming.carried),
+        devices=devices,
+        best=higher(stored.best, incoming.best),
+        unlocked=unlocked,
+    )
+
+def player_progress(stored: Stored) -> Progress:
+    totals = dict(stored.totals)
+    for counts in stored.devices.values():
+        for key, value in counts.items():
+            totals[key] = totals.get(key, 0) + value
+    return Progress(totals=totals, best=stored.best, unlocked=stored.unlocked)
+
+def stored_progress(record) -> Stored:
+    return Stored.model_validate(json.loads(record.progress)) if record else Stored()
+
+@router.get("/", response_model=Progress)
+def get_achievements(
+    player: player_models.PlayerRecord = Depends(current_player),
+    db: Session = Depends(get_db),
+):
+    record = db.query(achievement_models.AchievementRecord).filter(
+        achievement_models.AchievementRecord.player_id == player.id
+    ).first()
+    return player_progress(stored_progress(record))
+
+# Devices send their own counts and get back the player's progress over every device
+@router.put("/", response_model=Progress)
+def sync_achievements(
+    progress: achievement_schemas.AchievementSync,
+    player: player_models.PlayerRecord = Depends(current_player),
+    db: Session = Depends(get_db),
+):
+    record = db.query(achievement_models.AchievementRecord).filter(
+        achievement_models.AchievementRecord.player_id == player.id
+    ).first()
+    stored = stored_progress(record)
+    if progress.device not in stored.devices and len(stored.devices) >= MAX_DEVICES:
+        raise HTTPException(status_code=409, detail=f"Achievements are already kept for {MAX_DEVICES} devices")
+    merged = merge(stored, progress)
+    if record is None:
+        record = achievement_models.AchievementRecord(player_id=player.id)
+        db.add(record)
+    record.progress = merged.model_dump_json()
+    db.commit()
+    return player_progress(merged)
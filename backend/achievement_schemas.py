@@ -0,0 +1,61 @@
+from pydantic import BaseModel, Field, field_validator
+from typing import Dict
+import re
+
+# Counter and achievement ids are the client's; the server only keeps them tidy
+KEY_PATTERN = re.compile(r"^[A-Za-z0-9_]{1,40}$")
+DEVICE_PATTERN = r"^[A-Za-z0-9_-]{8,64}$"
+MAX_KEYS = 100
+
+def check_keys(values: dict) -> dict:
+    if len(values) > MAX_KEYS:
+        raise ValueError(f"at most {MAX_KEYS} entries")
+    for key in values:
+        if not KEY_PATTERN.match(key):
+            raise ValueError(f"invalid key {key!r}")
+    return values
+
+def check_counters(values: dict) -> dict:
+    check_keys(values)
+    if any(value < 0 for value in values.values()):
+        raise ValueError("counters can't be negative")
+    return values
+
+class AchievementProgress(BaseModel):
+    # Running counts over every run
+    totals: Dict[str, int] = {}
+    # The most reached in any one run
+    best: Dict[str, int] = {}
+    # Achievement id -> when it was first unlocked (ISO 8601, as the client sent it)
+    unlocked: Dict[str, str] = {}
+
+    @field_validator("totals", "best")
+    @classmethod
+    def check_counters(cls, values):
+        return check_counters(values)
+
+    @field_validator("unlocked")
+    @classmethod
+    def check_unlocked(cls, values):
+        check_keys(values)
+        if any(len(at) > 40 for at in values.values()):
+            raise ValueError("invalid unlock time")
+        return values
+
+# What a device sends: its own running counts in totals (every run it has
+# banked since it started keeping them, so they only ever go up), with best
+# and unlocked as in AchievementProgress
+class AchievementSync(AchievementProgress):
+    device: str = Field(pattern=DEVICE_PATTERN)
+    # The totals the device already had before it kept its own counts
+    carried: Dict[str, int] = {}
+
+    @field_validator("carried")
+    @classmethod
+    def check_carried(cls, values):
+        return check_counters(values)
+
+# As stored: each device's latest running counts, summed for the player's
+# totals on top of totals, the counts from before devices kept their own
+class StoredProgress(AchievementProgress):
+    devices: Dict[str, Dict[str, int]] = {}
@@ -0,0 +1,12 @@
+from sqlalchemy import Column, Integer, String, DateTime, Text
+from datetime import datetime
+from database import Base
+
+class LevelRecord(Base):
+    __tablename__ = "levels"
+
+    id = Column(Integer, primary_key=True, index=True)
+    name = Column(String, index=True)
+    # The level JSON exactly as the editor exported it
+    data = Column(Text)
+    created_at = Column(DateTime, default=datetime.utcnow)
@@ -0,0 +1,38 @@
+from fastapi import APIRouter, Depends, HTTPException
+from sqlalchemy.orm import Session
+from typing import List
+import json
+from database import get_db
+import level_models, level_schemas
+
+router = APIRouter(prefix="/levels", tags=["Levels"])
+
+def to_response(record: level_models.LevelRecord):
+    return level_schemas.LevelResponse(
+        id=record.id,
+        name=record.name,
+        created_at=record.created_at,
+        data=json.loads(record.data)
+    )
+
+@router.post("/", response_model=level_schemas.LevelResponse)
+def upload_level(level: level_schemas.LevelCreate, db: Session = Depends(get_db)):
+    db_level = level_models.LevelRecord(
+        name=level.data.name.strip() or "Untitled",
+        data=json.dumps(level.data.model_dump())
+    )
+    db.add(db_level)
+    db.commit()
+    db.refresh(db_level)
+    return to_response(db_level)
+
+@router.get("/", response_model=List[level_schemas.LevelSummary])
+def list_levels(limit: int = 50, db: Session = Depends(get_db)):
+    return db.query(level_models.LevelRecord).order_by(level_models.LevelRecord.created_at.desc()).limit(limit).all()
+
+@router.get("/{level_id}", response_model=level_schemas.LevelResponse)
+def get_level(level_id: int, db: Session = Depends(get_db)):
+    record = db.query(level_models.LevelRecord).filter(level_models.LevelRecord.id == level_id).first()
+    if record is None:
+        raise HTTPException(status_code=404, detail="Level not found")
+    return to_response(record)
@@ -0,0 +1,86 @@
+from pydantic import BaseModel, Field, field_validator, model_validator
+from datetime import datetime
+from typing import Any, Dict, List, Literal, Tuple
+
+# Mirrors TILES in frontend/src/game/constants.js
+TILE_CHARS = set(".#=^")
+MAX_LEVEL_TILES = 200 * 60
+# Mirrors ENEMY_TYPES in frontend/src/game/enemies; bosses are added by the game
+WAVE_ENEMIES = {"grunt", "jumper", "flyer", "shielded"}
+
+# The same checks as validateLevel in frontend/src/game/levels, so nothing is
+# stored that the game can't load
+class Wave(BaseModel):
+    enemies: Dict[str, int]
+    sides: List[Literal["left", "right"]] = Field(min_length=1)
+    spawnInterval: int = Field(gt=0)
+    # [min, max] multiplier on an enemy's base speed
+    speed: Tuple[float, float]
+
+    class Config:
+        extra = "allow"
+
+    @field_validator("enemies")
+    @classmethod
+    def check_enemies(cls, enemies):
+        if not enemies:
+            raise ValueError("a wave needs at least one enemy")
+        if set(enemies) - WAVE_ENEMIES:
+            raise ValueError("unknown enemy type")
+        if any(count < 1 for count in enemies.values()):
+            raise ValueError("enemy counts must be at least 1")
+        return enemies
+
+    @field_validator("speed")
+    @classmethod
+    def check_speed(cls, speed):
+        if not 0 < speed[0] <= speed[1]:
+            raise ValueError("speed must be [min, max] with 0 < min <= max")
+        return speed
+
+class Spawn(BaseModel):
+    x: int
+    y: int
+
+class LevelData(BaseModel):
+    id: str = Field(min_length=1)
+    name: str
+    tileSize: int = Field(ge=8)
+    spawn: Spawn
+    tiles: List[str]
+    waves: List[Wave] = []
+
+    # Keep any fields newer editors add
+    class Config:
+        extra = "allow"
+
+    @field_validator("tiles")
+    @classmethod
+    def check_tiles(cls, tiles):
+        if not tiles or any(len(row) != len(tiles[0]) for row in tiles):
+            raise ValueError("tile rows must all be the same length")
+        if len(tiles) * len(tiles[0]) > MAX_LEVEL_TILES:
+            raise ValueError("level is too large")
+        if any(set(row) - TILE_CHARS for row in tiles):
+            raise ValueError("unknown tile character")
+        return tiles
+
+    @model_validator(mode="after")
+    def check_spawn(self):
+        if not (0 <= self.spawn.x < len(self.tiles[0]) and 0 <= self.spawn.y < len(self.tiles)):
+            raise ValueError("spawn must be a tile inside the level")
+        return self
+
+class LevelCreate(BaseModel):
+    data: LevelData
+
+class LevelSummary(BaseModel):
+    id: int
+    name: str
+    created_at: datetime
+
+    class Config:
+        from_attributes = True
+
+class LevelResponse(LevelSummary):
+    data: Dict[str, Any]
@@ -1,10 +1,15 @@
 from fastapi import FastAPI
 from fastapi.middleware.cors import CORSMiddleware
-from database import engine, Base
+from database import engine, Base, add_missing_columns
 import score_routes
+import level_routes
+import player_routes
+import room_routes
+import achievement_routes
 
 # Create tables
 Base.metadata.create_all(bind=engine)
+add_missing_columns()
 
 app = FastAPI(title="Killer Bean Game API")
 
@@ -18,6 +23,10 @@ app.add_middleware(
 )
 
 app.include_router(score_routes.router)
+app.include_router(level_routes.router)
+app.include_router(player_routes.router)
+app.include_router(room_routes.router)
+app.include_router(achievement_routes.router)
 
 @app.get("/")
 def root():
@@ -0,0 +1,83 @@
+from fastapi import APIRouter, Depends, HTTPException
+from fastapi.security import HTTPBearer, HTTPAuthorizationCredentials
+from sqlalchemy import func
+from sqlalchemy.orm import Session
+from typing import Optional
+import hashlib
+import secrets
+from database import get_db
+import player_models, player_schemas, score_models, score_schemas
+
+router = APIRouter(prefix="/players", tags=["Players"])
+
+HISTORY_LIMIT = 100
+bearer = HTTPBearer(auto_error=False)
+
+def hash_token(token: str) -> str:
+    return hashlib.sha256(token.encode()).hexdigest()
+
+def player_for_token(db: Session, token: str) -> Optional[player_models.PlayerRecord]:
+    return db.query(player_models.PlayerRecord).filter(
+        player_models.PlayerRecord.token_hash == hash_token(token)
+    ).first()
+
+def current_player(
+    credentials: Optional[HTTPAuthorizationCredentials] = Depends(bearer),
+    db: Session = Depends(get_db),
+) -> player_models.PlayerRecord:
+    # Scores can only be submitted by a known player
+    if credentials is None:
+        raise HTTPException(status_code=401, detail="Sign in to submit scores")
+    player = player_for_token(db, credentials.credentials)
+    if player is None:
+        raise HTTPException(status_code=401, detail="Unknown player token")
+    return player
+
+@router.post("/", response_model=player_schemas.PlayerSession)
+def create_player(player: player_schemas.PlayerCreate, db: Session = Depends(get_db)):
+    taken = db.query(player_models.PlayerRecord).filter(
+        func.lower(player_models.PlayerRecord.name) == player.name.lower()
+    ).first()
+    if taken is not None:
+        raise HTTPException(status_code=409, detail="That name is taken")
+
+    token = secrets.token_urlsafe(32)
+    db_player = player_models.PlayerRecord(name=player.name, token_hash=hash_token(token))
+    db.add(db_player)
+    db.commit()
+    db.refresh(db_player)
+    return player_schemas.PlayerSession(
+        token=token, **player_schemas.PlayerResponse.model_validate(db_player).model_dump()
+    )
+
+@router.get("/me", response_model=player_schemas.PlayerResponse)
+def get_me(player: player_models.PlayerRecord = Depends(current_player)):
+    return player
+
+@router.get("/{player_id}", response_model=player_schemas.PlayerProfile)
+def get_profile(player_id: int, db: Session = Depends(get_db)):
+    player = db.query(player_models.PlayerRecord).filter(player_models.PlayerRecord.id == player_id).first()
+    if player is None:
+        raise HTTPException(status_code=404, detail="Player not found")
+
+    scores = db.query(score_models.ScoreRecord).filter(score_models.ScoreRecord.player_id == player_id)
+    records = (
+        scores
+        .order_by(score_models.ScoreRecord.created_at.desc())
+        .limit(HISTORY_LIMIT)
+        .all()
+    )
+    history = [score_schemas.ScoreResponse.model_validate(record) for record in reversed(records)]
+    with_stats = [run.stats for run in history if run.stats is not None]
+    shots = sum(stats.shots_fired for stats in with_stats)
+
+    return player_schemas.PlayerProfile(
+        player=player_schemas.PlayerResponse.model_validate(player),
+        runs=scores.count(),
+        best_score=scores.with_entities(func.max(score_models.ScoreRecord.score)).scalar() or 0,
+        total_kills=sum(stats.kills for stats in with_stats),
+        time_played=sum(stats.time_survived for stats in with_stats),
+        best_combo=max((stats.max_combo for stats in with_stats), default=0),
+        accuracy=round(sum(stats.shots_hit for stats in with_stats) * 100 / shots) if shots else 0,
+        history=[player_schemas.ProfileRun(**run.model_dump()) for run in history],
+    )
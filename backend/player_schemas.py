@@ -0,0 +1,52 @@
+from pydantic import BaseModel, field_validator
+from datetime import datetime
+from typing import List, Optional
+import re
+from score_schemas import RunStats, Mode
+
+NAME_PATTERN = re.compile(r"^[A-Za-z0-9 _-]{2,15}$")
+
+class PlayerCreate(BaseModel):
+    name: str
+
+    @field_validator("name")
+    @classmethod
+    def check_name(cls, name):
+        name = " ".join(name.split())
+        if not NAME_PATTERN.match(name):
+            raise ValueError("names are 2-15 letters, digits, spaces, _ or -")
+        return name
+
+class PlayerResponse(BaseModel):
+    id: int
+    name: str
+    created_at: datetime
+
+    class Config:
+        from_attributes = True
+
+# Only returned once, when the player is created
+class PlayerSession(PlayerResponse):
+    token: str
+
+class ProfileRun(BaseModel):
+    id: int
+    score: int
+    wave: Optional[int] = None
+    level: Optional[str] = None
+    mode: Mode = "solo"
+    assisted: bool = False
+    stats: Optional[RunStats] = None
+    created_at: datetime
+
+class PlayerProfile(BaseModel):
+    player: PlayerResponse
+    runs: int
+    best_score: int
+    total_kills: int
+    time_played: int  # seconds
+    best_combo: int
+    # Shots that hit across every run with stats, as a percent
+    accuracy: int
+    # Oldest first
+    history: List[ProfileRun]
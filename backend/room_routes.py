@@ -0,0 +1,181 @@
+from fastapi import APIRouter, Depends, HTTPException, WebSocket, WebSocketDisconnect
+from sqlalchemy.orm import Session
+from typing import Dict, List, Optional
+from datetime import datetime, timedelta
+import json
+import secrets
+from database import get_db
+from player_routes import current_player, player_for_token
+import player_models, room_schemas
+
+router = APIRouter(prefix="/rooms", tags=["Rooms"])
+
+# Online co-op. The server only pairs players up and relays their inputs;
+# both browsers run the same deterministic simulation from the room's seed
+# (lockstep with rollback, see frontend/src/game/netplay.js). Rooms live in
+# memory, so a restart ends every game in progress.
+ROOM_SIZE = 2
+CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"
+CODE_LENGTH = 5
+# Rooms nobody has connected to in this long are dropped
+ROOM_IDLE = timedelta(minutes=10)
+# Mirrors PLAYER_INPUT_BITS in frontend/src/game/constants.js
+MAX_MASK = (1 << 4) - 1
+MAX_TICK = 60 * 60 * 60
+
+# WebSocket close codes (4000-4999 are free for applications)
+CLOSE_UNKNOWN_PLAYER = 4001
+CLOSE_ROOM_FULL = 4003
+CLOSE_NO_ROOM = 4004
+
+class Room:
+    def __init__(self, code: str, host: str, level: str, difficulty: str):
+        self.code = code
+        self.host = host
+        self.level = level
+        self.difficulty = difficulty
+        self.seed = secrets.randbits(32)
+        self.sockets: List[Optional[WebSocket]] = [None] * ROOM_SIZE
+        self.players: List[Optional[str]] = [None] * ROOM_SIZE
+        self.started = False
+        self.created_at = datetime.utcnow()
+
+    @property
+    def is_empty(self):
+        return all(socket is None for socket in self.sockets)
+
+    @property
+    def is_open(self):
+        return not self.started and None in self.sockets
+
+    def summary(self):
+        return room_schemas.RoomResponse(
+            code=self.code,
+            host=self.host,
+            level=self.level,
+            difficulty=self.difficulty,
+            players=[name for name in self.players if name],
+            size=ROOM_SIZE,
+            started=self.started,
+            created_at=self.created_at,
+        )
+
+    async def broadcast(self, message: dict, skip: Optional[int] = None):
+        for slot, socket in enumerate(self.sockets):
+            if socket is None or slot == skip:
+                continue
+            try:
+                await socket.send_json(message)
+            except (WebSocketDisconnect, RuntimeError):
+                # That socket's own handler is already cleaning up
+                pass
+
+rooms: Dict[str, Room] = {}
+
+def prune_rooms():
+    cutoff = datetime.utcnow() - ROOM_IDLE
+    for code in [code for code, room in rooms.items() if room.is_empty and room.created_at < cutoff]:
+        del rooms[code]
+
+def new_code():
+    while True:
+        code = "".join(secrets.choice(CODE_CHARS) for _ in range(CODE_LENGTH))
+        if code not in rooms:
+            return code
+
+def get_room(code: str) -> Room:
+    room = rooms.get(code.upper())
+    if room is None:
+        raise HTTPException(status_code=404, detail="Room not found")
+    return room
+
+# {"type": "input", "tick": int, "mask": int} -> (tick, mask), or None if malformed
+def parse_input(text: str):
+    try:
+        message = json.loads(text)
+    except ValueError:
+        return None
+    if not isinstance(message, dict) or message.get("type") != "input":
+        return None
+    tick, mask = message.get("tick"), message.get("mask")
+    if type(tick) is not int or type(mask) is not int:
+        return None
+    if not (0 <= tick <= MAX_TICK and 0 <= mask <= MAX_MASK):
+        return None
+    return tick, mask
+
+@router.post("/", response_model=room_schemas.RoomResponse)
+def create_room(room: room_schemas.RoomCreate, player: player_models.PlayerRecord = Depends(current_player)):
+    prune_rooms()
+    created = Room(new_code(), player.name, room.level, room.difficulty)
+    rooms[created.code] = created
+    return created.summary()
+
+# Rooms still waiting for players
+@router.get("/", response_model=List[room_schemas.RoomResponse])
+def list_rooms():
+    prune_rooms()
+    open_rooms = sorted((room for room in rooms.values() if room.is_open), key=lambda room: room.created_at, reverse=True)
+    return [room.summary() for room in open_rooms]
+
+@router.get("/{code}", response_model=room_schemas.RoomResponse)
+def get_room_summary(code: str):
+    return get_room(code).summary()
+
+# Browsers can't set headers on a WebSocket, so the player's token comes in
+# the query string. Server -> client messages:
+#   joined {slot}                     you're in, as player slot + 1
+#   lobby {players}                   who's in the room
+#   start {seed, level, difficulty, mode, players}
+#   input {slot, tick, mask}          another player's input for a tick
+#   left {slot}                       that player disconnected
+# Client -> server: input {tick, mask} for the sender's own slot.
+@router.websocket("/{code}/ws")
+async def room_socket(websocket: WebSocket, code: str, token: str = "", db: Session = Depends(get_db)):
+    await websocket.accept()
+    # Accept first and then close, so the browser gets the reason
+    player = player_for_token(db, token)
+    if player is None:
+        await websocket.close(code=CLOSE_UNKNOWN_PLAYER, reason="Sign in to play online")
+        return
+    room = rooms.get(code.upper())
+    if room is None:
+        await websocket.close(code=CLOSE_NO_ROOM, reason="Room not found")
+        return
+    if not room.is_open:
+        await websocket.close(code=CLOSE_ROOM_FULL, reason="That game has already started")
+        return
+
+    slot = room.sockets.index(None)
+    room.sockets[slot] = websocket
+    room.players[slot] = player.name
+    await websocket.send_json({"type": "joined", "slot": slot})
+    await room.broadcast({"type": "lobby", "players": room.players})
+    if None not in room.sockets:
+        room.started = True
+        await room.broadcast({
+            "type": "start",
+            "seed": room.seed,
+            "level": room.level,
+            "difficulty": room.difficulty,
+            "mode": "coop",
+            "players": room.players,
+        })
+
+    try:
+        while True:
+            parsed = parse_input(await websocket.receive_text())
+            if parsed is not None and room.started:
+                tick, mask = parsed
+                await room.broadcast({"type": "input", "slot": slot, "tick": tick, "mask": mask}, skip=slot)
+    except WebSocketDisconnect:
+        pass
+    finally:
+        room.sockets[slot] = None
+        if not room.started:
+            room.players[slot] = None
+        await room.broadcast({"type": "left", "slot": slot})
+        if not room.started:
+            await room.broadcast({"type": "lobby", "players": room.players})
+        if room.is_empty:
+            rooms.pop(room.code, None)
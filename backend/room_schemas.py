@@ -0,0 +1,19 @@
+from pydantic import BaseModel, Field
+from datetime import datetime
+from typing import List
+from score_schemas import Difficulty
+
+class RoomCreate(BaseModel):
+    level: str = Field("arena", max_length=40)
+    difficulty: Difficulty = "normal"
+
+class RoomResponse(BaseModel):
+    code: str
+    host: str
+    level: str
+    difficulty: Difficulty
+    # Names of the players connected so far
+    players: List[str]
+    size: int
+    started: bool
+    created_at: datetime
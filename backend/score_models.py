@@ -1,4 +1,4 @@
-from sqlalchemy import Column, Integer, String, DateTime
+from sqlalchemy import Column, Integer, String, DateTime, Text, Boolean, UniqueConstraint
 from datetime import datetime
 from database import Base
 
@@ -6,6 +6,47 @@ class ScoreRecord(Base):
     __tablename__ = "leaderboard"
 
     id = Column(Integer, primary_key=True, index=True)
+    player_id = Column(Integer, index=True)
+    # Copied from the player so the leaderboard needs no join
     player_name = Column(String, index=True)
     score = Column(Integer, default=0)
-    created_at = Column(DateTime, default=datetime.utcnow)
\ No newline at end of file
+    wave = Column(Integer, default=0)
+    created_at = Column(DateTime, default=datetime.utcnow)
+    seed = Column(Integer)
+    difficulty = Column(String, default="normal")
+    level = Column(String, default="arena")
+    mode = Column(String, default="solo", index=True)
+    # Date of the daily challenge, for runs on its board
+    daily = Column(String, index=True)
+    # Played with assist mode on; shown on the boards, not kept off them
+    assisted = Column(Boolean, default=False)
+    stats = Column(Text)
+    engine_version = Column(Integer)
+    ticks = Column(Integer)
+    inputs = Column(Text)
+    # sha256 of what decides how the run plays out, so each run is only ever
+    # saved once (see score_routes.run_hash). Older scores have none.
+    run_hash = Column(String, unique=True, index=True)
+
+# The seed ranked runs at that day's challenge use. It's drawn at random the
+# first time anyone starts one and never sent until they do, so practice on
+# the public seed can't rehearse the ranked run.
+class DailySeedRecord(Base):
+    __tablename__ = "daily_seeds"
+
+    daily = Column(String, primary_key=True)
+    seed = Column(Integer)
+
+# A player's one ranked attempt at a daily challenge, issued when they start
+# it. Their daily score has to match it, and only one score ever does.
+class DailyAttemptRecord(Base):
+    __tablename__ = "daily_attempts"
+    __table_args__ = (UniqueConstraint("player_id", "daily"),)
+
+    id = Column(Integer, primary_key=True, index=True)
+    player_id = Column(Integer, index=True)
+    daily = Column(String, index=True)
+    seed = Column(Integer)
+    started_at = Column(DateTime, default=datetime.utcnow)
+    # Set once the attempt's score is saved
+    score_id = Column(Integer)
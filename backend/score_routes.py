@@ -1,25 +1,219 @@
-from fastapi import APIRouter, Depends, HTTPException
+from fastapi import APIRouter, Depends, HTTPException, Path, Query
+from sqlalchemy import or_, and_
+from sqlalchemy.exc import IntegrityError
 from sqlalchemy.orm import Session
-from typing import List
+from typing import List, Literal, Optional
+from datetime import datetime, timedelta
+import hashlib
+import json
+import secrets
 from database import get_db
-import score_models, score_schemas
+from score_verification import verify_score, RunVerificationError, VerifierUnavailableError
+from player_routes import current_player
+import player_models, score_models, score_schemas
 
 router = APIRouter(prefix="/scores", tags=["Scores"])
 
+Period = Literal["daily", "weekly", "all"]
+# Rolling windows rather than calendar ones, so there's no timezone to agree on
+PERIOD_LENGTHS = {"daily": timedelta(days=1), "weekly": timedelta(days=7)}
+
+Score = score_models.ScoreRecord
+DailyAttempt = score_models.DailyAttemptRecord
+# A ranked daily run can't have been played faster than real time since its
+# attempt was started; this covers the clocks and the request either end
+ATTEMPT_SLACK = timedelta(seconds=5)
+# Mirrors TICK_RATE in frontend/src/game/constants.js
+TICKS_PER_SECOND = 60
+
+# Today's daily challenge and yesterday's, so a run started just before
+# midnight UTC still counts once it's over
+def open_dailies():
+    today = datetime.utcnow().date()
+    return {today.isoformat(), (today - timedelta(days=1)).isoformat()}
+
+# Everything that decides how a run plays out. Two submissions with the same
+# hash are the same run, however they're labelled otherwise. inputs are the
+# verifier's normalised ones, so padding the log doesn't make a new run.
+def run_hash(run: score_schemas.RunPayload, inputs: list) -> str:
+    played = [run.seed, run.level, run.mode, run.difficulty, run.daily, inputs]
+    return hashlib.sha256(json.dumps(played, separators=(",", ":")).encode()).hexdigest()
+
+# mode None means every mode on one board. Daily challenge runs have
+# modifiers, so they're only ever ranked against the same day's challenge.
+def scores_in(db: Session, period: Period, mode: Optional[score_schemas.Mode] = None, daily: Optional[str] = None):
+    query = db.query(Score).filter(Score.daily == daily if daily else Score.daily.is_(None))
+    if period in PERIOD_LENGTHS:
+        query = query.filter(Score.created_at >= datetime.utcnow() - PERIOD_LENGTHS[period])
+    if mode == "solo":
+        # Scores from before modes existed have none, and were all solo
+        query = query.filter(or_(Score.mode == mode, Score.mode.is_(None)))
+    elif mode:
+        query = query.filter(Score.mode == mode)
+    return query
+
+# Highest score first; ties go to whoever got there first
+def ranked(query):
+    return query.order_by(Score.score.desc(), Score.id.asc())
+
+def with_ranks(records, first_rank: int):
+    return [
+        score_schemas.RankedScore(rank=first_rank + i, **score_schemas.ScoreResponse.model_validate(record).model_dump())
+        for i, record in enumerate(records)
+    ]
+
 @router.post("/", response_model=score_schemas.ScoreResponse)
-def submit_score(score: score_schemas.ScoreCreate, db: Session = Depends(get_db)):
+def submit_score(
+    score: score_schemas.ScoreCreate,
+    player: player_models.PlayerRecord = Depends(current_player),
+    db: Session = Depends(get_db),
+):
     if score.score < 0:
         raise HTTPException(status_code=400, detail="Score cannot be negative")
-    
+
+    daily = score.run.daily
+    attempt = None
+    if daily is not None:
+        if daily not in open_dailies():
+            raise HTTPException(status_code=400, detail="That daily challenge is closed")
+        attempt = db.query(DailyAttempt).filter(DailyAttempt.player_id == player.id, DailyAttempt.daily == daily).first()
+        if attempt is None:
+            raise HTTPException(status_code=400, detail="No ranked attempt was started at this daily challenge")
+        if attempt.score_id is not None:
+            raise HTTPException(status_code=409, detail="You've already had your ranked attempt at this daily challenge")
+        if score.run.seed != attempt.seed:
+            raise HTTPException(status_code=400, detail="Run is not the ranked attempt that was started")
+        played_for = timedelta(seconds=score.run.ticks / TICKS_PER_SECOND)
+        if datetime.utcnow() - attempt.started_at + ATTEMPT_SLACK < played_for:
+            raise HTTPException(status_code=400, detail="Run is longer than the time since its attempt was started")
+
+    try:
+        outcome = verify_score(score.score, score.run.model_dump(), score.stats and score.stats.model_dump())
+    except VerifierUnavailableError as exc:
+        raise HTTPException(status_code=503, detail=str(exc))
+    except RunVerificationError as exc:
+        raise HTTPException(status_code=422, detail=str(exc))
+    if outcome is None:
+        raise HTTPException(status_code=400, detail="Score or stats do not match the submitted run")
+
+    digest = run_hash(score.run, outcome["inputs"])
+    if db.query(Score).filter(Score.run_hash == digest).first() is not None:
+        raise HTTPException(status_code=409, detail="That run has already been submitted")
+
     db_score = score_models.ScoreRecord(
-        player_name=score.player_name or "Anonymous Bean",
-        score=score.score
+        player_id=player.id,
+        player_name=player.name,
+        score=score.score,
+        wave=outcome["wave"],
+        seed=score.run.seed,
+        difficulty=score.run.difficulty,
+        level=score.run.level,
+        mode=score.run.mode,
+        daily=daily,
+        assisted=score.run.assisted,
+        # Always the server's own numbers, not the client's
+        stats=json.dumps(outcome["stats"]),
+        engine_version=score.run.engine_version,
+        ticks=score.run.ticks,
+        inputs=json.dumps(score.run.inputs),
+        run_hash=digest
     )
     db.add(db_score)
+    try:
+        db.flush()
+    except IntegrityError:
+        # The same run submitted twice at once; the other one got in first
+        db.rollback()
+        raise HTTPException(status_code=409, detail="That run has already been submitted")
+    if attempt is not None:
+        attempt.score_id = db_score.id
     db.commit()
     db.refresh(db_score)
     return db_score
 
+def daily_seed(db: Session, daily: str):
+    return db.query(score_models.DailySeedRecord).filter(score_models.DailySeedRecord.daily == daily).first()
+
+# Starts the player's one ranked attempt at a daily challenge and hands out
+# the day's ranked seed. Quitting or losing the run doesn't give it back.
+@router.post("/daily/{daily}/start", response_model=score_schemas.DailyAttempt)
+def start_daily_attempt(
+    daily: str = Path(..., pattern=score_schemas.DAILY_PATTERN),
+    player: player_models.PlayerRecord = Depends(current_player),
+    db: Session = Depends(get_db),
+):
+    if daily not in open_dailies():
+        raise HTTPException(status_code=400, detail="That daily challenge is closed")
+    existing = db.query(DailyAttempt).filter(DailyAttempt.player_id == player.id, DailyAttempt.daily == daily).first()
+    if existing is not None:
+        raise HTTPException(status_code=409, detail="You've already had your ranked attempt at this daily challenge")
+
+    day = daily_seed(db, daily)
+    if day is None:
+        day = score_models.DailySeedRecord(daily=daily, seed=secrets.randbits(32))
+        db.add(day)
+        try:
+            db.commit()
+        except IntegrityError:
+            # Someone else started the day's first attempt at the same moment
+            db.rollback()
+            day = daily_seed(db, daily)
+    attempt = DailyAttempt(player_id=player.id, daily=daily, seed=day.seed)
+    db.add(attempt)
+    try:
+        db.commit()
+    except IntegrityError:
+        # The same player starting twice at once; the other one got in first
+        db.rollback()
+        raise HTTPException(status_code=409, detail="You've already had your ranked attempt at this daily challenge")
+    db.refresh(attempt)
+    return attempt
+
 @router.get("/top", response_model=List[score_schemas.ScoreResponse])
 def get_top_scores(limit: int = 10, db: Session = Depends(get_db)):
-    return db.query(score_models.ScoreRecord).order_by(score_models.ScoreRecord.score.desc()).limit(limit).all()
\ No newline at end of file
+    return ranked(scores_in(db, "all")).limit(limit).all()
+
+@router.get("/", response_model=score_schemas.ScorePage)
+def list_scores(
+    period: Period = "all",
+    mode: Optional[score_schemas.Mode] = None,
+    daily: Optional[str] = Query(None, pattern=score_schemas.DAILY_PATTERN),
+    offset: int = Query(0, ge=0),
+    limit: int = Query(10, ge=1, le=100),
+    db: Session = Depends(get_db),
+):
+    query = scores_in(db, period, mode, daily)
+    records = ranked(query).offset(offset).limit(limit).all()
+    return score_schemas.ScorePage(
+        scores=with_ranks(records, offset + 1),
+        total=query.count(),
+        offset=offset,
+        limit=limit,
+    )
+
+@router.get("/{score_id}/rank", response_model=score_schemas.ScoreRank)
+def get_score_rank(
+    score_id: int,
+    period: Period = "all",
+    mode: Optional[score_schemas.Mode] = None,
+    daily: Optional[str] = Query(None, pattern=score_schemas.DAILY_PATTERN),
+    around: int = Query(2, ge=0, le=10),
+    db: Session = Depends(get_db),
+):
+    query = scores_in(db, period, mode, daily)
+    record = query.filter(Score.id == score_id).first()
+    if record is None:
+        raise HTTPException(status_code=404, detail="Score not found on this board")
+
+    ahead = query.filter(or_(
+        Score.score > record.score,
+        and_(Score.score == record.score, Score.id < record.id),
+    )).count()
+    rank = ahead + 1
+    first = max(0, ahead - around)
+    neighbors = ranked(query).offset(first).limit(ahead - first + around + 1).all()
+    return score_schemas.ScoreRank(
+        rank=rank,
+        total=query.count(),
+        scores=with_ranks(neighbors, first + 1),
+    )
\ No newline at end of file
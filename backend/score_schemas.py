@@ -1,15 +1,106 @@
-from pydantic import BaseModel
+from pydantic import BaseModel, Field, field_validator
+import json
 from datetime import datetime
+from typing import List, Literal, Optional
 
+# Mirrors DIFFICULTIES in frontend/src/game/simulation.js
+Difficulty = Literal["easy", "normal", "hard"]
+# solo, two-player co-op (one shared score), or two-player versus (the winner's score)
+Mode = Literal["solo", "coop", "versus"]
+# A daily challenge is named by its UTC date
+DAILY_PATTERN = r"^\d{4}-\d{2}-\d{2}$"
+
+# The game's RNG takes a uint32 seed
+MAX_SEED = 2**32 - 1
+
+class RunPayload(BaseModel):
+    seed: int = Field(ge=0, le=MAX_SEED)
+    difficulty: Difficulty = "normal"
+    level: str = "arena"
+    mode: Mode = "solo"
+    # Set on the one ranked attempt a player gets at that day's challenge,
+    # which has to be started first (POST /scores/daily/<date>/start)
+    daily: Optional[str] = Field(None, pattern=DAILY_PATTERN)
+    # Assist mode (slower speed or auto-fire) was on. The game speed never
+    # reaches the recording, so this is the client's word.
+    assisted: bool = False
+    engine_version: int
+    ticks: int
+    # [[tick, input_mask], ...] recorded only where the input changed
+    inputs: List[List[int]]
+
+class RunStats(BaseModel):
+    kills: int
+    shots_fired: int
+    shots_hit: int
+    accuracy: int  # percent
+    time_survived: int  # seconds
+    max_combo: int
+    airborne_kills: int
+    multi_kills: int
+    wave: int
+
+# The player comes from the Authorization header
 class ScoreCreate(BaseModel):
-    player_name: str
     score: int
+    run: RunPayload
+    # Checked against the re-simulated run when given
+    stats: Optional[RunStats] = None
 
 class ScoreResponse(BaseModel):
     id: int
+    player_id: Optional[int] = None
     player_name: str
     score: int
+    wave: Optional[int] = None
+    level: Optional[str] = None
+    mode: Mode = "solo"
+    daily: Optional[str] = None
+    assisted: bool = False
+    stats: Optional[RunStats] = None
     created_at: datetime
 
+    # Stored as JSON text
+    @field_validator("stats", mode="before")
+    @classmethod
+    def parse_stats(cls, value):
+        return json.loads(value) if isinstance(value, str) else value
+
+    # Scores from before modes existed are all solo
+    @field_validator("mode", mode="before")
+    @classmethod
+    def default_mode(cls, value):
+        return value or "solo"
+
+    # Likewise, scores from before assist mode weren't assisted
+    @field_validator("assisted", mode="before")
+    @classmethod
+    def default_assisted(cls, value):
+        return bool(value)
+
+    class Config:
+        from_attributes = True
+
+# A started ranked attempt at a daily challenge, with the seed to play it on
+class DailyAttempt(BaseModel):
+    daily: str
+    seed: int
+    started_at: datetime
+
     class Config:
-        from_attributes = True
\ No newline at end of file
+        from_attributes = True
+
+class RankedScore(ScoreResponse):
+    rank: int
+
+class ScorePage(BaseModel):
+    scores: List[RankedScore]
+    total: int
+    offset: int
+    limit: int
+
+class ScoreRank(BaseModel):
+    rank: int
+    total: int
+    # The score itself with a few entries either side
+    scores: List[RankedScore]
@@ -0,0 +1,46 @@
+import json
+import os
+import subprocess
+
+# The run is replayed by the game's own simulation module, so the server
+# applies exactly the same rules as the browser did.
+NODE_BIN = os.getenv("NODE_BIN", "node")
+VERIFIER_SCRIPT = os.getenv(
+    "RUN_VERIFIER_SCRIPT",
+    os.path.join(os.path.dirname(os.path.abspath(__file__)), "..", "frontend", "scripts", "verify-run.js"),
+)
+VERIFY_TIMEOUT_SECONDS = 10
+
+class RunVerificationError(Exception):
+    pass
+
+class VerifierUnavailableError(RunVerificationError):
+    pass
+
+def simulate_run(run: dict) -> dict:
+    try:
+        result = subprocess.run(
+            [NODE_BIN, VERIFIER_SCRIPT],
+            input=json.dumps(run),
+            capture_output=True,
+            text=True,
+            timeout=VERIFY_TIMEOUT_SECONDS,
+        )
+    except OSError as exc:
+        raise VerifierUnavailableError(f"Run verifier unavailable: {exc}")
+    except subprocess.TimeoutExpired:
+        raise RunVerificationError("Run took too long to verify")
+
+    if result.returncode != 0:
+        raise RunVerificationError(result.stderr.strip() or "Run could not be simulated")
+    return json.loads(result.stdout)
+
+def verify_score(score: int, run: dict, stats: dict = None):
+    # Returns the simulated outcome when it backs up the claimed score (and
+    # stats, if any were sent), else None
+    outcome = simulate_run(run)
+    if not (outcome["finished"] and outcome["score"] == score and outcome["ticks"] == run["ticks"]):
+        return None
+    if stats is not None and stats != outcome["stats"]:
+        return None
+    return outcome
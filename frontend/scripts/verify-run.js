@@ -0,0 +1,91 @@
+// Re-simulates a submitted run headlessly and prints the score and stats it produces.
+// The backend pipes the run payload in on stdin:
+//   node scripts/verify-run.js < run.json   (run.json: {"seed", "difficulty", "level", "mode", "daily", "engine_version", "ticks", "inputs"})
+import { createState, step, ENGINE_VERSION, TICK_RATE } from '../src/game/simulation.js';
+import { InputRecorder, ReplayPlayer } from '../src/game/replay.js';
+import { PLAYER_INPUT_BITS } from '../src/game/constants.js';
+import { runStats } from '../src/game/scoring.js';
+import { LEVELS, DEFAULT_LEVEL } from '../src/game/levels/index.js';
+import { MODES, DEFAULT_MODE } from '../src/game/modes.js';
+import { dailyChallenge, isDailyDate } from '../src/game/daily.js';
+
+// Hard stop so a crafted input log can't keep the verifier busy forever
+const MAX_TICKS = TICK_RATE * 60 * 60;
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const run = JSON.parse(await readStdin());
+
+if (run.engine_version !== ENGINE_VERSION) {
+  console.error(`Unsupported engine version ${run.engine_version} (expected ${ENGINE_VERSION})`);
+  process.exit(2);
+}
+
+const level = run.level ?? DEFAULT_LEVEL;
+if (!LEVELS[level]) {
+  console.error(`Unknown level "${level}"`);
+  process.exit(2);
+}
+
+const mode = run.mode ?? DEFAULT_MODE;
+if (!MODES[mode]) {
+  console.error(`Unknown mode "${mode}"`);
+  process.exit(2);
+}
+
+// A daily challenge run has to be that day's stage, and gets that day's
+// modifiers. Nothing else may use modifiers. Its seed is the one the server
+// issued with the ranked attempt, which the server checks itself.
+let modifiers = [];
+if (run.daily != null) {
+  if (!isDailyDate(run.daily)) {
+    console.error(`Invalid daily challenge date "${run.daily}"`);
+    process.exit(2);
+  }
+  const challenge = dailyChallenge(run.daily);
+  if (level !== challenge.level || run.difficulty !== challenge.difficulty || mode !== challenge.mode) {
+    console.error(`Run is not the daily challenge for ${run.daily}`);
+    process.exit(2);
+  }
+  modifiers = challenge.modifiers;
+}
+
+let state = createState({ seed: run.seed, difficulty: run.difficulty, level, mode, modifiers });
+const replay = new ReplayPlayer(run.inputs);
+// The inputs as the simulation actually saw them: only the players' bits,
+// only while the run lasted, and only where they changed. Runs that play
+// out the same come out the same here, however their logs were padded.
+const usedBits = (1 << (PLAYER_INPUT_BITS * MODES[mode].players)) - 1;
+const used = new InputRecorder();
+while (!state.isOver && state.tick < MAX_TICKS) {
+  const input = replay.inputAt(state.tick) & usedBits;
+  used.record(state.tick, input);
+  state = step(state, input).state;
+}
+
+const stats = runStats(state);
+process.stdout.write(JSON.stringify({
+  score: state.score,
+  ticks: state.tick,
+  wave: state.wave.number,
+  finished: state.isOver,
+  winner: state.winner,
+  daily: run.daily ?? null,
+  inputs: used.inputs,
+  // snake_case to match the API
+  stats: {
+    kills: stats.kills,
+    shots_fired: stats.shotsFired,
+    shots_hit: stats.shotsHit,
+    accuracy: stats.accuracy,
+    time_survived: stats.timeSurvived,
+    max_combo: stats.maxCombo,
+    airborne_kills: stats.airborneKills,
+    multi_kills: stats.multiKills,
+    wave: stats.wave
+  }
+}));
@@ -1,3 +1,4 @@
+import { useEffect, useRef } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import MainMenu from './pages/MainMenu';
 import GameScreen from './pages/GameScreen';
@@ -6,23 +7,57 @@ import Leaderboard from './pages/Leaderboard';
 import Instructions from './pages/Instructions';
 import Settings from './pages/Settings';
 import About from './pages/About';
+import Replay from './pages/Replay';
+import Editor from './pages/Editor';
+import Profile from './pages/Profile';
+import Online from './pages/Online';
+import OnlineGame from './pages/OnlineGame';
+import Daily from './pages/Daily';
+import Achievements from './pages/Achievements';
+import AchievementToasts from './components/AchievementToasts';
+import PageFocus from './components/PageFocus';
+import useSettings from './settings/useSettings';
+import { startScoreSync } from './offline/scoreQueue';
+import { startAchievementSync } from './achievements/achievementSync';
 
 function App() {
+  // Retry any scores that didn't make it to the server last time
+  useEffect(() => startScoreSync(), []);
+  useEffect(() => startAchievementSync(), []);
+
+  // Reduced motion also stills the menus' own animations; see index.css
+  const [settings] = useSettings();
+  useEffect(() => {
+    document.documentElement.classList.toggle('reduce-motion', settings.reducedMotion);
+  }, [settings.reducedMotion]);
+
+  const pageRef = useRef(null);
+
   return (
     <Router>
       <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
-        <div className="w-full max-w-4xl">
+        <main ref={pageRef} className="w-full max-w-4xl">
           <Routes>
             <Route path="/" element={<MainMenu />} />
-            <Route path="/game" element={<GameScreen />} />
+            <Route path="/game/:levelId?" element={<GameScreen />} />
             <Route path="/game-over" element={<GameOver />} />
             <Route path="/leaderboard" element={<Leaderboard />} />
             <Route path="/instructions" element={<Instructions />} />
             <Route path="/settings" element={<Settings />} />
             <Route path="/about" element={<About />} />
+            <Route path="/replay" element={<Replay />} />
+            <Route path="/editor" element={<Editor />} />
+            <Route path="/profile/:playerId" element={<Profile />} />
+            <Route path="/online" element={<Online />} />
+            <Route path="/online/:code" element={<OnlineGame />} />
+            <Route path="/daily" element={<Daily />} />
+            <Route path="/daily/play" element={<GameScreen daily />} />
+            <Route path="/achievements" element={<Achievements />} />
           </Routes>
-        </div>
+        </main>
       </div>
+      <PageFocus pageRef={pageRef} />
+      <AchievementToasts />
     </Router>
   );
 }
@@ -0,0 +1,21 @@
+const STEPS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+
+// Keyboard handling for a role="radiogroup" of role="radio" buttons. Put
+// onKeyDown={selectWithArrowKeys} on the group and tabIndex={checked ? 0 : -1}
+// on each button: Tab then treats the group as one stop, and the arrow keys
+// (plus Home and End) move the selection within it, skipping disabled ones.
+export function selectWithArrowKeys(event) {
+  const options = [...event.currentTarget.querySelectorAll('[role="radio"]:not(:disabled)')];
+  const current = options.indexOf(document.activeElement);
+  if (current === -1) return;
+
+  let next;
+  if (STEPS[event.key]) next = (current + STEPS[event.key] + options.length) % options.length;
+  else if (event.key === 'Home') next = 0;
+  else if (event.key === 'End') next = options.length - 1;
+  else return;
+
+  event.preventDefault();
+  options[next].focus();
+  options[next].click();
+}
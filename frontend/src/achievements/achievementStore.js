@@ -0,0 +1,160 @@
+import { ACHIEVEMENTS, createProgress } from '../game/achievements.js';
+
+const STORAGE_KEY = 'killerBean.achievements';
+const DEVICE_KEY = 'killerBean.achievementDevice';
+
+const count = (value) => (Number.isInteger(value) && value > 0 ? value : 0);
+
+// Keeps the known counters and achievements, and drops anything malformed
+const sanitize = (raw) => {
+  const progress = createProgress();
+  ['totals', 'best'].forEach(group => {
+    Object.keys(progress[group]).forEach(key => {
+      progress[group][key] = count(raw?.[group]?.[key]);
+    });
+  });
+  Object.entries(raw?.unlocked ?? {}).forEach(([id, at]) => {
+    if (ACHIEVEMENTS[id] && typeof at === 'string') progress.unlocked[id] = at;
+  });
+  return progress;
+};
+
+const sanitizeTotals = (raw) => sanitize({ totals: raw }).totals;
+
+const randomId = () => Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const load = () => {
+  try {
+    return sanitize(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return createProgress();
+  }
+};
+
+// This device's own running totals, counted from when it started keeping
+// them, under an id of its own. The server adds every device's up, so a run
+// counts once however many devices the player uses. carried is the totals
+// the device had from before then. It's one player's at a time; see
+// claimProgress.
+const loadDevice = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DEVICE_KEY));
+    if (typeof stored?.id === 'string') {
+      return {
+        id: stored.id,
+        player: Number.isInteger(stored.player) ? stored.player : null,
+        totals: sanitizeTotals(stored.totals),
+        carried: sanitizeTotals(stored.carried)
+      };
+    }
+  } catch {
+    // Fall through to a new one
+  }
+  return saveDevice({ id: randomId(), player: null, totals: createProgress().totals, carried: getProgress().totals });
+};
+
+const saveDevice = (device) => {
+  try {
+    localStorage.setItem(DEVICE_KEY, JSON.stringify(device));
+  } catch (error) {
+    console.error('Failed to save achievements', error);
+  }
+  return device;
+};
+
+let current = null;
+let device = null;
+const listeners = new Set();
+const unlockListeners = new Set();
+
+export const getProgress = () => {
+  if (!current) {
+    current = load();
+    // Along with the progress, so what it carries is what was there before
+    getDevice();
+  }
+  return current;
+};
+
+export const saveProgress = (progress) => {
+  current = sanitize(progress);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+  } catch (error) {
+    console.error('Failed to save achievements', error);
+  }
+  listeners.forEach(listener => listener(current));
+};
+
+export const getDevice = () => {
+  if (!device) device = loadDevice();
+  return device;
+};
+
+// Progress belongs to the player it was earned as (player is their id, or
+// null signed out). What was earned signed out goes to the first player this
+// device signs in as; any other change of player starts again from nothing,
+// under a new device id, so nothing of one player's is sent as another's.
+export const claimProgress = (player) => {
+  const current = getDevice();
+  if (current.player === player) return;
+  if (current.player === null) {
+    device = saveDevice({ ...current, player });
+    return;
+  }
+  device = saveDevice({ id: randomId(), player, totals: createProgress().totals, carried: createProgress().totals });
+  saveProgress(createProgress());
+};
+
+// Adds a finished (or abandoned) run to the totals, here and in this
+// device's own counts, and keeps its bests: run is { totals, best }
+export const bankRun = (run) => {
+  const { totals, best } = getProgress();
+  const add = (base) => Object.fromEntries(Object.entries(base).map(([key, value]) => [key, value + count(run.totals[key])]));
+  device = saveDevice({ ...getDevice(), totals: add(getDevice().totals) });
+  saveProgress({
+    ...getProgress(),
+    totals: add(totals),
+    best: Object.fromEntries(Object.entries(best).map(([key, value]) => [key, Math.max(value, count(run.best[key]))]))
+  });
+};
+
+// Takes the player's progress back from the server: its totals, plus what
+// this device banked while the request was out (unsent, as totals), the
+// higher of each best, and every achievement either side has unlocked,
+// dated from whichever unlocked it first
+export const acceptSynced = (synced, unsent) => {
+  const progress = sanitize(synced);
+  Object.keys(progress.totals).forEach(key => {
+    progress.totals[key] += count(unsent[key]);
+  });
+  Object.keys(progress.best).forEach(key => {
+    progress.best[key] = Math.max(progress.best[key], getProgress().best[key]);
+  });
+  Object.entries(getProgress().unlocked).forEach(([id, at]) => {
+    if (!progress.unlocked[id] || at < progress.unlocked[id]) progress.unlocked[id] = at;
+  });
+  saveProgress(progress);
+};
+
+// Marks achievements unlocked now and announces them
+export const unlockAchievements = (ids) => {
+  const fresh = ids.filter(id => !getProgress().unlocked[id]);
+  if (!fresh.length) return;
+  const at = new Date().toISOString();
+  const unlocked = { ...getProgress().unlocked };
+  fresh.forEach(id => { unlocked[id] = at; });
+  saveProgress({ ...getProgress(), unlocked });
+  unlockListeners.forEach(listener => listener(fresh));
+};
+
+export const subscribeProgress = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// listener(ids) runs whenever achievements are unlocked
+export const subscribeUnlocks = (listener) => {
+  unlockListeners.add(listener);
+  return () => unlockListeners.delete(listener);
+};
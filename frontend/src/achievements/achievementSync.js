@@ -0,0 +1,49 @@
+import { putAchievements } from '../api/achievementApi';
+import { isUnreachable } from '../api/client';
+import { getPlayer, subscribePlayer } from '../player/playerStore';
+import { getProgress, getDevice, acceptSynced, claimProgress } from './achievementStore';
+
+let syncing = null;
+
+// Swaps progress with the server, so a player's achievements follow them to
+// any device they're signed in on. Without a player it stays on this device.
+// Totals go up as this device's own counts and come back summed over all of
+// the player's devices.
+export const syncAchievements = () => {
+  claimProgress(getPlayer()?.id ?? null);
+  if (!getPlayer()) return Promise.resolve();
+  if (syncing) return syncing;
+  syncing = (async () => {
+    let playerChanged = false;
+    try {
+      const { id, totals: sent, carried } = getDevice();
+      const synced = await putAchievements({ ...getProgress(), device: id, totals: sent, carried });
+      // The answer is the previous player's if they changed while it was out
+      playerChanged = getDevice().id !== id;
+      if (!playerChanged) {
+        // Anything banked while the request was out is kept too
+        const unsent = Object.fromEntries(Object.entries(getDevice().totals).map(([key, value]) => [key, value - sent[key]]));
+        acceptSynced(synced, unsent);
+      }
+    } catch (error) {
+      // Offline is fine: the next sync sends everything again
+      if (!isUnreachable(error)) console.error('Failed to sync achievements', error.response?.data?.detail ?? error);
+    } finally {
+      syncing = null;
+    }
+    if (playerChanged) await syncAchievements();
+  })();
+  return syncing;
+};
+
+// Call once at startup; returns a cleanup function
+export const startAchievementSync = () => {
+  const handleOnline = () => syncAchievements();
+  window.addEventListener('online', handleOnline);
+  const unsubscribe = subscribePlayer(() => syncAchievements());
+  syncAchievements();
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    unsubscribe();
+  };
+};
@@ -0,0 +1,81 @@
+import { EVENTS, TICK_RATE } from '../game/constants.js';
+import { ENEMY_TYPES } from '../game/enemies/index.js';
+import { newlyReached } from '../game/achievements.js';
+import { getProgress, bankRun, unlockAchievements } from './achievementStore';
+import { syncAchievements } from './achievementSync';
+
+// Follows one run through engine.subscribe(tracker.handleEvents), unlocking
+// achievements the moment they're reached. finish() banks the run into the
+// saved totals; call it when the run ends or is abandoned.
+export class AchievementTracker {
+  constructor() {
+    this.run = { kills: 0, bossKills: 0, ticks: 0, airborneKills: 0, maxCombo: 0, wave: 0 };
+    this.isOver = false;
+    this.isDaily = false;
+    this.isTeam = false;
+    this.isFinished = false;
+    this.handleEvents = this.handleEvents.bind(this);
+  }
+
+  handleEvents(events, state) {
+    const { run } = this;
+    const bossKills = events.filter(e => e.type === EVENTS.ENEMY_KILLED && ENEMY_TYPES[e.enemyType].showHealthBar).length;
+    run.bossKills += bossKills;
+    run.kills = state.stats.kills;
+    run.ticks = state.tick;
+    run.airborneKills = state.stats.airborneKills;
+    run.maxCombo = state.stats.maxCombo;
+    run.wave = state.wave.number;
+    this.isOver = state.isOver;
+    // Modifiers only come with the daily challenge
+    this.isDaily = state.modifiers.length > 0;
+    this.isTeam = state.players.length > 1;
+
+    // Nothing to check between kills, except once a second for the clock
+    if (events.length || state.tick % TICK_RATE === 0) {
+      unlockAchievements(newlyReached(this.record()));
+    }
+  }
+
+  // What this run adds to the saved progress
+  counts() {
+    const { run } = this;
+    const finished = this.isOver ? 1 : 0;
+    const seconds = Math.floor(run.ticks / TICK_RATE);
+    return {
+      totals: {
+        kills: run.kills,
+        runs: finished,
+        timePlayed: seconds,
+        bossKills: run.bossKills,
+        dailyRuns: this.isDaily ? finished : 0,
+        teamRuns: this.isTeam ? finished : 0
+      },
+      best: {
+        timeSurvived: seconds,
+        airborneKills: run.airborneKills,
+        maxCombo: run.maxCombo,
+        wave: run.wave
+      }
+    };
+  }
+
+  // Saved progress as it stands now (a sync may have moved it on since the
+  // run started) with this run added in
+  record() {
+    const progress = getProgress();
+    const { totals, best } = this.counts();
+    return {
+      totals: Object.fromEntries(Object.entries(progress.totals).map(([key, value]) => [key, value + totals[key]])),
+      best: Object.fromEntries(Object.entries(progress.best).map(([key, value]) => [key, Math.max(value, best[key])])),
+      unlocked: progress.unlocked
+    };
+  }
+
+  finish() {
+    if (this.isFinished || this.run.ticks === 0) return;
+    this.isFinished = true;
+    bankRun(this.counts());
+    syncAchievements();
+  }
+}
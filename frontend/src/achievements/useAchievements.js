@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { getProgress, subscribeProgress } from './achievementStore';
+
+export default function useAchievements() {
+  return useSyncExternalStore(subscribeProgress, getProgress);
+}
@@ -0,0 +1,9 @@
+import client from './client'
+
+// Sends this device's counts for the signed-in player ({ device, totals,
+// carried, best, unlocked }); resolves to the player's progress over every
+// device: { totals, best, unlocked }
+export const putAchievements = async (progress) => {
+  const response = await client.put('/achievements/', progress);
+  return response.data;
+};
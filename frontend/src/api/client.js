@@ -1,7 +1,19 @@
 import axios from 'axios'
+import { getPlayer } from '../player/playerStore'
 
 const client = axios.create({
   baseURL: '/api'
 })
 
-export default client;
\ No newline at end of file
+// Identify the signed-in player, unless the caller already chose who to send as
+client.interceptors.request.use((config) => {
+  const player = getPlayer();
+  if (player && !config.headers.Authorization) config.headers.Authorization = `Bearer ${player.token}`;
+  return config;
+});
+
+// True when the request never got a proper answer: no connection, or the
+// server (or its run verifier) was down. Worth trying again later.
+export const isUnreachable = (error) => !error.response || error.response.status >= 500;
+
+export default client;
@@ -0,0 +1,16 @@
+import client from './client'
+
+export const listLevels = async () => {
+  const response = await client.get('/levels/');
+  return response.data;
+};
+
+export const getUploadedLevel = async (id) => {
+  const response = await client.get(`/levels/${id}`);
+  return response.data;
+};
+
+export const uploadLevel = async (data) => {
+  const response = await client.post('/levels/', { data });
+  return response.data;
+};
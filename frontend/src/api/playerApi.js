@@ -0,0 +1,12 @@
+import client from './client'
+
+// Resolves to { id, name, created_at, token }; keep the token, it's shown only once
+export const createPlayer = async (name) => {
+  const response = await client.post('/players/', { name });
+  return response.data;
+};
+
+export const getProfile = async (id) => {
+  const response = await client.get(`/players/${id}`);
+  return response.data;
+};
@@ -0,0 +1,18 @@
+import client from './client'
+
+// Online co-op rooms. Resolves to { code, host, level, difficulty, players, size, started, created_at }.
+export const createRoom = async ({ level, difficulty }) => {
+  const response = await client.post('/rooms/', { level, difficulty });
+  return response.data;
+};
+
+// Rooms still waiting for players, newest first
+export const getRooms = async () => {
+  const response = await client.get('/rooms/');
+  return response.data;
+};
+
+export const getRoom = async (code) => {
+  const response = await client.get(`/rooms/${code}`);
+  return response.data;
+};
@@ -0,0 +1,28 @@
+// A room's WebSocket, through the same /api proxy as the REST calls.
+// onMessage gets each message from the server; onClose(reason) fires once,
+// however the connection ends. Browsers can't set headers on a WebSocket, so
+// the player's token goes in the query string.
+export class RoomSocket {
+  constructor(code, token, { onMessage, onClose }) {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const url = `${protocol}//${window.location.host}/api/rooms/${encodeURIComponent(code)}/ws?token=${encodeURIComponent(token)}`;
+    this.socket = new WebSocket(url);
+    this.closed = false;
+    this.socket.onmessage = (e) => onMessage(JSON.parse(e.data));
+    this.socket.onclose = (e) => {
+      if (this.closed) return;
+      this.closed = true;
+      onClose(e.reason || 'Lost the connection to the server');
+    };
+  }
+
+  send(message) {
+    if (this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(message));
+  }
+
+  // Leaving on purpose, so no onClose
+  close() {
+    this.closed = true;
+    this.socket.close();
+  }
+}
@@ -1,11 +1,59 @@
 import client from './client'
 
-export const getTopScores = async () => {
-  const response = await client.get('/scores/top');
+// The request body for a finished run, as the API expects it
+export const scorePayload = (score, run, stats) => ({
+  score,
+  stats: stats && {
+    kills: stats.kills,
+    shots_fired: stats.shotsFired,
+    shots_hit: stats.shotsHit,
+    accuracy: stats.accuracy,
+    time_survived: stats.timeSurvived,
+    max_combo: stats.maxCombo,
+    airborne_kills: stats.airborneKills,
+    multi_kills: stats.multiKills,
+    wave: stats.wave
+  },
+  run: {
+    seed: run.seed,
+    difficulty: run.difficulty,
+    level: run.level,
+    mode: run.mode,
+    daily: run.daily ?? null,
+    assisted: Boolean(run.assisted),
+    engine_version: run.engineVersion,
+    ticks: run.ticks,
+    inputs: run.inputs
+  }
+});
+
+// Sends a payload as the signed-in player, or as the player whose token is given
+export const postScore = async (payload, token) => {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const response = await client.post('/scores/', payload, { headers });
+  return response.data;
+};
+
+export const submitScore = (score, run, stats) => postScore(scorePayload(score, run, stats));
+
+// Starts the signed-in player's one ranked attempt at that date's daily
+// challenge. Resolves to { daily, seed, started_at }; the run has to be
+// played on that seed. A 409 means the attempt was already used.
+export const startDailyAttempt = async (date) => {
+  const response = await client.post(`/scores/daily/${date}/start`);
   return response.data;
 };
 
-export const submitScore = async (player_name, score) => {
-  const response = await client.post('/scores/', { player_name, score });
+// period: 'daily', 'weekly' or 'all'; mode: a game mode, or leave it out for
+// every mode; daily: a date, for that day's challenge board instead.
+// Resolves to { scores, total, offset, limit }.
+export const getScores = async ({ period = 'all', mode, daily, offset = 0, limit = 10 } = {}) => {
+  const response = await client.get('/scores/', { params: { period, mode, daily, offset, limit } });
   return response.data;
-};
\ No newline at end of file
+};
+
+// Where a score stands, with `around` entries either side: { rank, total, scores }
+export const getScoreRank = async (id, { period = 'all', mode, daily, around = 2 } = {}) => {
+  const response = await client.get(`/scores/${id}/rank`, { params: { period, mode, daily, around } });
+  return response.data;
+};
@@ -0,0 +1,111 @@
+import { EVENTS } from '../game/simulation';
+import { DEFAULT_SETTINGS } from '../settings/settingsStore';
+import { SFX } from './sfx';
+import { MusicLoop } from './music';
+
+const EVENT_SOUNDS = {
+  [EVENTS.SHOT]: 'shoot',
+  [EVENTS.JUMPED]: 'jump',
+  [EVENTS.ENEMY_HIT]: 'hit',
+  [EVENTS.ENEMY_BLOCKED]: 'block',
+  [EVENTS.ENEMY_KILLED]: 'explosion',
+  [EVENTS.POWERUP_COLLECTED]: 'powerUp',
+  [EVENTS.PLAYER_HURT]: 'hurt',
+  [EVENTS.LIFE_LOST]: 'hurt',
+  [EVENTS.WAVE_STARTED]: 'wave',
+  [EVENTS.PLAYER_DIED]: 'death'
+};
+
+const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchstart'];
+
+// Web Audio graph: sfx bus + music bus -> master -> speakers. The context is
+// created lazily and resumed on the first user gesture, since browsers keep
+// audio suspended until then.
+class AudioEngine {
+  constructor() {
+    this.ctx = null;
+    this.settings = DEFAULT_SETTINGS;
+    this.music = null;
+    this.wantsMusic = false;
+    this.unlockAttached = false;
+    this.unlock = this.unlock.bind(this);
+    this.handleEvents = this.handleEvents.bind(this);
+  }
+
+  ensureContext() {
+    if (this.ctx) return this.ctx;
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return null;
+
+    this.ctx = new AudioContext();
+    this.master = this.ctx.createGain();
+    this.sfxBus = this.ctx.createGain();
+    this.musicBus = this.ctx.createGain();
+    this.sfxBus.connect(this.master);
+    this.musicBus.connect(this.master);
+    this.master.connect(this.ctx.destination);
+    this.music = new MusicLoop(this.ctx, this.musicBus);
+    this.applyVolumes();
+    return this.ctx;
+  }
+
+  attachUnlock() {
+    if (this.unlockAttached) return;
+    this.unlockAttached = true;
+    UNLOCK_EVENTS.forEach(type => window.addEventListener(type, this.unlock, { capture: true }));
+  }
+
+  unlock() {
+    const ctx = this.ensureContext();
+    if (!ctx) return;
+    ctx.resume().then(() => {
+      if (ctx.state !== 'running') return;
+      UNLOCK_EVENTS.forEach(type => window.removeEventListener(type, this.unlock, { capture: true }));
+      if (this.wantsMusic) this.music.start();
+    });
+  }
+
+  get isUnlocked() {
+    return this.ctx?.state === 'running';
+  }
+
+  setSettings(settings) {
+    this.settings = settings;
+    this.applyVolumes();
+  }
+
+  applyVolumes() {
+    if (!this.ctx) return;
+    const { soundEnabled, soundVolume, musicVolume } = this.settings;
+    const now = this.ctx.currentTime;
+    // Short ramps avoid clicks when a slider is dragged
+    this.master.gain.setTargetAtTime(soundEnabled ? 1 : 0, now, 0.02);
+    this.sfxBus.gain.setTargetAtTime(soundVolume / 100, now, 0.02);
+    this.musicBus.gain.setTargetAtTime(musicVolume / 100, now, 0.02);
+  }
+
+  play(name) {
+    if (!this.isUnlocked || !this.settings.soundEnabled) return;
+    SFX[name]?.(this.ctx, this.sfxBus, this.ctx.currentTime);
+  }
+
+  // Engine subscriber: turns simulation events into sounds
+  handleEvents(events) {
+    events.forEach(event => {
+      const sound = EVENT_SOUNDS[event.type];
+      if (sound) this.play(sound);
+    });
+  }
+
+  startMusic() {
+    this.wantsMusic = true;
+    if (this.isUnlocked) this.music.start();
+  }
+
+  stopMusic() {
+    this.wantsMusic = false;
+    this.music?.stop();
+  }
+}
+
+export const audio = new AudioEngine();
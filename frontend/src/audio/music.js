@@ -0,0 +1,73 @@
+// Looping chiptune-style background track built from oscillators. Notes are
+// scheduled a little ahead of time so timer jitter never makes the beat drift.
+
+const TEMPO = 132;
+const STEP_SECONDS = 60 / TEMPO / 4;
+const LOOKAHEAD_SECONDS = 0.2;
+const SCHEDULER_INTERVAL_MS = 50;
+
+const midiToHz = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+// 16-step bars, one MIDI note (or null for a rest) per step
+const BASS = [
+  [40, null, 40, null, 40, null, 43, null, 45, null, 45, null, 43, null, 38, null],
+  [36, null, 36, null, 36, null, 38, null, 40, null, 40, null, 38, null, 35, null]
+];
+const LEAD = [
+  [64, 67, 71, 67, 64, 67, 71, 74, 72, 71, 67, 64, 62, 64, 67, 62],
+  [60, 64, 67, 64, 60, 64, 67, 72, 71, 67, 64, 60, 59, 62, 67, 71]
+];
+
+const playNote = (ctx, output, time, { note, type, peak, length }) => {
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(midiToHz(note), time);
+  gain.gain.setValueAtTime(peak, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + length);
+  osc.connect(gain);
+  gain.connect(output);
+  osc.start(time);
+  osc.stop(time + length);
+};
+
+export class MusicLoop {
+  constructor(ctx, output) {
+    this.ctx = ctx;
+    this.output = output;
+    this.timerId = null;
+    this.step = 0;
+    this.nextTime = 0;
+    this.schedule = this.schedule.bind(this);
+  }
+
+  get isPlaying() {
+    return this.timerId !== null;
+  }
+
+  start() {
+    if (this.isPlaying) return;
+    this.step = 0;
+    this.nextTime = this.ctx.currentTime + 0.05;
+    this.timerId = setInterval(this.schedule, SCHEDULER_INTERVAL_MS);
+    this.schedule();
+  }
+
+  stop() {
+    clearInterval(this.timerId);
+    this.timerId = null;
+  }
+
+  schedule() {
+    while (this.nextTime < this.ctx.currentTime + LOOKAHEAD_SECONDS) {
+      const bar = Math.floor(this.step / 16) % BASS.length;
+      const index = this.step % 16;
+      const bass = BASS[bar][index];
+      const lead = LEAD[bar][index];
+      if (bass !== null) playNote(this.ctx, this.output, this.nextTime, { note: bass, type: 'triangle', peak: 0.35, length: STEP_SECONDS * 1.8 });
+      if (lead !== null) playNote(this.ctx, this.output, this.nextTime, { note: lead, type: 'square', peak: 0.06, length: STEP_SECONDS * 0.9 });
+      this.nextTime += STEP_SECONDS;
+      this.step++;
+    }
+  }
+}
@@ -0,0 +1,80 @@
+// Procedural sound effects. Each one schedules its nodes on `ctx` starting at
+// `time` and routes them into `output`; nothing is loaded from disk.
+
+let noiseBuffer = null;
+
+const getNoise = (ctx) => {
+  if (!noiseBuffer || noiseBuffer.sampleRate !== ctx.sampleRate) {
+    noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  }
+  return noiseBuffer;
+};
+
+const envelope = (ctx, output, time, peak, duration) => {
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(peak, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+  gain.connect(output);
+  return gain;
+};
+
+const sweep = (ctx, output, time, { type, from, to, peak, duration }) => {
+  const osc = ctx.createOscillator();
+  osc.type = type;
+  osc.frequency.setValueAtTime(from, time);
+  osc.frequency.exponentialRampToValueAtTime(to, time + duration);
+  osc.connect(envelope(ctx, output, time, peak, duration));
+  osc.start(time);
+  osc.stop(time + duration);
+};
+
+const noiseBurst = (ctx, output, time, { cutoffFrom, cutoffTo, peak, duration }) => {
+  const source = ctx.createBufferSource();
+  source.buffer = getNoise(ctx);
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.setValueAtTime(cutoffFrom, time);
+  filter.frequency.exponentialRampToValueAtTime(cutoffTo, time + duration);
+  source.connect(filter);
+  filter.connect(envelope(ctx, output, time, peak, duration));
+  source.start(time);
+  source.stop(time + duration);
+};
+
+export const SFX = {
+  shoot: (ctx, output, time) => {
+    sweep(ctx, output, time, { type: 'square', from: 880, to: 220, peak: 0.15, duration: 0.08 });
+  },
+  jump: (ctx, output, time) => {
+    sweep(ctx, output, time, { type: 'sine', from: 300, to: 700, peak: 0.25, duration: 0.12 });
+  },
+  explosion: (ctx, output, time) => {
+    noiseBurst(ctx, output, time, { cutoffFrom: 3000, cutoffTo: 100, peak: 0.5, duration: 0.35 });
+    sweep(ctx, output, time, { type: 'triangle', from: 160, to: 40, peak: 0.4, duration: 0.3 });
+  },
+  hit: (ctx, output, time) => {
+    sweep(ctx, output, time, { type: 'square', from: 220, to: 110, peak: 0.12, duration: 0.05 });
+  },
+  block: (ctx, output, time) => {
+    sweep(ctx, output, time, { type: 'triangle', from: 1400, to: 900, peak: 0.12, duration: 0.06 });
+  },
+  powerUp: (ctx, output, time) => {
+    [660, 880, 1320].forEach((freq, i) => {
+      sweep(ctx, output, time + i * 0.05, { type: 'square', from: freq, to: freq * 1.05, peak: 0.1, duration: 0.07 });
+    });
+  },
+  hurt: (ctx, output, time) => {
+    sweep(ctx, output, time, { type: 'sawtooth', from: 300, to: 90, peak: 0.25, duration: 0.2 });
+  },
+  wave: (ctx, output, time) => {
+    [523, 659, 784].forEach((freq, i) => {
+      sweep(ctx, output, time + i * 0.09, { type: 'triangle', from: freq, to: freq, peak: 0.2, duration: 0.12 });
+    });
+  },
+  death: (ctx, output, time) => {
+    sweep(ctx, output, time, { type: 'sawtooth', from: 440, to: 55, peak: 0.3, duration: 0.7 });
+    noiseBurst(ctx, output, time + 0.05, { cutoffFrom: 1500, cutoffTo: 80, peak: 0.4, duration: 0.6 });
+  }
+};
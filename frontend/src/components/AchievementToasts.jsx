@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+import { Award } from 'lucide-react';
+import { subscribeUnlocks } from '../achievements/achievementStore';
+import { ACHIEVEMENTS } from '../game/achievements';
+import { rewardsFor } from '../game/cosmetics';
+
+const TOAST_MS = 4000;
+
+let nextToastId = 0;
+
+// Pops up over whatever's on screen, the game included, when achievements unlock
+export default function AchievementToasts() {
+  const [toasts, setToasts] = useState([]);
+
+  useEffect(() => subscribeUnlocks((ids) => {
+    const fresh = ids.map((id) => ({ key: nextToastId++, id }));
+    setToasts((current) => [...current, ...fresh]);
+    setTimeout(() => {
+      setToasts((current) => current.filter((toast) => !fresh.includes(toast)));
+    }, TOAST_MS);
+  }), []);
+
+  return (
+    <div role="status" aria-live="polite" className="fixed top-4 right-4 z-50 space-y-2 w-72 pointer-events-none">
+      {toasts.map(({ key, id }) => {
+        const rewards = rewardsFor(id);
+        return (
+          <div key={key} className="flex items-start gap-3 bg-gray-800 border border-yellow-500 rounded-lg shadow-xl p-3">
+            <Award size={28} className="text-yellow-400 shrink-0" />
+            <div>
+              <p className="text-xs uppercase tracking-wide text-yellow-400 font-bold">Achievement unlocked</p>
+              <p className="text-white font-bold">{ACHIEVEMENTS[id].label}</p>
+              <p className="text-sm text-gray-300">{ACHIEVEMENTS[id].description}</p>
+              {rewards.length > 0 && (
+                <p className="text-xs text-purple-300 mt-1">New look: {rewards.map((r) => r.label).join(', ')}</p>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+// Tags runs played with assist mode on (a slower game speed or auto-fire)
+export default function AssistBadge({ assisted }) {
+  if (!assisted) return null;
+  return (
+    <span
+      title="Played with assist mode"
+      className="ml-2 text-xs font-semibold bg-sky-900 text-sky-200 rounded px-1.5 py-0.5 align-middle"
+    >
+      Assist
+    </span>
+  );
+}
@@ -0,0 +1,140 @@
+import { useEffect, useState } from 'react';
+import { Keyboard, Gamepad2, Plus, X, RotateCcw } from 'lucide-react';
+import {
+  ACTIONS, DEVICES, DEFAULT_BINDINGS, RESERVED_KEYS,
+  assignBinding, removeBinding, findConflict, formatBinding
+} from '../game/bindings';
+import { getConnectedGamepads, AXIS_DEADZONE } from '../game/adapters/gamepadInput';
+
+const DEVICE_ICONS = { keyboard: Keyboard, gamepad: Gamepad2 };
+
+// First button or stick direction held on any connected pad
+const readGamepadBinding = () => {
+  for (const pad of getConnectedGamepads()) {
+    const button = pad.buttons.findIndex(b => b.pressed);
+    if (button !== -1) return `button:${button}`;
+    const axis = pad.axes.findIndex(value => Math.abs(value) > AXIS_DEADZONE);
+    if (axis !== -1) return `axis:${axis}:${pad.axes[axis] < 0 ? '-' : '+'}`;
+  }
+  return null;
+};
+
+export default function ControlBindings({ bindings, onChange }) {
+  // { device, actionId } while waiting for the player to press something
+  const [listening, setListening] = useState(null);
+  const [notice, setNotice] = useState('');
+
+  const bind = (device, actionId, binding) => {
+    const conflict = findConflict(bindings, device, binding, actionId);
+    const action = ACTIONS.find(a => a.id === actionId);
+    const name = formatBinding(device, binding);
+    setNotice(conflict ? `${name} was moved from ${conflict.label} to ${action.label}.` : '');
+    onChange(assignBinding(bindings, device, actionId, binding));
+    setListening(null);
+  };
+
+  useEffect(() => {
+    if (!listening) return;
+    const { device, actionId } = listening;
+
+    // Capture phase so the pause menu's own Escape handling never sees these keys
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code === 'Escape') {
+        setListening(null);
+        return;
+      }
+      if (device !== 'keyboard') return;
+      if (RESERVED_KEYS.includes(e.code)) {
+        setNotice(`${formatBinding('keyboard', e.code)} is reserved for pausing.`);
+        return;
+      }
+      bind(device, actionId, e.code);
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+
+    let frameId = null;
+    if (device === 'gamepad') {
+      // Wait for everything to be released first so the click that opened
+      // the prompt (or a held stick) isn't captured straight away
+      let armed = false;
+      const poll = () => {
+        const binding = readGamepadBinding();
+        if (!binding) armed = true;
+        else if (armed) return bind(device, actionId, binding);
+        frameId = requestAnimationFrame(poll);
+      };
+      frameId = requestAnimationFrame(poll);
+    }
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown, true);
+      if (frameId) cancelAnimationFrame(frameId);
+    };
+  }, [listening, bindings]);
+
+  return (
+    <div className="bg-gray-900 p-4 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <span className="font-semibold text-gray-200">Controls</span>
+        <button onClick={() => { setNotice(''); onChange(DEFAULT_BINDINGS); }} className="flex items-center gap-1 text-sm text-gray-400 hover:text-white">
+          <RotateCcw size={14} /> Reset controls
+        </button>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-gray-500 text-left">
+            <th scope="col" className="py-1 font-medium">Action</th>
+            {DEVICES.map(device => {
+              const Icon = DEVICE_ICONS[device];
+              return <th key={device} scope="col" className="py-1"><Icon size={16} role="img" aria-label={device} /></th>;
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {ACTIONS.map(action => (
+            <tr key={action.id} className="border-t border-gray-800">
+              <td className="py-2 pr-2 text-gray-300">{action.label}</td>
+              {DEVICES.map(device => {
+                const isListening = listening?.device === device && listening?.actionId === action.id;
+                return (
+                  <td key={device} className="py-2">
+                    <div className="flex flex-wrap items-center gap-1">
+                      {bindings[device][action.id].map(binding => (
+                        <span key={binding} className="inline-flex items-center gap-1 bg-gray-800 border border-gray-700 rounded px-2 py-0.5 font-mono text-xs text-white">
+                          {formatBinding(device, binding)}
+                          <button
+                            onClick={() => onChange(removeBinding(bindings, device, action.id, binding))}
+                            aria-label={`Remove ${formatBinding(device, binding)} from ${action.label}`}
+                            className="text-gray-500 hover:text-red-400"
+                          >
+                            <X size={12} />
+                          </button>
+                        </span>
+                      ))}
+                      <button
+                        onClick={() => setListening(isListening ? null : { device, actionId: action.id })}
+                        aria-label={`Add ${device} binding for ${action.label}`}
+                        aria-pressed={isListening}
+                        className={`inline-flex items-center gap-1 rounded px-2 py-0.5 text-xs ${isListening ? 'bg-red-600 text-white animate-pulse' : 'text-gray-400 hover:text-white'}`}
+                      >
+                        {isListening ? (device === 'keyboard' ? 'Press a key…' : 'Press a button…') : <Plus size={12} />}
+                      </button>
+                    </div>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {notice && <p className="text-xs text-yellow-400 mt-2" role="status">{notice}</p>}
+      <p className="sr-only" role="status">
+        {listening && `Press a ${listening.device === 'keyboard' ? 'key' : 'button'} for ${ACTIONS.find(a => a.id === listening.actionId).label}, or Escape to cancel.`}
+      </p>
+    </div>
+  );
+}
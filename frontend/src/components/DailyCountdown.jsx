@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { msUntilNextDaily } from '../game/daily';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Time left until the next daily challenge, ticking every second.
+// onRollover runs once the new one is out.
+export default function DailyCountdown({ onRollover, className = '' }) {
+  const [remaining, setRemaining] = useState(() => msUntilNextDaily());
+
+  useEffect(() => {
+    let previous = msUntilNextDaily();
+    const timer = setInterval(() => {
+      const next = msUntilNextDaily();
+      // Counting back up means midnight has passed
+      if (next > previous && onRollover) onRollover();
+      previous = next;
+      setRemaining(next);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [onRollover]);
+
+  const seconds = Math.floor(remaining / 1000);
+  return (
+    <span role="timer" className={`font-mono ${className}`}>
+      {pad(Math.floor(seconds / 3600))}:{pad(Math.floor(seconds / 60) % 60)}:{pad(seconds % 60)}
+    </span>
+  );
+}
@@ -0,0 +1,84 @@
+import { useEffect, useRef } from 'react';
+import { drawTiles } from '../game/adapters/drawTiles';
+import { VIEW_WIDTH } from '../game/constants';
+
+// The level at one canvas pixel per world unit; the page scrolls it. Calls
+// onPaint(col, row, strokeId) for the pressed tile and every tile dragged over.
+export default function EditorCanvas({ level, onPaint }) {
+  const canvasRef = useRef(null);
+  const strokeRef = useRef(null);
+  const strokeCount = useRef(0);
+
+  const size = level.tileSize;
+  const width = level.tiles[0].length * size;
+  const height = level.tiles.length * size;
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext('2d');
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, width, height);
+    drawTiles(ctx, level, { x: 0, y: 0, width, height });
+
+    // Tile grid, with a stronger line every screen width
+    ctx.lineWidth = 1;
+    for (let x = 0; x <= width; x += size) {
+      ctx.strokeStyle = x % VIEW_WIDTH === 0 ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.06)';
+      ctx.beginPath();
+      ctx.moveTo(x + 0.5, 0);
+      ctx.lineTo(x + 0.5, height);
+      ctx.stroke();
+    }
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+    for (let y = 0; y <= height; y += size) {
+      ctx.beginPath();
+      ctx.moveTo(0, y + 0.5);
+      ctx.lineTo(width, y + 0.5);
+      ctx.stroke();
+    }
+
+    // Player spawn, drawn like the player standing in that tile
+    const spawnX = level.spawn.x * size;
+    const spawnY = (level.spawn.y + 1) * size - 40;
+    ctx.fillStyle = '#e94560';
+    ctx.fillRect(spawnX, spawnY, 30, 40);
+    ctx.fillStyle = '#0f3460';
+    ctx.fillRect(spawnX + 15, spawnY + 10, 15, 8);
+  }, [level, size, width, height]);
+
+  const tileFromEvent = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const col = Math.floor((e.clientX - rect.left) * width / rect.width / size);
+    const row = Math.floor((e.clientY - rect.top) * height / rect.height / size);
+    return [col, row];
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    strokeCount.current++;
+    strokeRef.current = `stroke-${strokeCount.current}`;
+    onPaint(...tileFromEvent(e), strokeRef.current);
+  };
+
+  const handlePointerMove = (e) => {
+    if (strokeRef.current) onPaint(...tileFromEvent(e), strokeRef.current);
+  };
+
+  const endStroke = () => {
+    strokeRef.current = null;
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={width}
+      height={height}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={endStroke}
+      onPointerCancel={endStroke}
+      className="block cursor-crosshair touch-none"
+      style={{ width, height }}
+    />
+  );
+}
@@ -0,0 +1,79 @@
+import { useEffect, useRef, useState } from 'react';
+import { RotateCcw, ArrowLeft } from 'lucide-react';
+import useGameEngine from '../play/useGameEngine';
+import useSettings from '../settings/useSettings';
+
+// Full-screen run of the level being edited. Scores from here are never submitted.
+export default function LevelPlaytest({ level, onClose }) {
+  const canvasRef = useRef(null);
+  const [settings] = useSettings();
+  const [result, setResult] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const [isPaused, setIsPaused] = useState(false);
+
+  // A stage that's still being made doesn't count towards achievements
+  const engineRef = useGameEngine(canvasRef, {
+    settings,
+    deps: [level, attempt],
+    trackAchievements: false,
+    onGameOver: (score, run, stats) => {
+      setResult({ score, wave: stats.wave });
+    },
+    options: { level },
+    onStatusChange: (status) => setIsPaused(status.isPaused)
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code === 'Escape') onClose();
+      else if (e.code === 'KeyP') engineRef.current?.togglePause();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const retry = () => {
+    setResult(null);
+    setAttempt((n) => n + 1);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/90 flex flex-col items-center justify-center p-4">
+      <div className="mb-4 text-gray-400 font-mono">
+        PLAYTEST | {level.name} | [P] Pause | [Esc] Back to editor
+      </div>
+      <div className="relative w-full max-w-[800px]">
+        <canvas
+          ref={canvasRef}
+          width={800}
+          height={450}
+          className="w-full aspect-video bg-black rounded-lg"
+        />
+        {isPaused && (
+          <button
+            onClick={() => engineRef.current?.resume()}
+            className="absolute inset-0 bg-black/60 rounded-lg text-4xl font-black text-white tracking-widest"
+          >
+            PAUSED
+          </button>
+        )}
+        {result && (
+          <div className="absolute inset-0 bg-black/70 rounded-lg flex items-center justify-center">
+            <div className="bg-gray-800 p-8 rounded-xl border border-gray-700 text-center">
+              <h2 className="text-3xl font-black text-white mb-2">Run Over</h2>
+              <p className="text-gray-300 mb-6">Score {result.score} | Reached wave {result.wave}</p>
+              <div className="flex gap-3">
+                <button onClick={retry} autoFocus className="flex items-center gap-2 bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg">
+                  <RotateCcw size={18} /> Try Again
+                </button>
+                <button onClick={onClose} className="flex items-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg">
+                  <ArrowLeft size={18} /> Back to Editor
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import { getThemeAssets } from '../game/assets/assetLoader';
+
+// Load progress (0..1) for a theme's images. Themes are cached, so switching
+// back to one that's already loaded reports 1 straight away.
+export const useThemeLoading = (themeId) => {
+  const assets = getThemeAssets(themeId);
+  const [progress, setProgress] = useState(assets.progress);
+
+  useEffect(() => {
+    setProgress(assets.progress);
+    return assets.onProgress(setProgress);
+  }, [assets]);
+
+  return progress;
+};
+
+export default function LoadingScreen({ progress }) {
+  const percent = Math.round(progress * 100);
+  return (
+    <div className="absolute inset-0 bg-gray-900 rounded-lg flex flex-col items-center justify-center gap-4">
+      <h2 className="text-2xl font-black text-white tracking-widest">LOADING</h2>
+      <div
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+        aria-label="Loading assets"
+        className="w-64 h-3 bg-gray-700 rounded-full overflow-hidden"
+      >
+        <div className="h-full bg-red-600 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+      <span className="font-mono text-sm text-gray-400">{percent}%</span>
+    </div>
+  );
+}
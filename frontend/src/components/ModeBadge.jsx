@@ -0,0 +1,11 @@
+import { MODES } from '../game/modes';
+
+// Tags two-player runs; solo is the norm and goes untagged
+export default function ModeBadge({ mode }) {
+  if (!mode || mode === 'solo' || !MODES[mode]) return null;
+  return (
+    <span className="ml-2 text-xs font-semibold bg-gray-700 text-gray-300 rounded px-1.5 py-0.5 align-middle">
+      {MODES[mode].label}
+    </span>
+  );
+}
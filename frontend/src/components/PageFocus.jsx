@@ -0,0 +1,24 @@
+import { useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+
+// Moves focus to the new page's heading on navigation (or the page itself if it
+// has none), so keyboard and screen reader users carry on from the top of it
+// rather than from a link that's no longer there
+export default function PageFocus({ pageRef }) {
+  const { pathname } = useLocation();
+  const isFirstPage = useRef(true);
+
+  useEffect(() => {
+    if (isFirstPage.current) {
+      isFirstPage.current = false;
+      return;
+    }
+    const page = pageRef.current;
+    const target = page?.querySelector('h1, h2') ?? page;
+    if (!target) return;
+    target.tabIndex = -1;
+    target.focus();
+  }, [pathname]);
+
+  return null;
+}
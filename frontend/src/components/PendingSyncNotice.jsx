@@ -0,0 +1,21 @@
+import { CloudOff, RefreshCw } from 'lucide-react';
+import usePendingScores from '../offline/usePendingScores';
+import { flushPendingScores } from '../offline/scoreQueue';
+
+// Shown wherever scores matter while some are still waiting to reach the server
+export default function PendingSyncNotice() {
+  const pending = usePendingScores();
+  if (!pending.length) return null;
+
+  return (
+    <div role="status" className="flex items-center justify-between gap-3 bg-amber-900/40 border border-amber-700 text-amber-200 text-sm rounded-lg px-3 py-2">
+      <span className="flex items-center gap-2">
+        <CloudOff size={16} />
+        {pending.length === 1 ? '1 score' : `${pending.length} scores`} pending sync
+      </span>
+      <button onClick={() => flushPendingScores(true)} className="flex items-center gap-1 text-amber-100 hover:text-white">
+        <RefreshCw size={14} /> Retry now
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { Link } from 'react-router-dom';
+import ModeBadge from './ModeBadge';
+import AssistBadge from './AssistBadge';
+
+// Ranked scores from the API. The row with highlightId is marked as the player's own.
+export default function ScoreTable({ scores, highlightId, emptyMessage = 'No scores yet. Be the first!' }) {
+  return (
+    <div className="bg-gray-900 rounded-lg overflow-hidden">
+      <table className="w-full text-left">
+        <thead className="bg-gray-950">
+          <tr>
+            <th scope="col" className="p-4 text-gray-400">Rank</th>
+            <th scope="col" className="p-4 text-gray-400">Player</th>
+            <th scope="col" className="p-4 text-gray-400 text-right">Wave</th>
+            <th scope="col" className="p-4 text-gray-400 text-right">Score</th>
+          </tr>
+        </thead>
+        <tbody>
+          {scores.length === 0 ? (
+            <tr><td colSpan="4" className="p-4 text-center text-gray-500">{emptyMessage}</td></tr>
+          ) : (
+            scores.map((s) => {
+              const isOwn = s.id === highlightId;
+              return (
+                <tr
+                  key={s.id}
+                  aria-current={isOwn ? 'true' : undefined}
+                  className={`border-t border-gray-800 ${isOwn ? 'bg-red-900/40 ring-1 ring-inset ring-red-500' : 'hover:bg-gray-800'}`}
+                >
+                  <td className="p-4 font-bold text-gray-300">#{s.rank}</td>
+                  <td className="p-4 font-medium text-white">
+                    {s.player_id ? <Link to={`/profile/${s.player_id}`} className="hover:underline">{s.player_name}</Link> : s.player_name}
+                    <ModeBadge mode={s.mode} />
+                    <AssistBadge assisted={s.assisted} />
+                    {isOwn && <span className="ml-2 text-xs text-red-300">(you)</span>}
+                  </td>
+                  <td className="p-4 font-mono text-right text-gray-400">{s.wave ?? '-'}</td>
+                  <td className="p-4 font-mono text-right text-yellow-400">{s.score}</td>
+                </tr>
+              );
+            })
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
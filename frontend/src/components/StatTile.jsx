@@ -0,0 +1,10 @@
+export const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+export default function StatTile({ label, value }) {
+  return (
+    <div className="bg-gray-900 rounded p-2">
+      <div className="text-lg font-bold text-white">{value}</div>
+      <div className="text-xs text-gray-400 uppercase tracking-wide">{label}</div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import { useRef, useState } from 'react';
+import { ChevronsUp, Crosshair, Pause } from 'lucide-react';
+
+const STICK_RADIUS = 40;
+const MOVE_THRESHOLD = 15;
+const JUMP_THRESHOLD = 30;
+
+export const isTouchDevice = () => (
+  typeof window !== 'undefined' &&
+  (window.matchMedia?.('(pointer: coarse)').matches || navigator.maxTouchPoints > 0)
+);
+
+function Joystick({ touchInput }) {
+  const baseRef = useRef(null);
+  const [knob, setKnob] = useState({ x: 0, y: 0 });
+
+  const update = (e) => {
+    const rect = baseRef.current.getBoundingClientRect();
+    let dx = e.clientX - (rect.left + rect.width / 2);
+    let dy = e.clientY - (rect.top + rect.height / 2);
+    const distance = Math.hypot(dx, dy);
+    if (distance > STICK_RADIUS) {
+      dx = dx / distance * STICK_RADIUS;
+      dy = dy / distance * STICK_RADIUS;
+    }
+    setKnob({ x: dx, y: dy });
+    touchInput.setAction('moveLeft', dx < -MOVE_THRESHOLD, 'stick');
+    touchInput.setAction('moveRight', dx > MOVE_THRESHOLD, 'stick');
+    // Pushing the stick up also jumps, like a d-pad up
+    touchInput.setAction('jump', dy < -JUMP_THRESHOLD, 'stick');
+  };
+
+  const release = () => {
+    setKnob({ x: 0, y: 0 });
+    touchInput.setAction('moveLeft', false, 'stick');
+    touchInput.setAction('moveRight', false, 'stick');
+    touchInput.setAction('jump', false, 'stick');
+  };
+
+  return (
+    <div
+      ref={baseRef}
+      onPointerDown={(e) => { e.currentTarget.setPointerCapture(e.pointerId); update(e); }}
+      onPointerMove={(e) => { if (e.currentTarget.hasPointerCapture(e.pointerId)) update(e); }}
+      onPointerUp={release}
+      onPointerCancel={release}
+      className="relative w-28 h-28 rounded-full bg-white/10 border-2 border-white/30 touch-none pointer-events-auto"
+      aria-label="Movement joystick"
+    >
+      <div
+        className="absolute left-1/2 top-1/2 w-12 h-12 -ml-6 -mt-6 rounded-full bg-white/40"
+        style={{ transform: `translate(${knob.x}px, ${knob.y}px)` }}
+      />
+    </div>
+  );
+}
+
+function HoldButton({ touchInput, actionId, label, className, children }) {
+  const [held, setHeld] = useState(false);
+  const set = (value) => {
+    setHeld(value);
+    touchInput.setAction(actionId, value);
+  };
+
+  return (
+    <button
+      onPointerDown={(e) => { e.currentTarget.setPointerCapture(e.pointerId); set(true); }}
+      onPointerUp={() => set(false)}
+      onPointerCancel={() => set(false)}
+      onContextMenu={(e) => e.preventDefault()}
+      aria-label={label}
+      className={`w-16 h-16 rounded-full flex items-center justify-center text-white touch-none select-none pointer-events-auto border-2 border-white/30 ${held ? 'scale-95 brightness-125' : ''} ${className}`}
+    >
+      {children}
+    </button>
+  );
+}
+
+// On-screen joystick and buttons laid over the canvas. They feed a TouchInput,
+// so the engine sees the same action state it gets from keyboard or gamepad.
+export default function TouchControls({ touchInput, onPause }) {
+  return (
+    <div className="absolute inset-0 pointer-events-none select-none">
+      <button
+        onClick={onPause}
+        aria-label="Pause"
+        className="absolute top-2 right-2 p-2 rounded-full bg-white/10 text-white pointer-events-auto"
+      >
+        <Pause size={20} />
+      </button>
+      <div className="absolute bottom-4 left-4">
+        <Joystick touchInput={touchInput} />
+      </div>
+      <div className="absolute bottom-4 right-4 flex gap-3 items-end">
+        <HoldButton touchInput={touchInput} actionId="shoot" label="Shoot" className="bg-red-600/60">
+          <Crosshair size={28} />
+        </HoldButton>
+        <HoldButton touchInput={touchInput} actionId="jump" label="Jump" className="bg-green-600/60 mb-8">
+          <ChevronsUp size={28} />
+        </HoldButton>
+      </div>
+    </div>
+  );
+}
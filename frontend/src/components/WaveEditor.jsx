@@ -0,0 +1,122 @@
+import { Plus, Trash2 } from 'lucide-react';
+import { ENEMY_TYPES } from '../game/enemies';
+import { DEFAULT_WAVE } from '../editor/levelDocument';
+
+// Bosses are added by the game itself every few waves
+const ENEMY_IDS = Object.keys(ENEMY_TYPES).filter((id) => id !== 'boss');
+const SIDES = ['left', 'right'];
+
+const NumberField = ({ label, value, onChange, min, max, step = 1 }) => (
+  <label className="flex flex-col text-xs text-gray-400 gap-1">
+    {label}
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="w-16 bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white text-sm focus:outline-none focus:border-red-500"
+    />
+  </label>
+);
+
+// waves is the level's wave list (see WAVES in game/waves.js). onChange gets
+// the new list and a key identifying the field, so typing merges into one undo step.
+export default function WaveEditor({ waves, onChange }) {
+  const updateWave = (index, patch, field) => {
+    onChange(waves.map((wave, i) => (i === index ? { ...wave, ...patch } : wave)), `wave-${index}-${field}`);
+  };
+
+  const setCount = (index, type, count) => {
+    const { [type]: previous, ...others } = waves[index].enemies;
+    const enemies = count > 0 ? { ...others, [type]: Math.min(50, Math.round(count)) } : others;
+    updateWave(index, { enemies }, type);
+  };
+
+  const toggleSide = (index, side) => {
+    const { sides } = waves[index];
+    const next = sides.includes(side) ? sides.filter((s) => s !== side) : [...sides, side];
+    if (next.length) updateWave(index, { sides: SIDES.filter((s) => next.includes(s)) }, 'sides');
+  };
+
+  return (
+    <div className="bg-gray-900 p-4 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <span className="font-semibold text-gray-200">Enemy Waves</span>
+          <p className="text-xs text-gray-500">
+            {waves.length ? 'Played in order, then repeated faster. A boss joins every 5th wave.' : 'None yet: the standard waves will be used.'}
+          </p>
+        </div>
+        <button
+          onClick={() => onChange([...waves, DEFAULT_WAVE])}
+          className="flex items-center gap-1 text-sm bg-gray-700 hover:bg-gray-600 text-white py-1 px-3 rounded"
+        >
+          <Plus size={14} /> Add Wave
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {waves.map((wave, index) => (
+          <div key={index} className="flex flex-wrap items-end gap-3 bg-gray-800 p-3 rounded">
+            <span className="font-mono text-gray-400 self-center w-6">{index + 1}</span>
+            {ENEMY_IDS.map((type) => (
+              <NumberField
+                key={type}
+                label={type}
+                min={0}
+                max={50}
+                value={wave.enemies[type] ?? 0}
+                onChange={(count) => setCount(index, type, count)}
+              />
+            ))}
+            <NumberField
+              label="Interval"
+              min={10}
+              max={600}
+              step={5}
+              value={wave.spawnInterval}
+              onChange={(spawnInterval) => updateWave(index, { spawnInterval: Math.max(10, spawnInterval) }, 'interval')}
+            />
+            <NumberField
+              label="Speed min"
+              min={0.5}
+              max={4}
+              step={0.1}
+              value={wave.speed[0]}
+              onChange={(min) => updateWave(index, { speed: [min, Math.max(min, wave.speed[1])] }, 'speed')}
+            />
+            <NumberField
+              label="Speed max"
+              min={0.5}
+              max={4}
+              step={0.1}
+              value={wave.speed[1]}
+              onChange={(max) => updateWave(index, { speed: [Math.min(max, wave.speed[0]), max] }, 'speed')}
+            />
+            <div className="flex gap-1">
+              {SIDES.map((side) => (
+                <button
+                  key={side}
+                  onClick={() => toggleSide(index, side)}
+                  aria-pressed={wave.sides.includes(side)}
+                  className={`text-xs py-1 px-2 rounded capitalize ${wave.sides.includes(side) ? 'bg-red-600 text-white' : 'bg-gray-700 text-gray-400'}`}
+                >
+                  {side}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={() => onChange(waves.filter((_, i) => i !== index))}
+              aria-label={`Remove wave ${index + 1}`}
+              className="ml-auto text-gray-500 hover:text-red-400 self-center"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
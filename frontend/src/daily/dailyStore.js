@@ -0,0 +1,22 @@
+const STORAGE_KEY = 'killerBean.daily';
+
+// The last daily challenge this device started a ranked attempt at, so the
+// Daily page knows not to offer another. It's only a hint: the server issues
+// the attempts and turns down a second one whatever this says.
+const load = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export const hasPlayedDaily = (date) => load() === date;
+
+export const markDailyPlayed = (date) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, date);
+  } catch (error) {
+    console.error('Failed to save daily challenge attempt', error);
+  }
+};
@@ -0,0 +1,61 @@
+import { TILES, VIEW_WIDTH, VIEW_HEIGHT } from '../game/constants.js';
+
+// Editing operations on level data (the JSON format in game/levels). Every
+// function returns a new level and leaves its input alone, so old versions
+// can sit in the undo history.
+
+export const TILE_SIZE = 25;
+export const MIN_COLS = VIEW_WIDTH / TILE_SIZE;
+export const MIN_ROWS = VIEW_HEIGHT / TILE_SIZE;
+export const MAX_COLS = 200;
+export const MAX_ROWS = 60;
+
+export const DEFAULT_WAVE = { enemies: { grunt: 5 }, sides: ['left', 'right'], spawnInterval: 90, speed: [1, 1.6] };
+
+export function createBlankLevel() {
+  const tiles = Array.from({ length: MIN_ROWS }, (_, row) => (
+    (row === MIN_ROWS - 1 ? TILES.SOLID : TILES.EMPTY).repeat(MIN_COLS)
+  ));
+  return {
+    id: 'my-level',
+    name: 'My Level',
+    tileSize: TILE_SIZE,
+    spawn: { x: 2, y: MIN_ROWS - 2 },
+    tiles,
+    waves: []
+  };
+}
+
+export function setTile(level, col, row, tile) {
+  if (level.tiles[row]?.[col] === undefined || level.tiles[row][col] === tile) return level;
+  const tiles = [...level.tiles];
+  tiles[row] = tiles[row].slice(0, col) + tile + tiles[row].slice(col + 1);
+  return { ...level, tiles };
+}
+
+export function setSpawn(level, col, row) {
+  if (level.spawn.x === col && level.spawn.y === row) return level;
+  return { ...level, spawn: { x: col, y: row } };
+}
+
+// Grows or crops from the right and the top, so the floor stays put
+export function resizeLevel(level, cols, rows) {
+  const width = Math.max(MIN_COLS, Math.min(MAX_COLS, cols));
+  const height = Math.max(MIN_ROWS, Math.min(MAX_ROWS, rows));
+  const resized = level.tiles.map(row => row.padEnd(width, TILES.EMPTY).slice(0, width));
+  while (resized.length < height) resized.unshift(TILES.EMPTY.repeat(width));
+  const added = height - level.tiles.length;
+  const tiles = resized.slice(resized.length - height);
+
+  return {
+    ...level,
+    tiles,
+    spawn: {
+      x: Math.min(level.spawn.x, width - 1),
+      y: Math.max(0, Math.min(level.spawn.y + added, height - 1))
+    }
+  };
+}
+
+// Ids double as file names and URL segments
+export const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
@@ -0,0 +1,24 @@
+const STORAGE_KEY = 'killerBean.levels';
+
+// Levels saved from the editor, keyed by level id
+export const getSavedLevels = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
+  }
+};
+
+const write = (levels) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(levels));
+};
+
+export const saveLevel = (level) => {
+  write({ ...getSavedLevels(), [level.id]: level });
+};
+
+export const deleteSavedLevel = (id) => {
+  const { [id]: removed, ...rest } = getSavedLevels();
+  write(rest);
+};
@@ -0,0 +1,51 @@
+import { useCallback, useState } from 'react';
+
+const MAX_HISTORY = 100;
+
+// Undo/redo over immutable values. Consecutive updates that pass the same
+// mergeKey (one paint stroke, typing in one field) become a single step.
+export default function useHistory(initial) {
+  const [history, setHistory] = useState(() => ({
+    past: [],
+    present: typeof initial === 'function' ? initial() : initial,
+    future: [],
+    mergeKey: null
+  }));
+
+  const update = useCallback((updater, mergeKey = null) => {
+    setHistory((h) => {
+      const next = typeof updater === 'function' ? updater(h.present) : updater;
+      if (next === h.present) return h;
+      const merge = mergeKey !== null && mergeKey === h.mergeKey;
+      return {
+        past: merge ? h.past : [...h.past, h.present].slice(-MAX_HISTORY),
+        present: next,
+        future: [],
+        mergeKey
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((h) => {
+      if (!h.past.length) return h;
+      return { past: h.past.slice(0, -1), present: h.past[h.past.length - 1], future: [h.present, ...h.future], mergeKey: null };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((h) => {
+      if (!h.future.length) return h;
+      return { past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1), mergeKey: null };
+    });
+  }, []);
+
+  return {
+    value: history.present,
+    update,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  };
+}
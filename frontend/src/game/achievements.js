@@ -0,0 +1,95 @@
+// Goals that carry over between runs. Each reads a progress record:
+//   totals: running counts over every run (kills, runs, timePlayed,
+//           bossKills, dailyRuns, teamRuns)
+//   best:   the most reached in any one run (timeSurvived, airborneKills,
+//           maxCombo, wave)
+// and is unlocked once progress(record) reaches goal. What they unlock is
+// listed in cosmetics.js.
+export const ACHIEVEMENTS = {
+  firstBlood: {
+    label: 'First Blood',
+    description: 'Defeat your first enemy.',
+    goal: 1,
+    progress: ({ totals }) => totals.kills
+  },
+  centurion: {
+    label: 'Centurion',
+    description: 'Defeat 100 enemies in total.',
+    goal: 100,
+    progress: ({ totals }) => totals.kills
+  },
+  exterminator: {
+    label: 'Exterminator',
+    description: 'Defeat 1,000 enemies in total.',
+    goal: 1000,
+    progress: ({ totals }) => totals.kills
+  },
+  survivor: {
+    label: 'Survivor',
+    description: 'Survive 3 minutes in one run.',
+    goal: 180,
+    progress: ({ best }) => best.timeSurvived,
+    format: 'time'
+  },
+  marathon: {
+    label: 'Marathon',
+    description: 'Survive 10 minutes in one run.',
+    goal: 600,
+    progress: ({ best }) => best.timeSurvived,
+    format: 'time'
+  },
+  skySniper: {
+    label: 'Sky Sniper',
+    description: 'Defeat 5 enemies in mid-air in one run.',
+    goal: 5,
+    progress: ({ best }) => best.airborneKills
+  },
+  comboKing: {
+    label: 'Combo King',
+    description: 'Chain a 20-kill combo.',
+    goal: 20,
+    progress: ({ best }) => best.maxCombo
+  },
+  bossSlayer: {
+    label: 'Boss Slayer',
+    description: 'Defeat a boss.',
+    goal: 1,
+    progress: ({ totals }) => totals.bossKills
+  },
+  deepDiver: {
+    label: 'Deep Diver',
+    description: 'Reach wave 10.',
+    goal: 10,
+    progress: ({ best }) => best.wave
+  },
+  dedicated: {
+    label: 'Dedicated',
+    description: 'Finish 25 runs.',
+    goal: 25,
+    progress: ({ totals }) => totals.runs
+  },
+  dailyDevotee: {
+    label: 'Daily Devotee',
+    description: 'Finish a daily challenge.',
+    goal: 1,
+    progress: ({ totals }) => totals.dailyRuns
+  },
+  teamPlayer: {
+    label: 'Team Player',
+    description: 'Finish a two-player run.',
+    goal: 1,
+    progress: ({ totals }) => totals.teamRuns
+  }
+};
+
+export const createProgress = () => ({
+  totals: { kills: 0, runs: 0, timePlayed: 0, bossKills: 0, dailyRuns: 0, teamRuns: 0 },
+  best: { timeSurvived: 0, airborneKills: 0, maxCombo: 0, wave: 0 },
+  // Achievement id -> when it was unlocked (ISO string)
+  unlocked: {}
+});
+
+// Achievements the record has reached that aren't marked unlocked yet
+export const newlyReached = (record) => Object.keys(ACHIEVEMENTS).filter(id => (
+  !record.unlocked[id] && ACHIEVEMENTS[id].progress(record) >= ACHIEVEMENTS[id].goal
+));
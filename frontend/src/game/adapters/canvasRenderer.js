@@ -0,0 +1,663 @@
+import { EVENTS, VIEW_WIDTH, VIEW_HEIGHT, TICK_RATE } from '../simulation.js';
+import { isBossWave } from '../waves.js';
+import { ENEMY_TYPES } from '../enemies/index.js';
+import { WEAPONS } from '../weapons.js';
+import { POWER_UPS } from '../powerUps.js';
+import { cameraTarget, cameraFocus } from '../camera.js';
+import { COMBO_WINDOW, comboMultiplier } from '../scoring.js';
+import { MODES } from '../modes.js';
+import { COSMETICS } from '../cosmetics.js';
+import { PALETTES, DEFAULT_PALETTE } from '../palettes.js';
+import { drawTiles } from './drawTiles.js';
+import { ParticlePool, PARTICLE_PRESETS } from './particles.js';
+import { getThemeAssets } from '../assets/assetLoader.js';
+import { playerAnimation, animationFrame } from '../assets/animation.js';
+
+const lerp = (prev, curr, alpha) => (prev === undefined ? curr : prev + (curr - prev) * alpha);
+
+// Screen shake works off "trauma" in 0..1: events add to it, it drains every
+// tick, and the offset grows with its square so small knocks stay subtle
+const MAX_SHAKE = 14;
+const TRAUMA_DECAY = 0.03;
+const KILL_TRAUMA = 0.2; // times the enemy's explosion size
+const TRAUMA = {
+  [EVENTS.BOSS_ATTACK]: 0.25,
+  [EVENTS.PLAYER_HURT]: 0.5,
+  [EVENTS.LIFE_LOST]: 0.6,
+  [EVENTS.PLAYER_OUT]: 0.6,
+  [EVENTS.PLAYER_DIED]: 0.8
+};
+const MUZZLE_FLASH_TICKS = 3;
+// Floating "+points" over kills
+const POPUP_TICKS = 45;
+// How long a player who's out stays on screen for their death animation
+const DEATH_TICKS = TICK_RATE;
+// Told apart by colour (from the palette) and a tag overhead when there's more than one player
+const PLAYER_LABELS = ['P1', 'P2'];
+// How strongly a cosmetic colour tints a theme's player sprite
+const SPRITE_TINT_ALPHA = 0.5;
+// Ticks between trail particles
+const TRAIL_EVERY = 2;
+
+// Draws simulation state onto a 2D canvas. Particles are purely cosmetic, so
+// they live here rather than in the simulation and may use Math.random.
+// Sprites and backgrounds come from the theme in settings; until they load
+// (or if a theme has none) everything is drawn as plain rectangles. The
+// accessibility settings pick the palette, and can turn off everything that
+// flashes or shakes and outline what matters.
+export class CanvasRenderer {
+  constructor(canvas, settings) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    // Everything is drawn in view units; resize() maps them onto device pixels
+    this.width = VIEW_WIDTH;
+    this.height = VIEW_HEIGHT;
+    this.scaleX = canvas.width / VIEW_WIDTH;
+    this.scaleY = canvas.height / VIEW_HEIGHT;
+    this.settings = settings;
+    this.assets = getThemeAssets(settings.theme);
+    this.palette = PALETTES[settings.palette];
+    this.particles = new ParticlePool();
+    this.trauma = 0;
+    // Per player id, like deathFrames
+    this.muzzleFlashes = {};
+    this.popups = [];
+    // Animation clock: counts ticks, and keeps going after the simulation stops at game over
+    this.frame = 0;
+    this.deathFrames = {};
+    // Recoloured sprite sheets by image and colour, built on first use
+    this.tints = new Map();
+
+    this.fps = 0;
+    this.fpsFrames = 0;
+    this.fpsSince = null;
+  }
+
+  setSettings(settings) {
+    this.settings = settings;
+    this.assets = getThemeAssets(settings.theme);
+    this.palette = PALETTES[settings.palette];
+  }
+
+  // Match the backing store to the displayed size so it stays sharp at any devicePixelRatio
+  resize() {
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(this.canvas.clientWidth * dpr));
+    const height = Math.max(1, Math.round(this.canvas.clientHeight * dpr));
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    this.scaleX = width / this.width;
+    this.scaleY = height / this.height;
+  }
+
+  // Called once per simulation tick with that tick's events and the state they led to
+  update(events, state) {
+    this.frame++;
+    this.particles.update();
+    this.trauma = Math.max(0, this.trauma - TRAUMA_DECAY);
+    Object.keys(this.muzzleFlashes).forEach(id => {
+      if (this.muzzleFlashes[id] > 0) this.muzzleFlashes[id]--;
+    });
+    this.popups = this.popups.filter(p => --p.life > 0);
+    if (state && this.frame % TRAIL_EVERY === 0) state.players.forEach(player => this.emitTrail(player));
+
+    events.forEach(event => {
+      if (TRAUMA[event.type]) this.addTrauma(TRAUMA[event.type]);
+
+      switch (event.type) {
+        case EVENTS.ENEMY_KILLED: {
+          const { explosionColor, explosionSize = 1 } = ENEMY_TYPES[event.enemyType];
+          this.addTrauma(KILL_TRAUMA * explosionSize);
+          this.emit(event.x, event.y, PARTICLE_PRESETS.explosion, { color: explosionColor }, explosionSize);
+          this.emit(event.x, event.y, PARTICLE_PRESETS.debris, { color: explosionColor }, explosionSize);
+          if (explosionSize > 1) this.emit(event.x, event.y, PARTICLE_PRESETS.ring, { color: '#fff' }, explosionSize);
+          this.addPopup(event);
+          break;
+        }
+        case EVENTS.ENEMY_HIT:
+          this.emit(event.x, event.y, PARTICLE_PRESETS.sparks, { color: '#ffe08a' });
+          break;
+        case EVENTS.ENEMY_BLOCKED:
+          this.emit(event.x, event.y, PARTICLE_PRESETS.sparks, { color: '#9fb4c7' });
+          break;
+        case EVENTS.SHOT: {
+          this.muzzleFlashes[event.player] = MUZZLE_FLASH_TICKS;
+          const player = state?.players[event.player];
+          if (player) {
+            const { x, y } = this.muzzle(player);
+            this.emit(x, y, PARTICLE_PRESETS.muzzle, {
+              color: WEAPONS[event.weapon].color,
+              angle: player.facingRight ? 0 : Math.PI
+            });
+          }
+          break;
+        }
+        case EVENTS.PLAYER_OUT:
+        case EVENTS.PLAYER_DIED:
+          this.deathFrames[event.player] = this.frame;
+          break;
+        default:
+      }
+    });
+  }
+
+  // Emits a preset scaled by the particle density setting; none at all with reduced motion
+  emit(x, y, preset, options, scale = 1) {
+    if (this.settings.reducedMotion) return;
+    const count = Math.round(preset.count * scale * this.settings.particleDensity / 100);
+    if (count > 0) this.particles.emit(x, y, preset, { ...options, count });
+  }
+
+  // Player 1 wears the cosmetics picked in settings; player 2 keeps theirs.
+  // A colour-safe palette decides body colours over the cosmetic one.
+  playerStyle(player) {
+    const colors = this.palette.players[player.id];
+    const standard = PALETTES[DEFAULT_PALETTE].players[player.id];
+    const base = { label: PLAYER_LABELS[player.id], ...colors, tint: colors.color === standard.color ? null : colors.color };
+    if (player.id !== 0) return { ...base, shape: 'shades', trail: null };
+    const { color, visor, trail } = this.settings.cosmetics;
+    const body = this.settings.palette === DEFAULT_PALETTE ? COSMETICS.color[color].color : colors.color;
+    return {
+      ...base,
+      color: body,
+      shape: COSMETICS.visor[visor].shape,
+      tint: body === standard.color ? null : body,
+      trail: COSMETICS.trail[trail].trail
+    };
+  }
+
+  // A wisp left behind while the player is on the move
+  emitTrail(player) {
+    const { trail } = this.playerStyle(player);
+    if (!trail || player.isOut || (player.vx === 0 && player.isGrounded)) return;
+    const color = trail === 'rainbow' ? `hsl(${(this.frame * 8) % 360}, 90%, 60%)` : trail;
+    const x = player.facingRight ? player.x : player.x + player.width;
+    this.emit(x, player.y + player.height - 6, PARTICLE_PRESETS.trail, { color });
+  }
+
+  addPopup({ x, y, points, multiplier, airborne, multiKill }) {
+    const bonuses = [];
+    if (multiKill > 1) bonuses.push(`MULTI x${multiKill}`);
+    if (airborne) bonuses.push('AIR');
+    this.popups.push({
+      x, y,
+      text: `+${points}`,
+      bonus: bonuses.join(' '),
+      color: multiplier > 1 ? '#ffd54f' : '#fff',
+      life: POPUP_TICKS
+    });
+  }
+
+  addTrauma(amount) {
+    // A NaN here would stick for good and take the camera transform with it
+    if (!Number.isFinite(amount)) return;
+    this.trauma = Math.min(1, this.trauma + amount);
+  }
+
+  // Where bullets leave the gun, matching the simulation's spawn point
+  muzzle(player, x = player.x, y = player.y) {
+    return { x: player.facingRight ? x + player.width : x, y: y + 17 };
+  }
+
+  render(state, alpha = 1) {
+    const { players, enemies, bullets, enemyBullets, powerUps, effects, wave } = state;
+    const outlines = this.settings.highContrast ? this.palette.outline : null;
+    // A clock that stands still stops wing flaps and warning blinks
+    const tick = this.settings.reducedMotion ? 0 : state.tick;
+    const px = (ent) => lerp(ent.prevX, ent.x, alpha);
+    const py = (ent) => lerp(ent.prevY, ent.y, alpha);
+
+    this.ctx.setTransform(this.scaleX, 0, 0, this.scaleY, 0, 0);
+
+    // Follow the players; the world is drawn in level coordinates from here on
+    const camera = cameraTarget(state, cameraFocus(players.map(p => ({ ...p, x: px(p), y: py(p) }))));
+    this.drawBackground(camera);
+    const shake = this.shakeOffset();
+    this.ctx.setTransform(this.scaleX, 0, 0, this.scaleY, (shake.x - camera.x) * this.scaleX, (shake.y - camera.y) * this.scaleY);
+    drawTiles(this.ctx, state.level, { ...camera, width: this.width, height: this.height }, {
+      palette: this.palette,
+      outline: outlines?.foe
+    });
+
+    // Draw Particles
+    this.particles.draw(this.ctx, alpha);
+
+    // Draw Power-ups, blinking when about to vanish (or held faded, with reduced motion)
+    powerUps.forEach(p => {
+      const isExpiring = p.timer < TICK_RATE * 2;
+      if (isExpiring && !this.settings.reducedMotion && Math.floor(state.tick / 6) % 2 === 0) return;
+      const { color, label } = POWER_UPS[p.type];
+      const x = px(p);
+      const y = py(p);
+      this.ctx.globalAlpha = isExpiring && this.settings.reducedMotion ? 0.5 : 1;
+      this.ctx.fillStyle = color;
+      this.ctx.fillRect(x, y, p.width, p.height);
+      if (outlines) this.outline(x, y, p.width, p.height, outlines.friend);
+      this.ctx.globalAlpha = 1.0;
+      this.ctx.fillStyle = '#000';
+      this.ctx.font = 'bold 12px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(label[0], x + p.width / 2, y + p.height - 4);
+      this.ctx.textAlign = 'left';
+    });
+
+    players.forEach(player => this.drawPlayer(state, player, px(player), py(player), outlines));
+
+    // Draw Enemies
+    enemies.forEach(e => {
+      const ex = px(e);
+      const ey = py(e);
+      const facingLeft = (e.facing ?? e.vx) < 0;
+      const colors = this.palette.enemies[e.type];
+      const tint = this.settings.palette === DEFAULT_PALETTE ? null : colors.body;
+      if (!this.drawSprite(e.type, 'run', this.frame, e, ex, ey, facingLeft, tint)) {
+        ENEMY_TYPES[e.type].draw(this.ctx, e, ex, ey, { tick, colors });
+      }
+      // Flash white when hit
+      if (e.hitTimer > 0) {
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.fillRect(ex, ey, e.width, e.height);
+      }
+      if (outlines) this.outline(ex, ey, e.width, e.height, outlines.foe);
+    });
+
+    // Draw Bullets
+    bullets.forEach(b => {
+      this.ctx.fillStyle = WEAPONS[b.weapon].color;
+      this.ctx.fillRect(px(b), py(b), b.width, b.height);
+      if (outlines) this.outline(px(b), py(b), b.width, b.height, outlines.friend);
+    });
+
+    enemyBullets.forEach(b => {
+      this.ctx.fillStyle = this.palette.enemyBullet;
+      this.ctx.fillRect(px(b), py(b), b.width, b.height);
+      if (outlines) this.outline(px(b), py(b), b.width, b.height, outlines.foe);
+    });
+
+    this.drawPopups();
+
+    this.ctx.setTransform(this.scaleX, 0, 0, this.scaleY, 0, 0);
+
+    // Cool tint while time is slowed
+    if (effects.slowmo > 0) {
+      this.ctx.fillStyle = 'rgba(120, 80, 200, 0.12)';
+      this.ctx.fillRect(0, 0, this.width, this.height);
+    }
+
+    this.drawHud(state);
+    const boss = enemies.find(e => ENEMY_TYPES[e.type].showHealthBar);
+    if (boss) this.drawBossBar(boss);
+    if (wave.phase === 'intermission') this.drawIntermission(wave);
+
+    if (this.settings.showFps) this.drawFps();
+  }
+
+  // Killer Bean, flickering while invulnerable (held faded, with reduced motion)
+  drawPlayer(state, player, x, y, outlines) {
+    const deathFrame = this.deathFrames[player.id] ?? 0;
+    // A co-op partner who's out leaves once their death has played
+    if (player.isOut && state.players.length > 1 && this.frame - deathFrame > DEATH_TICKS) return;
+
+    const style = this.playerStyle(player);
+    const isFaded = this.settings.reducedMotion || Math.floor(state.tick / 4) % 2 === 0;
+    this.ctx.globalAlpha = player.invulnerable > 0 && !player.isOut && isFaded ? 0.35 : 1;
+    const animation = playerAnimation(player, state.cooldownScale);
+    const elapsed = animation === 'death' ? this.frame - deathFrame : this.frame;
+    if (!this.drawSprite('player', animation, elapsed, player, x, y, !player.facingRight, style.tint)) {
+      this.ctx.fillStyle = style.color;
+      this.ctx.fillRect(x, y, player.width, player.height);
+      this.drawVisor(player, x, y, style);
+    }
+    this.ctx.globalAlpha = 1.0;
+    if (state.players.length > 1) {
+      this.ctx.fillStyle = style.color;
+      this.ctx.font = 'bold 12px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(style.label, x + player.width / 2, y - 8);
+      this.ctx.textAlign = 'left';
+    }
+    if (player.isOut) return;
+    if (outlines) this.outline(x, y, player.width, player.height, outlines.friend);
+    if (player.effects.shield > 0) this.drawShield(player, x, y, player.effects.shield);
+    if (this.muzzleFlashes[player.id] > 0 && !state.isOver && this.settings.particleDensity > 0 && !this.settings.reducedMotion) {
+      this.drawMuzzleFlash(player, x, y, this.muzzleFlashes[player.id]);
+    }
+  }
+
+  // Glasses/Visor, on the side the player is facing
+  drawVisor(player, x, y, { shape, visor }) {
+    const front = (offset, width) => (player.facingRight ? x + player.width - offset - width : x + offset);
+    this.ctx.fillStyle = visor;
+    switch (shape) {
+      case 'band':
+        this.ctx.fillRect(x, y + 10, player.width, 6);
+        break;
+      case 'goggles':
+        this.ctx.fillRect(front(0, 8), y + 9, 8, 8);
+        this.ctx.fillRect(front(10, 8), y + 9, 8, 8);
+        break;
+      case 'monocle':
+        this.ctx.fillRect(front(2, 10), y + 8, 10, 10);
+        this.ctx.fillStyle = '#ffd54f';
+        this.ctx.fillRect(front(6, 2), y + 18, 2, 12);
+        break;
+      default:
+        this.ctx.fillRect(front(0, 15), y + 10, 15, 8);
+    }
+  }
+
+  // Parallax layers in view space, each tiled across the width and scrolled by
+  // its own fraction of the camera's movement
+  drawBackground(camera) {
+    const { theme } = this.assets;
+    this.ctx.fillStyle = theme.background;
+    this.ctx.fillRect(0, 0, this.width, this.height);
+
+    theme.parallax.forEach(layer => {
+      const image = this.assets.image(layer.src);
+      if (!image) return;
+      const offset = ((camera.x * layer.speed) % image.width + image.width) % image.width;
+      for (let x = -offset; x < this.width; x += image.width) {
+        this.ctx.drawImage(image, x, this.height - image.height - camera.y * layer.speed);
+      }
+    });
+  }
+
+  // Draws a frame from the theme's sheet for key, bottom-centred on the entity,
+  // washed with the tint colour if one is given. Returns false when there's
+  // nothing to draw with, so the caller can fall back.
+  drawSprite(key, animationName, elapsed, ent, x, y, flip, tint = null) {
+    const sprite = this.assets.theme.sprites[key];
+    const loaded = sprite && this.assets.image(sprite.src);
+    if (!loaded) return false;
+    const image = tint ? this.tinted(loaded, tint) : loaded;
+
+    const animation = sprite.animations[animationName] ?? Object.values(sprite.animations)[0];
+    const column = animationFrame(animation, elapsed, TICK_RATE);
+    const { frameWidth, frameHeight } = sprite;
+    const left = x + ent.width / 2 - frameWidth / 2;
+    const top = y + ent.height - frameHeight;
+
+    this.ctx.save();
+    // Sheets face right; mirror for the left
+    if (flip) {
+      this.ctx.translate(left + frameWidth, top);
+      this.ctx.scale(-1, 1);
+    } else {
+      this.ctx.translate(left, top);
+    }
+    this.ctx.drawImage(image, column * frameWidth, animation.row * frameHeight, frameWidth, frameHeight, 0, 0, frameWidth, frameHeight);
+    this.ctx.restore();
+    return true;
+  }
+
+  // A copy of a sheet with colour laid over its opaque pixels
+  tinted(image, color) {
+    const key = `${image.src}|${color}`;
+    if (!this.tints.has(key)) {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width;
+      canvas.height = image.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0);
+      ctx.globalCompositeOperation = 'source-atop';
+      ctx.globalAlpha = SPRITE_TINT_ALPHA;
+      ctx.fillStyle = color;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      this.tints.set(key, canvas);
+    }
+    return this.tints.get(key);
+  }
+
+  // High-contrast ring around an entity's box
+  outline(x, y, width, height, color) {
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 2;
+    this.ctx.strokeRect(x - 1, y - 1, width + 2, height + 2);
+  }
+
+  shakeOffset() {
+    if (this.settings.reducedMotion) return { x: 0, y: 0 };
+    const strength = MAX_SHAKE * this.trauma * this.trauma * this.settings.screenShake / 100;
+    if (strength === 0) return { x: 0, y: 0 };
+    return {
+      x: (Math.random() * 2 - 1) * strength,
+      y: (Math.random() * 2 - 1) * strength
+    };
+  }
+
+  drawPopups() {
+    this.ctx.textAlign = 'center';
+    this.popups.forEach(p => {
+      const rise = (POPUP_TICKS - p.life) * 0.6;
+      this.ctx.globalAlpha = Math.min(1, p.life / 15);
+      this.ctx.fillStyle = p.color;
+      this.ctx.font = 'bold 16px Arial';
+      this.ctx.fillText(p.text, p.x, p.y - 20 - rise);
+      if (p.bonus) {
+        this.ctx.fillStyle = '#4fc3f7';
+        this.ctx.font = 'bold 11px Arial';
+        this.ctx.fillText(p.bonus, p.x, p.y - 6 - rise);
+      }
+    });
+    this.ctx.globalAlpha = 1.0;
+    this.ctx.textAlign = 'left';
+  }
+
+  drawMuzzleFlash(player, x, y, remaining) {
+    const muzzle = this.muzzle(player, x, y);
+    const radius = 4 + remaining * 2;
+    this.ctx.globalAlpha = remaining / MUZZLE_FLASH_TICKS;
+    this.ctx.fillStyle = '#fff6c2';
+    this.ctx.beginPath();
+    this.ctx.arc(muzzle.x, muzzle.y, radius, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.globalAlpha = 1.0;
+  }
+
+  drawShield(player, x, y, remaining) {
+    // Fades out over its last second
+    this.ctx.globalAlpha = Math.min(1, remaining / TICK_RATE) * 0.6;
+    this.ctx.strokeStyle = POWER_UPS.shield.color;
+    this.ctx.lineWidth = 3;
+    this.ctx.beginPath();
+    this.ctx.arc(x + player.width / 2, y + player.height / 2, player.height * 0.75, 0, Math.PI * 2);
+    this.ctx.stroke();
+    this.ctx.globalAlpha = 1.0;
+  }
+
+  drawHud(state) {
+    if (state.players.length > 1) {
+      this.drawMultiplayerHud(state);
+      return;
+    }
+    const { players: [player], score, wave } = state;
+    const { combo } = player;
+    const effects = { ...player.effects, ...state.effects };
+
+    this.ctx.fillStyle = '#fff';
+    this.ctx.font = '24px Arial';
+    this.ctx.fillText(`Score: ${score}`, 20, 40);
+    if (wave.number > 0) {
+      this.ctx.font = '18px Arial';
+      this.ctx.fillStyle = '#aaa';
+      this.ctx.fillText(`Wave ${wave.number}`, 20, 66);
+    }
+
+    // Health pips and lives
+    for (let i = 0; i < player.maxHealth; i++) {
+      this.ctx.fillStyle = i < player.health ? this.palette.players[0].color : '#3a3a50';
+      this.ctx.fillRect(20 + i * 22, 78, 18, 12);
+    }
+    this.ctx.fillStyle = '#fff';
+    this.ctx.font = '14px Arial';
+    this.ctx.fillText(`x${player.lives}`, 24 + player.maxHealth * 22, 89);
+
+    // Combo chain, with the time left to keep it going
+    if (combo.count > 1) {
+      const multiplier = comboMultiplier(combo.count);
+      this.ctx.fillStyle = multiplier > 1 ? '#ffd54f' : '#ccc';
+      this.ctx.font = 'bold 16px Arial';
+      this.ctx.fillText(`${combo.count} COMBO${multiplier > 1 ? `  x${multiplier}` : ''}`, 20, 114);
+      this.ctx.fillStyle = '#3a3a50';
+      this.ctx.fillRect(20, 120, 100, 4);
+      this.ctx.fillStyle = multiplier > 1 ? '#ffd54f' : '#ccc';
+      this.ctx.fillRect(20, 120, 100 * combo.timer / COMBO_WINDOW, 4);
+    }
+
+    // Weapon and ammo, then any running effects underneath
+    const weapon = WEAPONS[player.weapon];
+    this.ctx.textAlign = 'right';
+    this.ctx.fillStyle = weapon.color;
+    this.ctx.font = 'bold 16px Arial';
+    this.ctx.fillText(`${weapon.label}  ${player.ammo === null ? '∞' : player.ammo}`, this.width - 20, 40);
+
+    let y = 52;
+    Object.entries(effects).forEach(([effect, remaining]) => {
+      if (remaining <= 0) return;
+      const { label, color, duration } = POWER_UPS[effect];
+      this.ctx.fillStyle = '#000';
+      this.ctx.fillRect(this.width - 122, y, 102, 8);
+      this.ctx.fillStyle = color;
+      this.ctx.fillRect(this.width - 121, y + 1, 100 * remaining / duration, 6);
+      this.ctx.font = '12px Arial';
+      this.ctx.fillText(label, this.width - 128, y + 8);
+      y += 14;
+    });
+    this.ctx.textAlign = 'left';
+  }
+
+  // A panel per player, P1 in the top-left corner and P2 mirrored in the
+  // top-right. The shared score and wave go along the bottom.
+  drawMultiplayerHud(state) {
+    const { players, effects, score, wave, mode } = state;
+    const { shared } = MODES[mode];
+    players.forEach(player => this.drawPlayerPanel(player, { ...player.effects, ...effects }, !shared));
+
+    this.ctx.textAlign = 'center';
+    this.ctx.fillStyle = '#fff';
+    this.ctx.font = '18px Arial';
+    const parts = [shared ? `Score: ${score}` : MODES[mode].label.toUpperCase()];
+    if (wave.number > 0) parts.push(`Wave ${wave.number}`);
+    this.ctx.fillText(parts.join('  ·  '), this.width / 2, this.height - 16);
+    this.ctx.textAlign = 'left';
+  }
+
+  drawPlayerPanel(player, effects, showScore) {
+    const { label, color } = this.playerStyle(player);
+    const mirrored = player.id % 2 === 1;
+    const edge = mirrored ? this.width - 20 : 20;
+    // Left x of something width wide, offset in from the panel's edge
+    const at = (offset, width = 0) => (mirrored ? edge - offset - width : edge + offset);
+
+    this.ctx.textAlign = mirrored ? 'right' : 'left';
+    this.ctx.fillStyle = color;
+    this.ctx.font = 'bold 20px Arial';
+    this.ctx.fillText(showScore ? `${label}  ${player.score}` : label, edge, 36);
+    if (player.isOut) {
+      this.ctx.fillStyle = '#888';
+      this.ctx.font = 'bold 14px Arial';
+      this.ctx.fillText('OUT', edge, 58);
+      this.ctx.textAlign = 'left';
+      return;
+    }
+
+    // Health pips and lives
+    for (let i = 0; i < player.maxHealth; i++) {
+      this.ctx.fillStyle = i < player.health ? color : '#3a3a50';
+      this.ctx.fillRect(at(i * 22, 18), 46, 18, 12);
+    }
+    this.ctx.fillStyle = '#fff';
+    this.ctx.font = '14px Arial';
+    this.ctx.fillText(`x${player.lives}`, at(player.maxHealth * 22 + 4), 57);
+
+    const weapon = WEAPONS[player.weapon];
+    this.ctx.fillStyle = weapon.color;
+    this.ctx.font = 'bold 14px Arial';
+    this.ctx.fillText(`${weapon.label}  ${player.ammo === null ? '∞' : player.ammo}`, edge, 80);
+
+    let y = 92;
+    const { combo } = player;
+    if (combo.count > 1) {
+      const multiplier = comboMultiplier(combo.count);
+      this.ctx.fillStyle = multiplier > 1 ? '#ffd54f' : '#ccc';
+      this.ctx.font = 'bold 14px Arial';
+      this.ctx.fillText(`${combo.count} COMBO${multiplier > 1 ? `  x${multiplier}` : ''}`, edge, y + 12);
+      this.ctx.fillStyle = '#3a3a50';
+      this.ctx.fillRect(at(0, 100), y + 18, 100, 4);
+      const remaining = 100 * combo.timer / COMBO_WINDOW;
+      this.ctx.fillStyle = multiplier > 1 ? '#ffd54f' : '#ccc';
+      this.ctx.fillRect(at(0, remaining), y + 18, remaining, 4);
+      y += 30;
+    }
+
+    Object.entries(effects).forEach(([effect, remaining]) => {
+      if (remaining <= 0) return;
+      const { label: effectLabel, color: effectColor, duration } = POWER_UPS[effect];
+      const width = 100 * remaining / duration;
+      this.ctx.fillStyle = '#000';
+      this.ctx.fillRect(at(0, 102), y, 102, 8);
+      this.ctx.fillStyle = effectColor;
+      this.ctx.fillRect(at(1, width), y + 1, width, 6);
+      this.ctx.font = '12px Arial';
+      this.ctx.fillText(effectLabel, at(108), y + 8);
+      y += 14;
+    });
+    this.ctx.textAlign = 'left';
+  }
+
+  drawBossBar(boss) {
+    const barWidth = 300;
+    const x = (this.width - barWidth) / 2;
+    this.ctx.fillStyle = '#000';
+    this.ctx.fillRect(x - 2, 18, barWidth + 4, 16);
+    this.ctx.fillStyle = this.palette.enemies.boss.body;
+    this.ctx.fillRect(x, 20, barWidth * Math.max(0, boss.hp) / boss.maxHp, 12);
+    this.ctx.fillStyle = '#fff';
+    this.ctx.font = 'bold 12px Arial';
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText('BOSS', this.width / 2, 48);
+    this.ctx.textAlign = 'left';
+  }
+
+  drawIntermission(wave) {
+    const next = wave.number + 1;
+    const seconds = Math.ceil(wave.timer / TICK_RATE);
+
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    this.ctx.fillRect(0, this.height / 2 - 70, this.width, 130);
+
+    this.ctx.textAlign = 'center';
+    if (wave.number > 0) {
+      this.ctx.fillStyle = '#4caf50';
+      this.ctx.font = 'bold 20px Arial';
+      this.ctx.fillText(`Wave ${wave.number} cleared!`, this.width / 2, this.height / 2 - 40);
+    }
+    this.ctx.fillStyle = isBossWave(next) ? '#ff3b3b' : '#fff';
+    this.ctx.font = 'bold 44px Arial';
+    this.ctx.fillText(isBossWave(next) ? `BOSS WAVE ${next}` : `WAVE ${next}`, this.width / 2, this.height / 2 + 10);
+    this.ctx.fillStyle = '#aaa';
+    this.ctx.font = '18px Arial';
+    this.ctx.fillText(`Starting in ${seconds}...`, this.width / 2, this.height / 2 + 42);
+    this.ctx.textAlign = 'left';
+  }
+
+  drawFps() {
+    const now = performance.now();
+    if (this.fpsSince === null) this.fpsSince = now;
+    this.fpsFrames++;
+    if (now - this.fpsSince >= 500) {
+      this.fps = Math.round(this.fpsFrames * 1000 / (now - this.fpsSince));
+      this.fpsFrames = 0;
+      this.fpsSince = now;
+    }
+
+    this.ctx.fillStyle = '#0f0';
+    this.ctx.font = '14px monospace';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText(`${this.fps} FPS`, this.width - 10, this.height - 28);
+    this.ctx.textAlign = 'left';
+  }
+}
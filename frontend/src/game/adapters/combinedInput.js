@@ -0,0 +1,18 @@
+// Merges several input sources; an action is held if any source holds it
+export class CombinedInput {
+  constructor(sources) {
+    this.sources = sources;
+  }
+
+  setBindings(bindings) {
+    this.sources.forEach(source => source.setBindings?.(bindings));
+  }
+
+  attach() { this.sources.forEach(source => source.attach()); }
+  detach() { this.sources.forEach(source => source.detach()); }
+  reset() { this.sources.forEach(source => source.reset()); }
+
+  read(tick) {
+    return this.sources.reduce((mask, source) => mask | source.read(tick), 0);
+  }
+}
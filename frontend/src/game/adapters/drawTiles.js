@@ -0,0 +1,55 @@
+import { TILES } from '../constants.js';
+import { PALETTES, DEFAULT_PALETTE } from '../palettes.js';
+
+// Draws the part of a level's tile map inside view ({ x, y, width, height } in
+// level coordinates). Shared by the game renderer and the level editor.
+// Hazards take the palette's colour, and outline is a colour to ring them with.
+export function drawTiles(ctx, level, view, { palette = PALETTES[DEFAULT_PALETTE], outline = null } = {}) {
+  const size = level.tileSize;
+  const rows = level.tiles.length;
+  const cols = level.tiles[0].length;
+  const firstCol = Math.max(0, Math.floor(view.x / size));
+  const lastCol = Math.min(cols - 1, Math.floor((view.x + view.width) / size));
+  const firstRow = Math.max(0, Math.floor(view.y / size));
+  const lastRow = Math.min(rows - 1, Math.floor((view.y + view.height) / size));
+
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let col = firstCol; col <= lastCol; col++) {
+      const x = col * size;
+      const y = row * size;
+      switch (level.tiles[row][col]) {
+        case TILES.SOLID:
+          ctx.fillStyle = '#16213e';
+          ctx.fillRect(x, y, size, size);
+          // Lighter edge on walkable tops
+          if (row === 0 || level.tiles[row - 1][col] !== TILES.SOLID) {
+            ctx.fillStyle = '#26325a';
+            ctx.fillRect(x, y, size, 3);
+          }
+          break;
+        case TILES.ONE_WAY:
+          ctx.fillStyle = '#4b5d8a';
+          ctx.fillRect(x, y, size, 5);
+          break;
+        case TILES.HAZARD:
+          ctx.fillStyle = palette.hazard;
+          ctx.beginPath();
+          for (let i = 0; i < 3; i++) {
+            const spikeX = x + i * size / 3;
+            ctx.moveTo(spikeX, y + size);
+            ctx.lineTo(spikeX + size / 6, y + 2);
+            ctx.lineTo(spikeX + size / 3, y + size);
+          }
+          ctx.fill();
+          if (outline) {
+            ctx.strokeStyle = outline;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+          }
+          break;
+        default:
+          break;
+      }
+    }
+  }
+}
@@ -0,0 +1,45 @@
+import { ACTIONS } from '../bindings.js';
+
+export const AXIS_DEADZONE = 0.5;
+
+// True when a 'button:<i>' or 'axis:<i>:<+|->' binding is held on the pad
+export const isBindingActive = (pad, binding) => {
+  const [kind, index, direction] = binding.split(':');
+  if (kind === 'button') return Boolean(pad.buttons[index]?.pressed);
+  const value = pad.axes[index] ?? 0;
+  return direction === '-' ? value < -AXIS_DEADZONE : value > AXIS_DEADZONE;
+};
+
+export const getConnectedGamepads = () => (
+  typeof navigator !== 'undefined' && navigator.getGamepads
+    ? Array.from(navigator.getGamepads()).filter(Boolean)
+    : []
+);
+
+// Polls the Gamepad API each tick; any connected pad can drive the player,
+// or only the padIndex-th connected one when it's given (local multiplayer)
+export class GamepadInput {
+  constructor(bindings, padIndex = null) {
+    this.bindings = bindings;
+    this.padIndex = padIndex;
+  }
+
+  setBindings(bindings) {
+    this.bindings = bindings;
+  }
+
+  attach() {}
+  detach() {}
+  reset() {}
+
+  read() {
+    let mask = 0;
+    const pads = getConnectedGamepads();
+    (this.padIndex === null ? pads : pads.slice(this.padIndex, this.padIndex + 1)).forEach(pad => {
+      ACTIONS.forEach(({ id, bit }) => {
+        if (this.bindings.gamepad[id].some(binding => isBindingActive(pad, binding))) mask |= bit;
+      });
+    });
+    return mask;
+  }
+}
@@ -0,0 +1,41 @@
+import { ACTIONS } from '../bindings.js';
+
+// Turns DOM key state into the simulation's input bitmask
+export class KeyboardInput {
+  constructor(bindings, target = window) {
+    this.bindings = bindings;
+    this.target = target;
+    this.keys = {};
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+  }
+
+  setBindings(bindings) {
+    this.bindings = bindings;
+  }
+
+  attach() {
+    this.target.addEventListener('keydown', this.handleKeyDown);
+    this.target.addEventListener('keyup', this.handleKeyUp);
+  }
+
+  detach() {
+    this.target.removeEventListener('keydown', this.handleKeyDown);
+    this.target.removeEventListener('keyup', this.handleKeyUp);
+    this.reset();
+  }
+
+  // Forget held keys, e.g. when keyup events may have been missed
+  reset() { this.keys = {}; }
+
+  handleKeyDown(e) { this.keys[e.code] = true; }
+  handleKeyUp(e) { this.keys[e.code] = false; }
+
+  read() {
+    let mask = 0;
+    ACTIONS.forEach(({ id, bit }) => {
+      if (this.bindings.keyboard[id].some(code => this.keys[code])) mask |= bit;
+    });
+    return mask;
+  }
+}
@@ -0,0 +1,36 @@
+import { PLAYER_INPUT_BITS } from '../constants.js';
+import { SHARED_KEYBOARD_BINDINGS } from '../bindings.js';
+import { KeyboardInput } from './keyboardInput.js';
+import { GamepadInput } from './gamepadInput.js';
+import { CombinedInput } from './combinedInput.js';
+
+// One input source per player, packed into a single mask with each player's
+// actions in their own bits (see playerInput)
+export class MultiplayerInput {
+  constructor(sources) {
+    this.sources = sources;
+  }
+
+  // Each player's keys are fixed; only the gamepad bindings follow settings
+  setBindings(bindings) {
+    this.sources.forEach((source, i) => source.setBindings(playerBindings(bindings, i)));
+  }
+
+  attach() { this.sources.forEach(source => source.attach()); }
+  detach() { this.sources.forEach(source => source.detach()); }
+  reset() { this.sources.forEach(source => source.reset()); }
+
+  read(tick) {
+    return this.sources.reduce((mask, source, i) => mask | (source.read(tick) << (i * PLAYER_INPUT_BITS)), 0);
+  }
+}
+
+const playerBindings = (bindings, index) => ({ ...bindings, keyboard: SHARED_KEYBOARD_BINDINGS[index] });
+
+// Players sharing the keyboard, one half each, plus a gamepad apiece
+export const localMultiplayerInput = (bindings, players = SHARED_KEYBOARD_BINDINGS.length) => new MultiplayerInput(
+  Array.from({ length: players }, (_, i) => new CombinedInput([
+    new KeyboardInput(playerBindings(bindings, i)),
+    new GamepadInput(bindings, i)
+  ]))
+);
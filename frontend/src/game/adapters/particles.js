@@ -0,0 +1,128 @@
+// Cosmetic particles for the canvas renderer. Everything here is presentation
+// only, so Math.random and the trig functions are fine.
+
+const MAX_PARTICLES = 600;
+
+// How opacity falls as a particle ages; t runs from 1 (new) to 0 (dead)
+const FADES = {
+  linear: t => t,
+  // Drops off early, for short bright bursts
+  fast: t => t * t,
+  // Holds near full strength and goes at the end
+  slow: t => Math.sqrt(t)
+};
+
+// Emitter settings. angle/spread are in radians: particles leave at angle
+// plus or minus spread / 2. speed and life are [min, max] ranges, drag
+// multiplies velocity each tick and gravity is added to vy each tick.
+export const PARTICLE_PRESETS = {
+  explosion: {
+    count: 10, shape: 'square', size: 4, speed: [1, 5], angle: 0, spread: Math.PI * 2,
+    life: [20, 40], drag: 1, gravity: 0, fade: 'linear'
+  },
+  debris: {
+    count: 6, shape: 'square', size: 3, speed: [2, 5], angle: -Math.PI / 2, spread: Math.PI,
+    life: [30, 50], drag: 0.98, gravity: 0.25, fade: 'slow'
+  },
+  sparks: {
+    count: 4, shape: 'spark', size: 2, speed: [3, 6], angle: 0, spread: Math.PI * 2,
+    life: [6, 12], drag: 0.85, gravity: 0.1, fade: 'fast'
+  },
+  muzzle: {
+    count: 3, shape: 'spark', size: 2, speed: [4, 7], angle: 0, spread: 0.6,
+    life: [3, 6], drag: 0.7, gravity: 0, fade: 'fast'
+  },
+  ring: {
+    count: 12, shape: 'circle', size: 3, speed: [3, 3.5], angle: 0, spread: Math.PI * 2,
+    life: [16, 20], drag: 0.9, gravity: 0, fade: 'linear'
+  },
+  trail: {
+    count: 1, shape: 'circle', size: 3, speed: [0, 0.6], angle: -Math.PI / 2, spread: Math.PI,
+    life: [14, 22], drag: 0.9, gravity: -0.03, fade: 'linear'
+  }
+};
+
+const between = ([min, max]) => min + Math.random() * (max - min);
+
+// Fixed-size pool. Dead particles are swapped past the live count and reused,
+// so a busy fight never allocates or splices; when the pool is full new
+// particles are dropped.
+export class ParticlePool {
+  constructor(capacity = MAX_PARTICLES) {
+    this.particles = Array.from({ length: capacity }, () => ({}));
+    this.count = 0;
+  }
+
+  // options override the preset (usually color, angle or count)
+  emit(x, y, preset, options = {}) {
+    const config = { ...preset, ...options };
+    for (let i = 0; i < config.count && this.count < this.particles.length; i++) {
+      const p = this.particles[this.count++];
+      const angle = config.angle + (Math.random() - 0.5) * config.spread;
+      const speed = between(config.speed);
+      p.x = p.prevX = x;
+      p.y = p.prevY = y;
+      p.vx = Math.cos(angle) * speed;
+      p.vy = Math.sin(angle) * speed;
+      p.life = p.maxLife = between(config.life);
+      p.color = config.color;
+      p.shape = config.shape;
+      p.size = config.size;
+      p.drag = config.drag;
+      p.gravity = config.gravity;
+      p.fade = FADES[config.fade];
+    }
+  }
+
+  clear() {
+    this.count = 0;
+  }
+
+  // One simulation tick
+  update() {
+    for (let i = this.count - 1; i >= 0; i--) {
+      const p = this.particles[i];
+      p.prevX = p.x;
+      p.prevY = p.y;
+      p.vx *= p.drag;
+      p.vy = p.vy * p.drag + p.gravity;
+      p.x += p.vx;
+      p.y += p.vy;
+      p.life--;
+      if (p.life <= 0) {
+        // Swap the last live particle into this slot
+        this.count--;
+        this.particles[i] = this.particles[this.count];
+        this.particles[this.count] = p;
+      }
+    }
+  }
+
+  draw(ctx, alpha) {
+    for (let i = 0; i < this.count; i++) {
+      const p = this.particles[i];
+      const x = p.prevX + (p.x - p.prevX) * alpha;
+      const y = p.prevY + (p.y - p.prevY) * alpha;
+      ctx.globalAlpha = p.fade(Math.max(0, p.life / p.maxLife));
+
+      if (p.shape === 'spark') {
+        // A streak along the direction of travel
+        ctx.strokeStyle = p.color;
+        ctx.lineWidth = p.size;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x - p.vx * 2, y - p.vy * 2);
+        ctx.stroke();
+      } else if (p.shape === 'circle') {
+        ctx.fillStyle = p.color;
+        ctx.beginPath();
+        ctx.arc(x, y, p.size, 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        ctx.fillStyle = p.color;
+        ctx.fillRect(x - p.size / 2, y - p.size / 2, p.size, p.size);
+      }
+    }
+    ctx.globalAlpha = 1.0;
+  }
+}
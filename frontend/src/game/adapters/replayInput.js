@@ -0,0 +1,16 @@
+import { ReplayPlayer } from '../replay.js';
+
+// Input adapter that plays back a recorded run instead of reading devices
+export class ReplayInput {
+  constructor(inputs) {
+    this.player = new ReplayPlayer(inputs);
+  }
+
+  attach() {}
+  detach() {}
+  reset() {}
+
+  read(tick) {
+    return this.player.inputAt(tick);
+  }
+}
@@ -0,0 +1,29 @@
+import { ACTIONS } from '../bindings.js';
+
+// Action state driven by on-screen controls; the UI sets, the engine reads.
+// Each control reports as its own source so two controls sharing an action
+// (stick-up and the jump button) don't release each other.
+export class TouchInput {
+  constructor() {
+    this.held = {};
+  }
+
+  setAction(actionId, held, source = 'button') {
+    const sources = this.held[actionId] ?? new Set();
+    if (held) sources.add(source);
+    else sources.delete(source);
+    this.held[actionId] = sources;
+  }
+
+  attach() {}
+  detach() { this.reset(); }
+  reset() { this.held = {}; }
+
+  read() {
+    let mask = 0;
+    ACTIONS.forEach(({ id, bit }) => {
+      if (this.held[id]?.size) mask |= bit;
+    });
+    return mask;
+  }
+}
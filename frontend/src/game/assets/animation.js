@@ -0,0 +1,21 @@
+import { WEAPONS } from '../weapons.js';
+
+// Ticks after firing that the shoot pose is held
+const SHOOT_POSE_TICKS = 8;
+
+// Which animation the player's state calls for. cooldownScale is the run's
+// (see modifiers.js), since the pose is timed from the last shot.
+export function playerAnimation(player, cooldownScale = 1) {
+  if (player.isOut) return 'death';
+  const cooldown = Math.max(1, Math.round(WEAPONS[player.weapon].cooldown * cooldownScale));
+  if (player.cooldown > 0 && player.cooldown > cooldown - SHOOT_POSE_TICKS) return 'shoot';
+  if (!player.isGrounded) return 'jump';
+  if (player.vx !== 0) return 'run';
+  return 'idle';
+}
+
+// Column of the frame to show after elapsed ticks of an animation
+export function animationFrame(animation, elapsed, tickRate) {
+  const frame = Math.floor(elapsed * animation.fps / tickRate);
+  return animation.loop === false ? Math.min(animation.frames - 1, frame) : frame % animation.frames;
+}
@@ -0,0 +1,63 @@
+import { THEMES, DEFAULT_THEME } from './themes/index.js';
+
+// Every image a theme uses, loaded once and shared by all renderers. Images
+// that fail to load are simply missing, so the renderer falls back for them.
+class ThemeAssets {
+  constructor(theme) {
+    this.theme = theme;
+    this.images = new Map();
+    this.listeners = new Set();
+    this.loaded = 0;
+
+    const sources = new Set([
+      ...theme.parallax.map(layer => layer.src),
+      ...Object.values(theme.sprites).map(sprite => sprite.src)
+    ]);
+    this.total = sources.size;
+    this.ready = Promise.all([...sources].map(src => this.load(src)));
+  }
+
+  load(src) {
+    return new Promise(resolve => {
+      const image = new Image();
+      image.onload = () => {
+        this.images.set(src, image);
+        this.settle(resolve);
+      };
+      image.onerror = () => {
+        console.error(`Failed to load ${src}`);
+        this.settle(resolve);
+      };
+      image.src = src;
+    });
+  }
+
+  settle(resolve) {
+    this.loaded++;
+    this.listeners.forEach(listener => listener(this.progress));
+    resolve();
+  }
+
+  // 0..1
+  get progress() {
+    return this.total ? this.loaded / this.total : 1;
+  }
+
+  onProgress(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // The loaded image for src, or null until (unless) it arrives
+  image(src) {
+    return this.images.get(src) ?? null;
+  }
+}
+
+const cache = new Map();
+
+export function getThemeAssets(themeId) {
+  const id = THEMES[themeId] ? themeId : DEFAULT_THEME;
+  if (!cache.has(id)) cache.set(id, new ThemeAssets(THEMES[id]));
+  return cache.get(id);
+}
@@ -0,0 +1,16 @@
+import studio from './studio/index.js';
+import retro from './retro.js';
+
+// Theme packs. A theme provides:
+//   background  colour behind everything (and the fallback while layers load)
+//   parallax    [{ src, speed }] layers drawn back to front; speed is how far a
+//               layer moves per unit of camera movement (0 = fixed to the view)
+//   sprites     entity key ('player' or an enemy type) -> sprite sheet:
+//               { src, frameWidth, frameHeight, animations: { name: { row, frames, fps, loop? } } }
+// Anything a theme leaves out is drawn with the built-in rectangles.
+export const THEMES = {
+  [studio.id]: studio,
+  [retro.id]: retro
+};
+
+export const DEFAULT_THEME = studio.id;
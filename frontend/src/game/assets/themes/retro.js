@@ -0,0 +1,8 @@
+// No assets at all: the original flat-colour rectangles
+export default {
+  id: 'retro',
+  label: 'Retro',
+  background: '#1a1a2e',
+  parallax: [],
+  sprites: {}
+};
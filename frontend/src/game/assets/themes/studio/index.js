@@ -0,0 +1,39 @@
+import player from './player.svg';
+import grunt from './grunt.svg';
+import sky from './sky.svg';
+import cityFar from './city-far.svg';
+import cityNear from './city-near.svg';
+
+// Night-time city with sprite-sheet characters
+export default {
+  id: 'studio',
+  label: 'Studio',
+  background: '#1a1a2e',
+  parallax: [
+    { src: sky, speed: 0 },
+    { src: cityFar, speed: 0.15 },
+    { src: cityNear, speed: 0.4 }
+  ],
+  sprites: {
+    player: {
+      src: player,
+      frameWidth: 40,
+      frameHeight: 48,
+      animations: {
+        idle: { row: 0, frames: 4, fps: 4 },
+        run: { row: 1, frames: 6, fps: 12 },
+        jump: { row: 2, frames: 2, fps: 8 },
+        shoot: { row: 3, frames: 2, fps: 15 },
+        death: { row: 4, frames: 6, fps: 10, loop: false }
+      }
+    },
+    grunt: {
+      src: grunt,
+      frameWidth: 36,
+      frameHeight: 44,
+      animations: {
+        run: { row: 0, frames: 4, fps: 8 }
+      }
+    }
+  }
+};
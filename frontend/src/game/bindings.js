@@ -0,0 +1,132 @@
+import { INPUT } from './simulation.js';
+
+// Abstract actions the player can bind, in display order
+export const ACTIONS = [
+  { id: 'moveLeft', label: 'Move Left', bit: INPUT.LEFT },
+  { id: 'moveRight', label: 'Move Right', bit: INPUT.RIGHT },
+  { id: 'jump', label: 'Jump', bit: INPUT.JUMP },
+  { id: 'shoot', label: 'Shoot', bit: INPUT.SHOOT }
+];
+
+// Keys the pause menu owns; they can't be bound to actions
+export const RESERVED_KEYS = ['Escape', 'KeyP'];
+
+// Keyboard bindings are KeyboardEvent.code values. Gamepad bindings use the
+// Standard Gamepad layout: 'button:<index>' or 'axis:<index>:<+|->'.
+export const DEFAULT_BINDINGS = {
+  keyboard: {
+    moveLeft: ['ArrowLeft', 'KeyA'],
+    moveRight: ['ArrowRight', 'KeyD'],
+    jump: ['ArrowUp', 'KeyW', 'Space'],
+    shoot: ['Enter', 'KeyF']
+  },
+  gamepad: {
+    moveLeft: ['axis:0:-', 'button:14'],
+    moveRight: ['axis:0:+', 'button:15'],
+    jump: ['button:0'],
+    shoot: ['button:2', 'button:7']
+  }
+};
+
+// Two players on one keyboard get fixed halves of it instead of the
+// bindings above, which would overlap
+export const SHARED_KEYBOARD_BINDINGS = [
+  {
+    moveLeft: ['KeyA'],
+    moveRight: ['KeyD'],
+    jump: ['KeyW', 'Space'],
+    shoot: ['KeyF']
+  },
+  {
+    moveLeft: ['ArrowLeft'],
+    moveRight: ['ArrowRight'],
+    jump: ['ArrowUp'],
+    shoot: ['Enter', 'ShiftRight']
+  }
+];
+
+export const DEVICES = ['keyboard', 'gamepad'];
+
+const isBindingList = (list) => Array.isArray(list) && list.every(b => typeof b === 'string');
+
+// Fills in missing devices/actions from the defaults and drops anything malformed
+export const normalizeBindings = (raw) => {
+  const bindings = {};
+  DEVICES.forEach(device => {
+    bindings[device] = {};
+    ACTIONS.forEach(({ id }) => {
+      const list = raw?.[device]?.[id];
+      bindings[device][id] = isBindingList(list) ? [...new Set(list)] : [...DEFAULT_BINDINGS[device][id]];
+    });
+  });
+  bindings.keyboard = Object.fromEntries(
+    Object.entries(bindings.keyboard).map(([id, codes]) => [id, codes.filter(code => !RESERVED_KEYS.includes(code))])
+  );
+  return bindings;
+};
+
+// Returns the action that already uses this binding on the device, if any
+export const findConflict = (bindings, device, binding, exceptAction) => (
+  ACTIONS.find(({ id }) => id !== exceptAction && bindings[device][id].includes(binding)) || null
+);
+
+// Binds to action, taking the binding away from whichever action had it before
+export const assignBinding = (bindings, device, actionId, binding) => {
+  const deviceBindings = {};
+  ACTIONS.forEach(({ id }) => {
+    const list = bindings[device][id].filter(b => b !== binding);
+    deviceBindings[id] = id === actionId ? [...list, binding] : list;
+  });
+  return { ...bindings, [device]: deviceBindings };
+};
+
+export const removeBinding = (bindings, device, actionId, binding) => ({
+  ...bindings,
+  [device]: { ...bindings[device], [actionId]: bindings[device][actionId].filter(b => b !== binding) }
+});
+
+const KEY_NAMES = {
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  Space: 'Space',
+  Enter: 'Enter',
+  ShiftLeft: 'L-Shift',
+  ShiftRight: 'R-Shift',
+  ControlLeft: 'L-Ctrl',
+  ControlRight: 'R-Ctrl',
+  AltLeft: 'L-Alt',
+  AltRight: 'R-Alt'
+};
+
+// Standard Gamepad button names (Xbox-style labels)
+const BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+  'L-Stick', 'R-Stick', 'D-Up', 'D-Down', 'D-Left', 'D-Right', 'Home'
+];
+
+const AXIS_NAMES = ['Left Stick X', 'Left Stick Y', 'Right Stick X', 'Right Stick Y'];
+
+export const formatBinding = (device, binding) => {
+  if (device === 'keyboard') {
+    if (KEY_NAMES[binding]) return KEY_NAMES[binding];
+    if (binding.startsWith('Key')) return binding.slice(3);
+    if (binding.startsWith('Digit')) return binding.slice(5);
+    return binding;
+  }
+  const [kind, index, direction] = binding.split(':');
+  if (kind === 'button') return BUTTON_NAMES[index] ?? `Button ${index}`;
+  const axis = AXIS_NAMES[index] ?? `Axis ${index}`;
+  return `${axis} ${direction === '-' ? '−' : '+'}`;
+};
+
+// "[A/Left] Move Left | [D/Right] Move Right | ..." from the active keyboard bindings
+export const describeControls = (bindings) => (
+  ACTIONS
+    .map(({ id, label }) => {
+      const keys = bindings.keyboard[id].map(code => formatBinding('keyboard', code));
+      return `[${keys.length ? keys.join('/') : 'unbound'}] ${label}`;
+    })
+    .join(' | ')
+);
@@ -0,0 +1,28 @@
+import { VIEW_WIDTH, VIEW_HEIGHT } from './constants.js';
+
+// The box the camera keeps centred: around every player still in the game,
+// or everyone once nobody is
+export function cameraFocus(players) {
+  const active = players.filter(p => !p.isOut);
+  const tracked = active.length ? active : players;
+  const left = Math.min(...tracked.map(p => p.x));
+  const top = Math.min(...tracked.map(p => p.y));
+  return {
+    x: left,
+    y: top,
+    width: Math.max(...tracked.map(p => p.x + p.width)) - left,
+    height: Math.max(...tracked.map(p => p.y + p.height)) - top
+  };
+}
+
+// Top-left of the view that keeps the focus centred without showing past
+// the level's edges. The simulation uses it to spawn enemies just off-screen,
+// renderers to scroll.
+export function cameraTarget(state, focus = cameraFocus(state.players)) {
+  const x = focus.x + focus.width / 2 - VIEW_WIDTH / 2;
+  const y = focus.y + focus.height / 2 - VIEW_HEIGHT / 2;
+  return {
+    x: Math.max(0, Math.min(state.width - VIEW_WIDTH, x)),
+    y: Math.max(0, Math.min(state.height - VIEW_HEIGHT, y))
+  };
+}
@@ -0,0 +1,48 @@
+// Shared by the simulation and its data modules (waves, enemies, ...)
+
+export const TICK_RATE = 60;
+
+// Logical size of the visible window onto the level; the simulation never
+// looks at the canvas
+export const VIEW_WIDTH = 800;
+export const VIEW_HEIGHT = 450;
+
+// Tile characters in a level's map
+export const TILES = {
+  EMPTY: '.',
+  SOLID: '#',
+  ONE_WAY: '=',
+  HAZARD: '^'
+};
+
+// Per-tick input is packed into a bitmask so recordings stay small
+export const INPUT = {
+  LEFT: 1,
+  RIGHT: 2,
+  JUMP: 4,
+  SHOOT: 8
+};
+
+// With two players each gets its own PLAYER_INPUT_BITS of the mask: player 1
+// in the low bits, player 2 above, so single-player recordings are unchanged
+export const PLAYER_INPUT_BITS = 4;
+export const playerInput = (input, index) => (input >> (index * PLAYER_INPUT_BITS)) & ((1 << PLAYER_INPUT_BITS) - 1);
+
+export const EVENTS = {
+  SHOT: 'shot',
+  JUMPED: 'jumped',
+  ENEMY_HIT: 'enemyHit',
+  ENEMY_BLOCKED: 'enemyBlocked',
+  ENEMY_KILLED: 'enemyKilled',
+  BOSS_SPAWNED: 'bossSpawned',
+  BOSS_ATTACK: 'bossAttack',
+  WAVE_STARTED: 'waveStarted',
+  WAVE_CLEARED: 'waveCleared',
+  POWERUP_DROPPED: 'powerUpDropped',
+  POWERUP_COLLECTED: 'powerUpCollected',
+  PLAYER_HURT: 'playerHurt',
+  LIFE_LOST: 'lifeLost',
+  // A co-op player out of lives while their partner plays on
+  PLAYER_OUT: 'playerOut',
+  PLAYER_DIED: 'playerDied'
+};
@@ -0,0 +1,45 @@
+// Looks for player 1 that achievements unlock. Purely presentation: nothing
+// here reaches the simulation, so runs and replays are unaffected.
+//   unlockedBy: achievement id (see achievements.js), or absent if always available
+//   color:      body colour, and the tint over theme sprites
+//   shape:      visor drawn over the built-in rectangles (themes with a player
+//               sprite have their own face)
+//   trail:      particle colour left behind while moving; 'rainbow' cycles
+export const COSMETICS = {
+  color: {
+    classic: { label: 'Classic', color: '#e94560' },
+    gold: { label: 'Gold', color: '#ffc107', unlockedBy: 'centurion' },
+    midnight: { label: 'Midnight', color: '#3f51b5', unlockedBy: 'marathon' },
+    violet: { label: 'Violet', color: '#9c27b0', unlockedBy: 'dailyDevotee' },
+    chrome: { label: 'Chrome', color: '#b0bec5', unlockedBy: 'dedicated' }
+  },
+  visor: {
+    shades: { label: 'Shades', shape: 'shades' },
+    band: { label: 'Band', shape: 'band', unlockedBy: 'comboKing' },
+    goggles: { label: 'Goggles', shape: 'goggles', unlockedBy: 'survivor' },
+    monocle: { label: 'Monocle', shape: 'monocle', unlockedBy: 'bossSlayer' }
+  },
+  trail: {
+    none: { label: 'None', trail: null },
+    sparks: { label: 'Sparks', trail: '#ffd54f', unlockedBy: 'skySniper' },
+    embers: { label: 'Embers', trail: '#ff5722', unlockedBy: 'exterminator' },
+    rainbow: { label: 'Rainbow', trail: 'rainbow', unlockedBy: 'deepDiver' }
+  }
+};
+
+export const DEFAULT_COSMETICS = { color: 'classic', visor: 'shades', trail: 'none' };
+
+export const COSMETIC_SLOTS = [
+  { id: 'color', label: 'Colour' },
+  { id: 'visor', label: 'Visor' },
+  { id: 'trail', label: 'Trail' }
+];
+
+// What an achievement unlocks: [{ slot, id, label }]
+export const rewardsFor = (achievementId) => COSMETIC_SLOTS.flatMap(({ id: slot }) => (
+  Object.entries(COSMETICS[slot])
+    .filter(([, cosmetic]) => cosmetic.unlockedBy === achievementId)
+    .map(([id, cosmetic]) => ({ slot, id, label: cosmetic.label }))
+));
+
+export const isUnlocked = (cosmetic, unlocked) => !cosmetic.unlockedBy || Boolean(unlocked[cosmetic.unlockedBy]);
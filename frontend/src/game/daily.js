@@ -0,0 +1,46 @@
+import { createRng } from './rng.js';
+import { MODIFIERS } from './modifiers.js';
+import { LEVELS } from './levels/index.js';
+
+// How many modifiers each day's challenge mixes in
+const MODIFIERS_PER_DAY = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days turn over at midnight UTC, so everyone plays the same challenge at once
+export const dailyDate = (now = new Date()) => now.toISOString().slice(0, 10);
+
+export const isDailyDate = (date) => /^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(Date.parse(date));
+
+export const msUntilNextDaily = (now = new Date()) => DAY_MS - (now.getTime() % DAY_MS);
+
+// FNV-1a, so the seed is a plain function of the date string
+const hashDate = (date) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < date.length; i++) {
+    hash = Math.imul(hash ^ date.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// The run everyone plays on that date (YYYY-MM-DD): the stage and the
+// modifiers follow from the date alone, so the verifier can rebuild them
+// without being told. This seed is for practice; a ranked attempt plays on
+// the seed the server hands out when it's started.
+export function dailyChallenge(date = dailyDate()) {
+  const seed = hashDate(date);
+  const random = createRng(seed);
+  const levels = Object.keys(LEVELS);
+  const modifiers = Object.keys(MODIFIERS);
+  for (let i = modifiers.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [modifiers[i], modifiers[j]] = [modifiers[j], modifiers[i]];
+  }
+  return {
+    date,
+    seed,
+    level: levels[Math.floor(random() * levels.length)],
+    difficulty: 'normal',
+    mode: 'solo',
+    modifiers: modifiers.slice(0, MODIFIERS_PER_DAY)
+  };
+}
@@ -0,0 +1,123 @@
+import { EVENTS, VIEW_WIDTH } from '../constants.js';
+import { towardPlayer, applyGravity, moveAndCollide } from '../physics.js';
+import { cameraTarget } from '../camera.js';
+
+const BASE_HP = 20;
+const HP_PER_LEVEL = 10;
+const SCORE_PER_LEVEL = 250;
+
+// Attacks it alternates between, with a walk toward the player in between
+const PATTERN = ['volley', 'charge'];
+
+// Multi-hit boss that closes in, fires aimed volleys and telegraphs charges
+export default {
+  id: 'boss',
+  width: 70,
+  height: 90,
+  hp: BASE_HP,
+  score: SCORE_PER_LEVEL,
+  speed: 1.2,
+  explosionColor: '#b04cff',
+  explosionSize: 3,
+  showHealthBar: true,
+  staysInArena: true,
+
+  spawn(enemy, { state, tuning, events }) {
+    const level = Math.max(1, state.wave.bossLevel);
+    enemy.hp = Math.round((BASE_HP + HP_PER_LEVEL * (level - 1)) * tuning.bossHp);
+    enemy.maxHp = enemy.hp;
+    enemy.score = SCORE_PER_LEVEL * level;
+    enemy.attack = { phase: 'enter', timer: 0, shots: 0, elapsed: 0, dir: Math.sign(enemy.vx), next: 0 };
+    // Cycles walk -> volley -> walk -> charge once it has entered the arena
+    enemy.vx = 0;
+    events.push({ type: EVENTS.BOSS_SPAWNED, wave: state.wave.number });
+  },
+
+  update(boss, { state, tuning, events }) {
+    const { attack } = boss;
+    const direction = towardPlayer(state, boss);
+    const speedScale = tuning.enemySpeed * state.enemySpeed;
+
+    switch (attack.phase) {
+      case 'enter': {
+        // Walks on until it's fully in view
+        const view = cameraTarget(state);
+        boss.vx = attack.dir * 1.5;
+        if (boss.x >= view.x && boss.x + boss.width <= view.x + VIEW_WIDTH) {
+          attack.phase = 'walk';
+          attack.timer = 90;
+        }
+        break;
+      }
+      case 'walk':
+        boss.vx = direction * 1.2 * speedScale;
+        if (--attack.timer <= 0) {
+          attack.phase = PATTERN[attack.next % PATTERN.length];
+          attack.next++;
+          attack.timer = attack.phase === 'charge' ? 40 : 0;
+          attack.shots = 0;
+          attack.elapsed = 0;
+          events.push({ type: EVENTS.BOSS_ATTACK, attack: attack.phase });
+        }
+        break;
+      case 'volley':
+        // Three aimed shots, one every 20 ticks
+        boss.vx = 0;
+        if (attack.timer % 20 === 0 && attack.shots < 3) {
+          state.enemyBullets.push({
+            x: direction < 0 ? boss.x - 12 : boss.x + boss.width,
+            y: boss.y + 30 + attack.shots * 15,
+            vx: direction * 6 * speedScale,
+            width: 12,
+            height: 8
+          });
+          attack.shots++;
+        }
+        attack.timer++;
+        if (attack.timer >= 60) {
+          attack.phase = 'walk';
+          attack.timer = 90;
+        }
+        break;
+      case 'charge':
+        // Telegraphs (standing still while the timer runs down), then dashes
+        if (attack.timer > 0) {
+          boss.vx = 0;
+          attack.timer--;
+          if (attack.timer === 0) attack.dir = direction;
+        } else {
+          boss.vx = attack.dir * 9 * speedScale;
+          if (boss.hitWall || ++attack.elapsed > 70) {
+            attack.phase = 'walk';
+            attack.timer = 90;
+          }
+        }
+        break;
+      default:
+        break;
+    }
+
+    applyGravity(state, boss);
+    // A charge ends when it slams into a wall or the edge of the level
+    boss.hitWall = moveAndCollide(state.level, boss).hitWall;
+    if (attack.phase !== 'enter') {
+      const clamped = Math.max(0, Math.min(state.width - boss.width, boss.x));
+      if (clamped !== boss.x) boss.hitWall = true;
+      boss.x = clamped;
+    }
+  },
+
+  draw(ctx, boss, x, y, { tick, colors }) {
+    // Blink while winding up a charge
+    const winding = boss.attack.phase === 'charge' && boss.attack.timer > 0;
+    ctx.fillStyle = winding && Math.floor(tick / 4) % 2 === 0 ? colors.windup : colors.body;
+    ctx.fillRect(x, y, boss.width, boss.height);
+
+    // Eyes look toward where it's heading
+    const facingLeft = boss.vx < 0 || (boss.vx === 0 && boss.attack.dir < 0);
+    ctx.fillStyle = colors.eyes;
+    const eyeX = facingLeft ? x + 8 : x + boss.width - 30;
+    ctx.fillRect(eyeX, y + 18, 10, 10);
+    ctx.fillRect(eyeX + 14, y + 18, 10, 10);
+  }
+};
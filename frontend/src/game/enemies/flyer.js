@@ -0,0 +1,73 @@
+import { nearestPlayer } from '../physics.js';
+
+const CRUISE_MIN_Y = 220;
+const CRUISE_RANGE_Y = 50;
+const DIVE_RANGE = 140;
+const DIVE_SPEED = 6;
+const CLIMB_SPEED = 3;
+
+// Cruises at jump height and dives at the player once when close, then climbs
+// back and carries on across the arena
+export default {
+  id: 'flyer',
+  width: 36,
+  height: 22,
+  // Wings are mostly for show; only the body counts
+  hitbox: { x: 6, y: 4, width: 24, height: 16 },
+  hp: 1,
+  score: 20,
+  speed: 1.8,
+  explosionColor: '#00bcd4',
+
+  spawn(enemy, { random }) {
+    enemy.y = CRUISE_MIN_Y + random() * CRUISE_RANGE_Y;
+    enemy.cruiseY = enemy.y;
+    enemy.mode = 'cruise';
+    enemy.hasDived = false;
+    enemy.vy = 0;
+    enemy.cruiseSpeed = Math.abs(enemy.vx);
+  },
+
+  update(enemy, { state }) {
+    // Once diving it stays locked on to the player it picked
+    const player = enemy.mode === 'cruise' ? nearestPlayer(state, enemy) : state.players[enemy.target];
+    const dx = player.x + player.width / 2 - (enemy.x + enemy.width / 2);
+
+    if (enemy.mode === 'cruise') {
+      enemy.vx = Math.sign(enemy.vx || 1) * enemy.cruiseSpeed;
+      // Gentle bob; a triangle wave keeps the maths exact on every JS engine
+      enemy.vy = state.tick % 48 < 24 ? 0.6 : -0.6;
+      if (!enemy.hasDived && Math.abs(dx) < DIVE_RANGE && enemy.y < player.y) {
+        // Lock on to where the player is now and commit to the dive
+        const dy = player.y + player.height / 2 - (enemy.y + enemy.height / 2);
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        enemy.vx = dx / distance * DIVE_SPEED;
+        enemy.vy = dy / distance * DIVE_SPEED;
+        enemy.mode = 'dive';
+        enemy.target = player.id;
+        enemy.hasDived = true;
+      }
+    } else if (enemy.mode === 'dive') {
+      // Flyers ignore tiles, so pull up at the player's feet rather than the floor
+      if (enemy.y + enemy.height >= player.y + player.height) enemy.mode = 'climb';
+    } else if (enemy.mode === 'climb') {
+      enemy.vy = -CLIMB_SPEED;
+      enemy.vx = Math.sign(enemy.vx || 1) * enemy.cruiseSpeed;
+      if (enemy.y <= enemy.cruiseY) enemy.mode = 'cruise';
+    }
+
+    enemy.x += enemy.vx;
+    enemy.y += enemy.vy;
+  },
+
+  draw(ctx, enemy, x, y, { tick, colors }) {
+    const flap = Math.floor(tick / 5) % 2 === 0 ? -4 : 4;
+    ctx.fillStyle = colors.wing;
+    ctx.fillRect(x, y + 8 + flap, 8, 4);
+    ctx.fillRect(x + enemy.width - 8, y + 8 + flap, 8, 4);
+    ctx.fillStyle = enemy.mode === 'dive' ? colors.dive : colors.body;
+    ctx.fillRect(x + 6, y + 4, 24, 16);
+    ctx.fillStyle = colors.eyes;
+    ctx.fillRect(enemy.vx < 0 ? x + 9 : x + 21, y + 8, 6, 5);
+  }
+};
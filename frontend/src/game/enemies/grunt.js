@@ -0,0 +1,25 @@
+import { applyGravity, moveAndCollide } from '../physics.js';
+
+// The original enemy: walks straight ahead, turning back at walls
+export default {
+  id: 'grunt',
+  width: 30,
+  height: 40,
+  hp: 1,
+  score: 10,
+  speed: 2,
+  explosionColor: '#ff4444',
+
+  update(enemy, { state }) {
+    applyGravity(state, enemy);
+    if (moveAndCollide(state.level, enemy).hitWall) enemy.vx = -enemy.vx;
+  },
+
+  draw(ctx, enemy, x, y, { colors }) {
+    ctx.fillStyle = colors.body;
+    ctx.fillRect(x, y, enemy.width, enemy.height);
+    // Eyes
+    ctx.fillStyle = colors.eyes;
+    ctx.fillRect(enemy.vx < 0 ? x + 5 : x + 17, y + 10, 8, 8);
+  }
+};
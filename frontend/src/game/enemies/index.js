@@ -0,0 +1,32 @@
+import grunt from './grunt.js';
+import jumper from './jumper.js';
+import flyer from './flyer.js';
+import shielded from './shielded.js';
+import boss from './boss.js';
+
+// Enemy archetypes by id. A definition provides:
+//   width, height, hp, score, speed   base stats (speed in px/tick)
+//   hitbox?                           { x, y, width, height } inset from the sprite
+//   spawn?(enemy, ctx)                set up type-specific fields on a new enemy
+//   update(enemy, ctx)                move for one tick; ctx = { state, random, tuning, events }
+//   isVulnerable?(enemy, bullet)      false to block the bullet (default: always hit)
+//   staysInArena?                     true if it never leaves by walking off-screen
+//   draw(ctx2d, enemy, x, y, info)    render at the interpolated position;
+//                                     info = { tick, colors } with colors from
+//                                     the palette's entry for this type
+//   explosionColor, explosionSize? (default 1), showHealthBar?   cosmetics for the renderer
+// Waves refer to enemies by these ids.
+export const ENEMY_TYPES = {
+  [grunt.id]: grunt,
+  [jumper.id]: jumper,
+  [flyer.id]: flyer,
+  [shielded.id]: shielded,
+  [boss.id]: boss
+};
+
+// World-space hitbox for an enemy, honouring its definition's inset
+export const enemyHitbox = (enemy) => {
+  const { hitbox } = ENEMY_TYPES[enemy.type];
+  if (!hitbox) return enemy;
+  return { x: enemy.x + hitbox.x, y: enemy.y + hitbox.y, width: hitbox.width, height: hitbox.height };
+};
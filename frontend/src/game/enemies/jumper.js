@@ -0,0 +1,36 @@
+import { applyGravity, moveAndCollide } from '../physics.js';
+
+// Hops along the floor at random intervals, so it can't simply be jumped over
+export default {
+  id: 'jumper',
+  width: 28,
+  height: 32,
+  hp: 1,
+  score: 15,
+  speed: 1.6,
+  explosionColor: '#8bc34a',
+
+  spawn(enemy, { random }) {
+    enemy.hopTimer = 30 + Math.floor(random() * 60);
+  },
+
+  update(enemy, { state, random }) {
+    if (enemy.isGrounded && --enemy.hopTimer <= 0) {
+      enemy.vy = -9 - random() * 3;
+      enemy.hopTimer = 50 + Math.floor(random() * 50);
+    }
+
+    applyGravity(state, enemy);
+    if (moveAndCollide(state.level, enemy).hitWall) enemy.vx = -enemy.vx;
+  },
+
+  draw(ctx, enemy, x, y, { colors }) {
+    // Squashed while on the ground, stretched in the air
+    const airborne = !enemy.isGrounded;
+    const squash = airborne ? -4 : 4;
+    ctx.fillStyle = colors.body;
+    ctx.fillRect(x - squash / 2, y + squash, enemy.width + squash, enemy.height - squash);
+    ctx.fillStyle = colors.eyes;
+    ctx.fillRect(enemy.vx < 0 ? x + 4 : x + 16, y + 8 + squash, 8, 6);
+  }
+};
@@ -0,0 +1,54 @@
+import { towardPlayer, applyGravity, moveAndCollide } from '../physics.js';
+
+const TURN_DELAY = 45;
+
+// Carries a shield in front. Bullets only land from behind, so the player has
+// to get past it and fire before it turns around.
+export default {
+  id: 'shielded',
+  width: 34,
+  height: 44,
+  hp: 2,
+  score: 30,
+  speed: 1.2,
+  explosionColor: '#9e9e9e',
+
+  spawn(enemy) {
+    enemy.facing = Math.sign(enemy.vx);
+    enemy.walkSpeed = Math.abs(enemy.vx);
+    enemy.turnTimer = 0;
+  },
+
+  update(enemy, { state }) {
+    // Turns to face the player, but slowly
+    if (towardPlayer(state, enemy) !== enemy.facing) {
+      if (++enemy.turnTimer >= TURN_DELAY) {
+        enemy.facing = -enemy.facing;
+        enemy.turnTimer = 0;
+      }
+    } else {
+      enemy.turnTimer = 0;
+    }
+    enemy.vx = enemy.facing * enemy.walkSpeed;
+    applyGravity(state, enemy);
+    moveAndCollide(state.level, enemy);
+  },
+
+  // A bullet travelling the same way the enemy faces came from behind
+  isVulnerable(enemy, bullet) {
+    return Math.sign(bullet.vx) === enemy.facing;
+  },
+
+  // It keeps hunting the player instead of walking off-screen
+  staysInArena: true,
+
+  draw(ctx, enemy, x, y, { colors }) {
+    ctx.fillStyle = colors.body;
+    ctx.fillRect(x, y, enemy.width, enemy.height);
+    ctx.fillStyle = colors.eyes;
+    ctx.fillRect(enemy.facing < 0 ? x + 8 : x + 18, y + 10, 8, 8);
+    // Shield on the facing side
+    ctx.fillStyle = colors.shield;
+    ctx.fillRect(enemy.facing < 0 ? x - 6 : x + enemy.width, y + 4, 6, enemy.height - 8);
+  }
+};
@@ -1,249 +1,326 @@
+import { randomSeed } from './rng.js';
+import { InputRecorder } from './replay.js';
+import { createState, step, ENGINE_VERSION, TICK_RATE, EVENTS, INPUT } from './simulation.js';
+import { PLAYER_INPUT_BITS } from './constants.js';
+import { ENEMY_TYPES } from './enemies/index.js';
+import { runStats } from './scoring.js';
+import { CanvasRenderer } from './adapters/canvasRenderer.js';
+import { KeyboardInput } from './adapters/keyboardInput.js';
+import { GamepadInput } from './adapters/gamepadInput.js';
+import { CombinedInput } from './adapters/combinedInput.js';
+import { TouchInput } from './adapters/touchInput.js';
+import { ReplayInput } from './adapters/replayInput.js';
+import { localMultiplayerInput } from './adapters/multiplayerInput.js';
+import { RollbackSession } from './netplay.js';
+import { DEFAULT_SETTINGS, isAssisted } from '../settings/settingsStore.js';
+
+const STEP_MS = 1000 / TICK_RATE;
+const MAX_FRAME_MS = 250;
+// Keep drawing for a moment after death so the death animation can play
+const GAME_OVER_DELAY_MS = 1000;
+// Hit-stop: the simulation holds for a beat on big moments while frames keep
+// drawing. Scaled by the screen shake setting, since it's the same kind of jolt,
+// and left out altogether with reduced motion.
+const HIT_STOP_MS = {
+  [EVENTS.ENEMY_KILLED]: 30,
+  [EVENTS.PLAYER_HURT]: 80,
+  [EVENTS.LIFE_LOST]: 120,
+  [EVENTS.PLAYER_OUT]: 120
+};
+const BOSS_HIT_STOP_MS = 200;
+
+// Browser driver: owns the frame loop and wires the pure simulation to a
+// renderer and an input source. Both can be swapped through options.
+// options.online = { slot, send } plays this browser's player in an online
+// game; the caller passes the other players' inputs to engine.netplay.
+// options.daily is the date of the daily challenge this run is the ranked
+// attempt at, if it is one.
+// Assist mode (settings.gameSpeed and settings.autoFire) slows the clock, which
+// the simulation never sees, and holds shoot, which is recorded like any other
+// input, so assisted runs still verify. Using either marks the run assisted
+// for good, even if it's switched off again.
 export class GameEngine {
-  constructor(canvas, onGameOver) {
+  constructor(canvas, onGameOver, options = {}) {
     this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
     this.onGameOver = onGameOver;
-    
-    this.width = canvas.width;
-    this.height = canvas.height;
+    this.onStatusChange = options.onStatusChange;
+    this.listeners = new Set();
+
+    this.settings = options.settings ?? DEFAULT_SETTINGS;
+    this.seed = options.seed ?? randomSeed();
+    this.daily = options.daily ?? null;
+    // Difficulty, level, mode and modifiers are part of the rules, so a replay must use the ones it was recorded with
+    this.state = createState({
+      seed: this.seed,
+      difficulty: options.difficulty ?? this.settings.difficulty,
+      level: options.level,
+      mode: options.mode,
+      modifiers: options.modifiers
+    });
+    this.netplay = options.online
+      ? new RollbackSession(this.state, options.online.slot, options.online.send)
+      : null;
+    this.recorder = this.netplay ? this.netplay.recorder : new InputRecorder();
+    this.isReplay = Boolean(options.replay);
+    this.isAssisted = false;
+    this.noteAssist();
+
+    this.renderer = options.renderer ?? new CanvasRenderer(canvas, this.settings);
+    this.input = options.input ?? (options.replay
+      ? new ReplayInput(options.replay)
+      : this.state.players.length > 1 && !this.netplay
+        ? localMultiplayerInput(this.settings.bindings, this.state.players.length)
+        : new CombinedInput([
+          new KeyboardInput(this.settings.bindings),
+          new GamepadInput(this.settings.bindings),
+          options.touchInput ?? new TouchInput()
+        ]));
     
     this.isRunning = false;
-    this.score = 0;
+    this.isPaused = false;
+    // Online: held up until the other players' inputs catch up
+    this.isWaiting = false;
     this.frameId = null;
+    this.lastTime = null;
+    this.accumulator = 0;
+    this.finishAt = null;
+    this.hitStop = 0;
     
-    this.keys = {};
-    this.gravity = 0.6;
-    
-    this.player = {
-      x: 50,
-      y: 200,
-      width: 30,
-      height: 40,
-      vx: 0,
-      vy: 0,
-      speed: 5,
-      jumpPower: -12,
-      isGrounded: false,
-      facingRight: true,
-      cooldown: 0
-    };
-    
-    this.bullets = [];
-    this.enemies = [];
-    this.particles = [];
-    this.enemySpawnTimer = 0;
-    
-    this.handleKeyDown = this.handleKeyDown.bind(this);
-    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+    this.handleResize = this.handleResize.bind(this);
+    this.resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(this.handleResize) : null;
     this.loop = this.loop.bind(this);
   }
 
+  get score() {
+    return this.state.score;
+  }
+
+  // Presentation settings apply immediately; difficulty waits for the next run
+  setSettings(settings) {
+    this.settings = settings;
+    this.renderer.setSettings(settings);
+    this.input.setBindings?.(settings.bindings);
+    this.noteAssist();
+  }
+
+  // Replays play back as recorded, and online everyone has to keep the same time
+  gameSpeed() {
+    return this.isReplay || this.netplay ? 100 : this.settings.gameSpeed;
+  }
+
+  autoFire() {
+    return !this.isReplay && this.settings.autoFire;
+  }
+
+  // Sticks for the rest of the run once assist has been on at all
+  noteAssist() {
+    this.isAssisted = this.isAssisted || isAssisted({ gameSpeed: this.gameSpeed(), autoFire: this.autoFire() });
+  }
+
+  // Holds shoot for every player on this device while there's something to shoot at
+  withAutoFire(input) {
+    if (!this.autoFire() || this.state.enemies.length === 0) return input;
+    const localPlayers = this.netplay ? 1 : this.state.players.length;
+    let mask = input;
+    for (let i = 0; i < localPlayers; i++) mask |= INPUT.SHOOT << (i * PLAYER_INPUT_BITS);
+    return mask;
+  }
+
+  // listener(events, state) runs after every simulation tick
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getStatus() {
+    return { isRunning: this.isRunning, isPaused: this.isPaused, isWaiting: this.isWaiting };
+  }
+
+  notifyStatus() {
+    if (this.onStatusChange) this.onStatusChange(this.getStatus());
+  }
+
   start() {
     this.isRunning = true;
-    this.score = 0;
-    window.addEventListener('keydown', this.handleKeyDown);
-    window.addEventListener('keyup', this.handleKeyUp);
-    this.frameId = requestAnimationFrame(this.loop);
+    this.isPaused = false;
+    this.input.attach();
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('blur', this.handleBlur);
+    window.addEventListener('resize', this.handleResize);
+    if (this.resizeObserver) this.resizeObserver.observe(this.canvas);
+    this.renderer.resize?.();
+    this.scheduleFrame();
+    this.notifyStatus();
   }
 
   stop() {
     this.isRunning = false;
-    window.removeEventListener('keydown', this.handleKeyDown);
-    window.removeEventListener('keyup', this.handleKeyUp);
-    if (this.frameId) cancelAnimationFrame(this.frameId);
+    this.isPaused = false;
+    this.input.detach();
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('blur', this.handleBlur);
+    window.removeEventListener('resize', this.handleResize);
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    this.cancelFrame();
+    this.notifyStatus();
   }
 
-  handleKeyDown(e) { this.keys[e.code] = true; }
-  handleKeyUp(e) { this.keys[e.code] = false; }
+  pause() {
+    // Nothing left to pause once the player has died, and online the other
+    // players can't be made to wait
+    if (!this.isRunning || this.isPaused || this.state.isOver || this.netplay) return;
+    this.isPaused = true;
+    this.cancelFrame();
+    // Keys released while paused never reach us, so start clean on resume
+    this.input.reset();
+    this.notifyStatus();
+  }
 
-  spawnEnemy() {
-    const isRight = Math.random() > 0.5;
-    this.enemies.push({
-      x: isRight ? this.width + 30 : -30,
-      y: this.height - 60,
-      width: 30,
-      height: 40,
-      vx: (isRight ? -2 : 2) * (1 + Math.random() * 2 + (this.score / 1000)),
-      hp: 1
-    });
+  resume() {
+    if (!this.isRunning || !this.isPaused) return;
+    this.isPaused = false;
+    this.scheduleFrame();
+    this.notifyStatus();
   }
 
-  update() {
-    if (!this.isRunning) return;
+  togglePause() {
+    if (this.isPaused) this.resume();
+    else this.pause();
+  }
 
-    // Player Movement
-    if (this.keys['ArrowLeft'] || this.keys['KeyA']) {
-      this.player.vx = -this.player.speed;
-      this.player.facingRight = false;
-    } else if (this.keys['ArrowRight'] || this.keys['KeyD']) {
-      this.player.vx = this.player.speed;
-      this.player.facingRight = true;
-    } else {
-      this.player.vx = 0;
-    }
+  scheduleFrame() {
+    // Drop the time spent paused instead of fast-forwarding through it
+    this.lastTime = null;
+    this.accumulator = 0;
+    this.hitStop = 0;
+    this.frameId = requestAnimationFrame(this.loop);
+  }
 
-    // Jumping
-    if ((this.keys['ArrowUp'] || this.keys['KeyW'] || this.keys['Space']) && this.player.isGrounded) {
-      this.player.vy = this.player.jumpPower;
-      this.player.isGrounded = false;
-    }
+  cancelFrame() {
+    if (this.frameId) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
 
-    // Shooting
-    if (this.player.cooldown > 0) this.player.cooldown--;
-    if (this.keys['Enter'] || this.keys['KeyF']) {
-      if (this.player.cooldown === 0) {
-        this.bullets.push({
-          x: this.player.facingRight ? this.player.x + this.player.width : this.player.x,
-          y: this.player.y + 15,
-          vx: this.player.facingRight ? 15 : -15,
-          width: 10,
-          height: 4
-        });
-        this.player.cooldown = 15;
-      }
-    }
+  getRun() {
+    return {
+      seed: this.seed,
+      difficulty: this.state.difficulty,
+      level: this.state.level.id,
+      mode: this.state.mode,
+      modifiers: this.state.modifiers,
+      daily: this.daily,
+      assisted: this.isAssisted,
+      engineVersion: ENGINE_VERSION,
+      ticks: this.state.tick,
+      inputs: this.recorder.inputs
+    };
+  }
 
-    // Physics
-    this.player.vy += this.gravity;
-    this.player.x += this.player.vx;
-    this.player.y += this.player.vy;
-
-    // Floor Collision
-    const floorY = this.height - 20;
-    if (this.player.y + this.player.height > floorY) {
-      this.player.y = floorY - this.player.height;
-      this.player.vy = 0;
-      this.player.isGrounded = true;
-    }
+  handleVisibilityChange() {
+    if (document.hidden) this.pause();
+  }
+
+  handleBlur() {
+    this.pause();
+  }
 
-    // Screen Bounds
-    if (this.player.x < 0) this.player.x = 0;
-    if (this.player.x + this.player.width > this.width) this.player.x = this.width - this.player.width;
+  // Resizing clears the canvas, so redraw straight away in case we're paused
+  handleResize() {
+    if (!this.renderer.resize) return;
+    this.renderer.resize();
+    this.renderer.render(this.state, 1);
+  }
 
-    // Bullets update
-    for (let i = this.bullets.length - 1; i >= 0; i--) {
-      let b = this.bullets[i];
-      b.x += b.vx;
-      if (b.x < 0 || b.x > this.width) this.bullets.splice(i, 1);
+  update() {
+    if (!this.isRunning) return;
+    if (this.netplay) {
+      this.updateOnline();
+      return;
     }
+    // The run is over; only the renderer's effects keep moving
+    if (this.state.isOver) {
+      this.renderer.update([], this.state);
+      return;
+    }
+
+    const input = this.withAutoFire(this.input.read(this.state.tick));
+    this.recorder.record(this.state.tick, input);
+    const { state, events } = step(this.state, input);
+    this.state = state;
+    this.renderer.update(events, this.state);
+    this.listeners.forEach(listener => listener(events, this.state));
+    this.hitStop = Math.max(this.hitStop, this.hitStopFor(events));
 
-    // Enemy spawn logic
-    this.enemySpawnTimer++;
-    if (this.enemySpawnTimer > Math.max(30, 100 - this.score / 10)) {
-      this.spawnEnemy();
-      this.enemySpawnTimer = 0;
+    if (events.some(e => e.type === EVENTS.PLAYER_DIED)) {
+      this.finishAt = performance.now() + GAME_OVER_DELAY_MS;
     }
+  }
 
-    // Enemy update & collisions
-    for (let i = this.enemies.length - 1; i >= 0; i--) {
-      let e = this.enemies[i];
-      e.x += e.vx;
-      
-      // Bullet hits enemy
-      for (let j = this.bullets.length - 1; j >= 0; j--) {
-        let b = this.bullets[j];
-        if (b.x < e.x + e.width && b.x + b.width > e.x &&
-            b.y < e.y + e.height && b.y + b.height > e.y) {
-          this.enemies.splice(i, 1);
-          this.bullets.splice(j, 1);
-          this.score += 10;
-          this.createExplosion(e.x + 15, e.y + 20, '#ff4444');
-          break;
-        }
-      }
-
-      // Enemy hits player (Game Over)
-      if (this.enemies[i]) { // check if still exists after bullet check
-        if (this.player.x < e.x + e.width && this.player.x + this.player.width > e.x &&
-            this.player.y < e.y + e.height && this.player.y + this.player.height > e.y) {
-          this.stop();
-          if(this.onGameOver) this.onGameOver(this.score);
-          return;
-        }
-      }
+  // Online the screen shows the prediction, and the run only ends once
+  // everyone's inputs confirm it. No hit-stop, so clocks stay in step.
+  updateOnline() {
+    const { netplay } = this;
+    if (this.finishAt !== null) {
+      this.renderer.update([], this.state);
+      return;
     }
 
-    // Particles
-    for (let i = this.particles.length - 1; i >= 0; i--) {
-      let p = this.particles[i];
-      p.x += p.vx;
-      p.y += p.vy;
-      p.life--;
-      if (p.life <= 0) this.particles.splice(i, 1);
+    const result = netplay.state.isOver ? null : netplay.advance(this.withAutoFire(this.input.read(netplay.state.tick)));
+    if (netplay.isWaiting !== this.isWaiting) {
+      this.isWaiting = netplay.isWaiting;
+      this.notifyStatus();
     }
+    this.state = netplay.isFinished ? netplay.confirmed : netplay.state;
+    const events = result?.events ?? [];
+    this.renderer.update(events, this.state);
+    this.listeners.forEach(listener => listener(events, this.state));
+
+    if (netplay.isFinished) this.finishAt = performance.now() + GAME_OVER_DELAY_MS;
   }
 
-  createExplosion(x, y, color) {
-    for (let i = 0; i < 10; i++) {
-      this.particles.push({
-        x, y,
-        vx: (Math.random() - 0.5) * 10,
-        vy: (Math.random() - 0.5) * 10,
-        life: 20 + Math.random() * 20,
-        color
-      });
-    }
+  hitStopFor(events) {
+    if (this.settings.reducedMotion) return 0;
+    const longest = events.reduce((ms, event) => {
+      const isBoss = event.type === EVENTS.ENEMY_KILLED && ENEMY_TYPES[event.enemyType].showHealthBar;
+      return Math.max(ms, isBoss ? BOSS_HIT_STOP_MS : HIT_STOP_MS[event.type] ?? 0);
+    }, 0);
+    return longest * this.settings.screenShake / 100;
   }
 
-  draw() {
-    // Background
-    this.ctx.fillStyle = '#1a1a2e';
-    this.ctx.fillRect(0, 0, this.width, this.height);
+  finish() {
+    this.stop();
+    if(this.onGameOver) this.onGameOver(this.state.score, this.getRun(), runStats(this.state));
+  }
 
-    // Floor
-    this.ctx.fillStyle = '#16213e';
-    this.ctx.fillRect(0, this.height - 20, this.width, 20);
+  loop(now) {
+    if (!this.isRunning || this.isPaused) return;
+    if (this.lastTime === null) this.lastTime = now;
 
-    // Draw Score
-    this.ctx.fillStyle = '#fff';
-    this.ctx.font = '24px Arial';
-    this.ctx.fillText(`Score: ${this.score}`, 20, 40);
+    // Clamp long frames so a stall doesn't turn into a burst of catch-up ticks
+    const frameTime = Math.min(now - this.lastTime, MAX_FRAME_MS);
+    this.lastTime = now;
+    const held = Math.min(this.hitStop, frameTime);
+    this.hitStop -= held;
+    this.accumulator += frameTime - held;
 
-    // Draw Particles
-    this.particles.forEach(p => {
-      this.ctx.fillStyle = p.color;
-      this.ctx.globalAlpha = p.life / 40;
-      this.ctx.fillRect(p.x, p.y, 4, 4);
-    });
-    this.ctx.globalAlpha = 1.0;
-
-    // Draw Player (Killer Bean)
-    this.ctx.fillStyle = '#e94560'; // Dark Red
-    this.ctx.fillRect(this.player.x, this.player.y, this.player.width, this.player.height);
-    // Glasses/Visor
-    this.ctx.fillStyle = '#0f3460';
-    if (this.player.facingRight) {
-      this.ctx.fillRect(this.player.x + 15, this.player.y + 10, 15, 8);
-    } else {
-      this.ctx.fillRect(this.player.x, this.player.y + 10, 15, 8);
+    // Step the simulation at a fixed rate, independent of the display refresh
+    // rate; a slower game speed just spaces the steps further apart
+    const stepMs = STEP_MS * 100 / this.gameSpeed();
+    while (this.accumulator >= stepMs && this.isRunning) {
+      this.update();
+      this.accumulator -= stepMs;
     }
 
-    // Draw Enemies
-    this.ctx.fillStyle = '#4caf50';
-    this.enemies.forEach(e => {
-      this.ctx.fillRect(e.x, e.y, e.width, e.height);
-      // Enemy Eyes
-      this.ctx.fillStyle = '#000';
-      if (e.vx < 0) {
-        this.ctx.fillRect(e.x + 5, e.y + 10, 8, 8);
-      } else {
-        this.ctx.fillRect(e.x + 17, e.y + 10, 8, 8);
-      }
-      this.ctx.fillStyle = '#4caf50';
-    });
-
-    // Draw Bullets
-    this.ctx.fillStyle = '#ffd700';
-    this.bullets.forEach(b => {
-      this.ctx.fillRect(b.x, b.y, b.width, b.height);
-    });
-  }
+    if (this.finishAt !== null && now >= this.finishAt) {
+      this.finish();
+      return;
+    }
 
-  loop() {
-    this.update();
-    this.draw();
     if (this.isRunning) {
+      this.renderer.render(this.state, this.accumulator / stepMs);
       this.frameId = requestAnimationFrame(this.loop);
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,93 @@
+import { TILES } from '../constants.js';
+import { ENEMY_TYPES } from '../enemies/index.js';
+import arena from './arena.json' with { type: 'json' };
+import rooftops from './rooftops.json' with { type: 'json' };
+
+export { TILES };
+
+// Tile-map levels. Each is a JSON file:
+//   id, name
+//   tileSize: pixels per tile
+//   spawn:    { x, y } tile the player starts in
+//   tiles:    rows of characters, one per tile (see TILES)
+//   waves?:   the level's own wave list, in the format of WAVES in waves.js
+// Columns past either edge repeat the edge column, so enemies can walk in
+// from off-screen; anything below the last row is a bottomless pit.
+export const DEFAULT_LEVEL = 'arena';
+
+export const LEVELS = {
+  [arena.id]: arena,
+  [rooftops.id]: rooftops
+};
+
+const TILE_CHARS = new Set(Object.values(TILES));
+const SIDES = ['left', 'right'];
+
+// Throws with a readable message if the data can't be played
+function validateLevel(data) {
+  const fail = (message) => {
+    throw new Error(`Level "${data?.id ?? '?'}": ${message}`);
+  };
+  if (!data || typeof data.id !== 'string' || !data.id) fail('missing id');
+  if (!Number.isInteger(data.tileSize) || data.tileSize < 8) fail('tileSize must be a whole number of at least 8');
+  if (!Array.isArray(data.tiles) || !data.tiles.length) fail('missing tiles');
+
+  const cols = data.tiles[0].length;
+  data.tiles.forEach((row, i) => {
+    if (typeof row !== 'string' || row.length !== cols) fail(`row ${i} is not ${cols} tiles long`);
+    if ([...row].some(tile => !TILE_CHARS.has(tile))) fail(`row ${i} has an unknown tile`);
+  });
+
+  const { spawn } = data;
+  if (!spawn || !Number.isInteger(spawn.x) || !Number.isInteger(spawn.y) ||
+    spawn.x < 0 || spawn.x >= cols || spawn.y < 0 || spawn.y >= data.tiles.length) {
+    fail('spawn must be a tile inside the level');
+  }
+
+  if (data.waves !== undefined) {
+    if (!Array.isArray(data.waves)) fail('waves must be a list');
+    data.waves.forEach((wave, i) => {
+      const types = Object.keys(wave?.enemies ?? {});
+      if (!types.length) fail(`wave ${i + 1} has no enemies`);
+      if (types.some(type => !ENEMY_TYPES[type] || type === 'boss')) fail(`wave ${i + 1} has an unknown enemy type`);
+      if (Object.values(wave.enemies).some(count => !Number.isInteger(count) || count < 1)) {
+        fail(`wave ${i + 1} needs a whole number of at least 1 for each enemy`);
+      }
+      if (!Array.isArray(wave.sides) || !wave.sides.length) fail(`wave ${i + 1} has no sides`);
+      if (wave.sides.some(side => !SIDES.includes(side))) fail(`wave ${i + 1} has an unknown side`);
+      if (!Number.isInteger(wave.spawnInterval) || wave.spawnInterval < 1) {
+        fail(`wave ${i + 1} spawnInterval must be a whole number of ticks`);
+      }
+      const { speed } = wave;
+      if (!Array.isArray(speed) || speed.length !== 2 || !speed.every(Number.isFinite) || speed[0] <= 0 || speed[0] > speed[1]) {
+        fail(`wave ${i + 1} speed must be [min, max] with 0 < min <= max`);
+      }
+    });
+  }
+}
+
+// Turns level data into what the simulation works with
+export function loadLevel(data) {
+  validateLevel(data);
+  const rows = data.tiles.length;
+  const cols = data.tiles[0].length;
+  return {
+    id: data.id,
+    name: data.name ?? data.id,
+    tileSize: data.tileSize,
+    tiles: data.tiles,
+    cols,
+    rows,
+    width: cols * data.tileSize,
+    height: rows * data.tileSize,
+    spawn: data.spawn,
+    // Falls back to the standard waves when the level doesn't bring its own
+    waves: data.waves?.length ? data.waves : undefined
+  };
+}
+
+export function getLevel(id) {
+  const data = LEVELS[id];
+  if (!data) throw new Error(`Unknown level "${id}"`);
+  return loadLevel(data);
+}
@@ -0,0 +1,11 @@
+// How a run is played. Every mode but solo is two players on one machine.
+//   players:  how many take part
+//   shared:   one score for the team; otherwise each player scores alone and
+//             the run's score is the winner's
+export const MODES = {
+  solo: { label: 'Solo', players: 1, shared: true, description: 'Just you against the waves.' },
+  coop: { label: 'Co-op', players: 2, shared: true, description: 'Two players, one score. Lasts until you are both out.' },
+  versus: { label: 'Versus', players: 2, shared: false, description: 'Your shots hit each other too. Last one standing wins.' }
+};
+
+export const DEFAULT_MODE = 'solo';
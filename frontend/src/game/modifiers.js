@@ -0,0 +1,31 @@
+// Rule changes the daily challenge mixes in. apply(state) runs once on a
+// fresh state from createState, so a modifier can only retune what the
+// simulation reads from the state: gravity, enemySpeed, cooldownScale and the
+// players themselves.
+export const MODIFIERS = {
+  lowGravity: {
+    label: 'Low Gravity',
+    description: 'Everything falls slower, so jumps go higher and last longer.',
+    apply: (state) => { state.gravity = 0.35; }
+  },
+  doubleTime: {
+    label: 'Double Time',
+    description: 'Enemies move twice as fast.',
+    apply: (state) => { state.enemySpeed = 2; }
+  },
+  hairTrigger: {
+    label: 'Hair Trigger',
+    description: 'Every gun is ready to fire again in a third of the time.',
+    apply: (state) => { state.cooldownScale = 1 / 3; }
+  },
+  glassCannon: {
+    label: 'Glass Cannon',
+    description: 'One hit costs a life.',
+    apply: (state) => {
+      state.players.forEach(player => {
+        player.health = 1;
+        player.maxHealth = 1;
+      });
+    }
+  }
+};
@@ -0,0 +1,127 @@
+import { step } from './simulation.js';
+import { PLAYER_INPUT_BITS } from './constants.js';
+import { InputRecorder } from './replay.js';
+
+// Local input is scheduled this many ticks ahead, which hides that much
+// latency before the other player's input has to be guessed
+export const INPUT_DELAY = 3;
+// How far the screen may run ahead of the last tick everyone's input is in for
+export const MAX_PREDICTION = 20;
+
+// Online play by lockstep input exchange with rollback. Every browser runs
+// the same deterministic simulation from the same seed and the server relays
+// inputs between them. The state that everyone's inputs have confirmed is
+// kept apart from the one on screen, which runs ahead of it guessing that the
+// other players still hold what they last sent. When a guess turns out
+// wrong, the screen is re-simulated from the confirmed state.
+export class RollbackSession {
+  constructor(state, localSlot, send) {
+    this.localSlot = localSlot;
+    this.send = send;
+    this.slots = state.players.length;
+    // inputs[slot][tick]: that player's mask, once known. Nobody presses
+    // anything during the first INPUT_DELAY ticks.
+    this.inputs = Array.from({ length: this.slots }, () => Array(INPUT_DELAY).fill(0));
+    // Players who disconnected are taken to let go of everything
+    this.departed = Array(this.slots).fill(false);
+    this.confirmed = state;
+    this.state = state;
+    // The combined mask each predicted tick was simulated with
+    this.predicted = [];
+    // Confirmed inputs only, so the run replays and verifies like any other
+    this.recorder = new InputRecorder();
+  }
+
+  get isFinished() {
+    return this.confirmed.isOver;
+  }
+
+  get isWaiting() {
+    return this.state.tick - this.confirmed.tick >= MAX_PREDICTION;
+  }
+
+  known(slot, tick) {
+    return this.inputs[slot][tick] ?? (this.departed[slot] ? 0 : undefined);
+  }
+
+  // The last input heard from that player at or before tick
+  guess(slot, tick) {
+    const inputs = this.inputs[slot];
+    for (let t = Math.min(tick, inputs.length - 1); t >= 0; t--) {
+      if (inputs[t] !== undefined) return inputs[t];
+    }
+    return 0;
+  }
+
+  combined(tick, inputOf) {
+    let mask = 0;
+    for (let slot = 0; slot < this.slots; slot++) mask |= inputOf(slot, tick) << (slot * PLAYER_INPUT_BITS);
+    return mask;
+  }
+
+  // One tick of local play: sends this player's input for INPUT_DELAY ticks
+  // from now and steps the prediction. Returns null, changing nothing, while
+  // too far ahead of the other players.
+  advance(localMask) {
+    if (this.isWaiting) return null;
+    const tick = this.state.tick + INPUT_DELAY;
+    this.inputs[this.localSlot][tick] = localMask;
+    this.send({ type: 'input', tick, mask: localMask });
+    return this.predict();
+  }
+
+  // Everyone's input for a tick, guessing where it isn't in yet
+  expectedInput(tick) {
+    const input = this.combined(tick, (slot, t) => this.known(slot, t) ?? this.guess(slot, t));
+    this.predicted[tick] = input;
+    return input;
+  }
+
+  predict() {
+    const result = step(this.state, this.expectedInput(this.state.tick));
+    this.state = result.state;
+    if (this.confirm()) this.resimulate();
+    return result;
+  }
+
+  // Another player's input, relayed by the server
+  receive(slot, tick, mask) {
+    this.inputs[slot][tick] = mask;
+    if (this.confirm()) this.resimulate();
+  }
+
+  playerLeft(slot) {
+    this.departed[slot] = true;
+    if (this.confirm()) this.resimulate();
+  }
+
+  // Moves the confirmed state through every predicted tick whose inputs are
+  // all in. Returns whether any of them had been guessed wrong.
+  confirm() {
+    let mispredicted = false;
+    while (!this.confirmed.isOver && this.confirmed.tick < this.state.tick) {
+      const { tick } = this.confirmed;
+      let complete = true;
+      for (let slot = 0; slot < this.slots; slot++) {
+        if (this.known(slot, tick) === undefined) complete = false;
+      }
+      if (!complete) break;
+
+      const input = this.combined(tick, (slot, t) => this.known(slot, t));
+      this.recorder.record(tick, input);
+      this.confirmed = step(this.confirmed, input).state;
+      if (input !== this.predicted[tick]) mispredicted = true;
+    }
+    return mispredicted;
+  }
+
+  // Replays the prediction on top of the confirmed state with what's known
+  // now. Its events already played out the first time, so they're dropped.
+  resimulate() {
+    const target = this.state.tick;
+    this.state = this.confirmed;
+    while (this.state.tick < target && !this.state.isOver) {
+      this.state = step(this.state, this.expectedInput(this.state.tick)).state;
+    }
+  }
+}
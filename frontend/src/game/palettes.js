@@ -0,0 +1,63 @@
+// Colours the renderer draws the cast with, by palette id. Standard is the
+// game's own look; the others keep players apart from enemies, and enemies'
+// warnings apart from their bodies, for common colour vision deficiencies.
+// They're built from the Okabe-Ito colours, which stay distinct for most.
+//   players            [{ color, visor }] per player slot
+//   enemies[type]      body plus the parts that type draws (wing, dive, ...)
+//   enemyBullet, hazard
+//   outline            { friend, foe } for the high-contrast outlines
+export const PALETTES = {
+  standard: {
+    label: 'Standard',
+    players: [
+      { color: '#e94560', visor: '#0f3460' },
+      { color: '#2979ff', visor: '#0a1a40' }
+    ],
+    enemies: {
+      grunt: { body: '#4caf50', eyes: '#000' },
+      jumper: { body: '#8bc34a', eyes: '#000' },
+      flyer: { body: '#00bcd4', wing: '#00838f', dive: '#ff5252', eyes: '#000' },
+      shielded: { body: '#607d8b', shield: '#cfd8dc', eyes: '#000' },
+      boss: { body: '#7b2cbf', windup: '#ff3b3b', eyes: '#ffd700' }
+    },
+    enemyBullet: '#ff8c00',
+    hazard: '#c62828',
+    outline: { friend: '#ffffff', foe: '#ffeb3b' }
+  },
+  redGreen: {
+    label: 'Red-green safe',
+    players: [
+      { color: '#0072b2', visor: '#f0e442' },
+      { color: '#56b4e9', visor: '#003a5c' }
+    ],
+    enemies: {
+      grunt: { body: '#e69f00', eyes: '#000' },
+      jumper: { body: '#f0e442', eyes: '#000' },
+      flyer: { body: '#cc79a7', wing: '#8e4f74', dive: '#ffffff', eyes: '#000' },
+      shielded: { body: '#d55e00', shield: '#ffffff', eyes: '#000' },
+      boss: { body: '#d55e00', windup: '#ffffff', eyes: '#000' }
+    },
+    enemyBullet: '#ffffff',
+    hazard: '#e69f00',
+    outline: { friend: '#ffffff', foe: '#f0e442' }
+  },
+  blueYellow: {
+    label: 'Blue-yellow safe',
+    players: [
+      { color: '#d55e00', visor: '#000' },
+      { color: '#f5f5f5', visor: '#000' }
+    ],
+    enemies: {
+      grunt: { body: '#009e73', eyes: '#000' },
+      jumper: { body: '#56b4e9', eyes: '#000' },
+      flyer: { body: '#7fd3c4', wing: '#006650', dive: '#ff5c8a', eyes: '#000' },
+      shielded: { body: '#0072b2', shield: '#ffffff', eyes: '#000' },
+      boss: { body: '#005a8c', windup: '#ff5c8a', eyes: '#ffffff' }
+    },
+    enemyBullet: '#ff5c8a',
+    hazard: '#cc79a7',
+    outline: { friend: '#ffffff', foe: '#ff5c8a' }
+  }
+};
+
+export const DEFAULT_PALETTE = 'standard';
@@ -0,0 +1,113 @@
+import { TILES } from './constants.js';
+
+// Fast enough to fall, slow enough that nothing moves a whole tile per tick
+const MAX_FALL_SPEED = 15;
+
+export const overlaps = (a, b) => (
+  a.x < b.x + b.width && a.x + a.width > b.x &&
+  a.y < b.y + b.height && a.y + a.height > b.y
+);
+
+// Players still in the game
+export const activePlayers = (state) => state.players.filter(p => !p.isOut);
+
+// The closest player still in the game (by horizontal distance), for enemies to go after
+export const nearestPlayer = (state, ent) => {
+  const centre = ent.x + ent.width / 2;
+  const distance = (p) => Math.abs(p.x + p.width / 2 - centre);
+  const active = activePlayers(state);
+  const candidates = active.length ? active : state.players;
+  return candidates.reduce((best, p) => (distance(p) < distance(best) ? p : best));
+};
+
+// Horizontal direction (-1 or 1) from an entity's centre toward the nearest player's
+export const towardPlayer = (state, ent) => {
+  const player = nearestPlayer(state, ent);
+  return player.x + player.width / 2 < ent.x + ent.width / 2 ? -1 : 1;
+};
+
+export function tileAt(level, col, row) {
+  if (row < 0 || row >= level.rows) return TILES.EMPTY;
+  return level.tiles[row][Math.max(0, Math.min(level.cols - 1, col))];
+}
+
+// Tile index range an entity's box covers along one axis
+const span = (start, size, tileSize) => [
+  Math.floor(start / tileSize),
+  Math.floor((start + size - 0.001) / tileSize)
+];
+
+export function applyGravity(state, ent) {
+  ent.vy = Math.min(ent.vy + state.gravity, MAX_FALL_SPEED);
+}
+
+// Moves an entity by its velocity one axis at a time, pushing it out of solid
+// tiles. One-way platforms only catch things falling onto them from above.
+// Sets ent.isGrounded and reports which way it was blocked.
+export function moveAndCollide(level, ent) {
+  const size = level.tileSize;
+  let hitWall = false;
+  let hitCeiling = false;
+
+  ent.x += ent.vx;
+  if (ent.vx !== 0) {
+    const [top, bottom] = span(ent.y, ent.height, size);
+    const col = ent.vx > 0 ? Math.floor((ent.x + ent.width - 0.001) / size) : Math.floor(ent.x / size);
+    for (let row = top; row <= bottom; row++) {
+      if (tileAt(level, col, row) !== TILES.SOLID) continue;
+      ent.x = ent.vx > 0 ? col * size - ent.width : (col + 1) * size;
+      hitWall = true;
+      break;
+    }
+  }
+
+  const previousBottom = ent.y + ent.height;
+  ent.y += ent.vy;
+  ent.isGrounded = false;
+  const [left, right] = span(ent.x, ent.width, size);
+  if (ent.vy > 0) {
+    const row = Math.floor((ent.y + ent.height - 0.001) / size);
+    for (let col = left; col <= right; col++) {
+      const tile = tileAt(level, col, row);
+      const landsOnPlatform = tile === TILES.ONE_WAY && previousBottom <= row * size;
+      if (tile !== TILES.SOLID && !landsOnPlatform) continue;
+      ent.y = row * size - ent.height;
+      ent.vy = 0;
+      ent.isGrounded = true;
+      break;
+    }
+  } else if (ent.vy < 0) {
+    const row = Math.floor(ent.y / size);
+    for (let col = left; col <= right; col++) {
+      if (tileAt(level, col, row) !== TILES.SOLID) continue;
+      ent.y = (row + 1) * size;
+      ent.vy = 0;
+      hitCeiling = true;
+      break;
+    }
+  }
+
+  return { hitWall, hitCeiling };
+}
+
+export function touchesTile(level, ent, tile) {
+  const size = level.tileSize;
+  const [left, right] = span(ent.x, ent.width, size);
+  const [top, bottom] = span(ent.y, ent.height, size);
+  for (let row = top; row <= bottom; row++) {
+    for (let col = left; col <= right; col++) {
+      if (tileAt(level, col, row) === tile) return true;
+    }
+  }
+  return false;
+}
+
+// Top of the highest surface in the column under x, or the bottom of the level
+export function groundY(level, x) {
+  const col = Math.floor(x / level.tileSize);
+  for (let row = 0; row < level.rows; row++) {
+    const tile = tileAt(level, col, row);
+    if (tile === TILES.SOLID || tile === TILES.ONE_WAY) return row * level.tileSize;
+  }
+  return level.height;
+}
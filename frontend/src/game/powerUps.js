@@ -0,0 +1,30 @@
+import { TICK_RATE } from './constants.js';
+
+// Chance that a defeated enemy drops a power-up; bosses always do
+export const DROP_CHANCE = 0.12;
+// Uncollected pickups vanish after this long
+export const PICKUP_LIFETIME = 8 * TICK_RATE;
+
+// Pickups enemies can drop. Weapon pickups swap the player's gun (until its
+// ammo runs out); the rest start a timed effect.
+//   weight:   relative drop chance
+//   weapon:   weapon id to equip
+//   duration: ticks the effect lasts
+export const POWER_UPS = {
+  spread: { label: 'Spread Shot', weight: 3, weapon: 'spread', color: '#ff9800' },
+  rapid: { label: 'Rapid Fire', weight: 3, weapon: 'rapid', color: '#80deea' },
+  shield: { label: 'Shield', weight: 2, duration: 8 * TICK_RATE, color: '#4fc3f7' },
+  slowmo: { label: 'Slow-Mo', weight: 2, duration: 6 * TICK_RATE, color: '#ce93d8' }
+};
+
+const TOTAL_WEIGHT = Object.values(POWER_UPS).reduce((sum, p) => sum + p.weight, 0);
+
+// Weighted pick from a single random() roll
+export function pickPowerUp(roll) {
+  let remaining = roll * TOTAL_WEIGHT;
+  for (const [id, powerUp] of Object.entries(POWER_UPS)) {
+    remaining -= powerUp.weight;
+    if (remaining < 0) return id;
+  }
+  return 'spread';
+}
@@ -0,0 +1,30 @@
+// Records only the ticks where the input changed: [[tick, mask], ...]
+export class InputRecorder {
+  constructor() {
+    this.inputs = [];
+    this.lastMask = 0;
+  }
+
+  record(tick, mask) {
+    if (mask === this.lastMask) return;
+    this.inputs.push([tick, mask]);
+    this.lastMask = mask;
+  }
+}
+
+// Feeds a recording back one tick at a time
+export class ReplayPlayer {
+  constructor(inputs) {
+    this.inputs = inputs;
+    this.index = 0;
+    this.mask = 0;
+  }
+
+  inputAt(tick) {
+    while (this.index < this.inputs.length && this.inputs[this.index][0] <= tick) {
+      this.mask = this.inputs[this.index][1];
+      this.index++;
+    }
+    return this.mask;
+  }
+}
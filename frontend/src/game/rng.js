@@ -0,0 +1,17 @@
+// Mulberry32: small, fast 32-bit PRNG. Same seed -> same sequence on every machine.
+// The generator's whole state is one uint32, exposed through getState() so a
+// simulation can store it and resume the exact sequence with createRng(state).
+export function createRng(seed) {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => state;
+  return random;
+}
+
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
@@ -0,0 +1,90 @@
+import { TICK_RATE } from './constants.js';
+
+// A kill within COMBO_WINDOW of the last one keeps the chain going. Every
+// COMBO_STEP kills in a chain raise the multiplier by one, up to MAX_MULTIPLIER.
+// Getting hurt breaks the chain. Each player has a chain of their own.
+export const COMBO_WINDOW = 2 * TICK_RATE;
+const COMBO_STEP = 4;
+export const MAX_MULTIPLIER = 5;
+
+// Style bonuses, added before the multiplier
+const AIRBORNE_BONUS = 0.5; // share of the enemy's points for a kill in mid-air
+const MULTI_KILL_WINDOW = TICK_RATE / 4; // kills this close together are one multi-kill
+const MULTI_KILL_BONUS = 25; // per enemy after the first
+
+export const createCombo = () => ({ count: 0, timer: 0, streak: 0, streakTimer: 0 });
+
+export const createStats = () => ({
+  kills: 0,
+  shotsFired: 0,
+  shotsHit: 0,
+  maxCombo: 0,
+  airborneKills: 0,
+  multiKills: 0
+});
+
+export const comboMultiplier = (count) => Math.min(MAX_MULTIPLIER, 1 + Math.floor(count / COMBO_STEP));
+
+// Adds a kill to the shooter's chain and the score. Returns the points it was
+// worth and why.
+export function scoreKill(state, enemy, shooter) {
+  const { stats } = state;
+  const { combo } = shooter;
+  const airborne = !shooter.isGrounded;
+
+  combo.count++;
+  combo.timer = COMBO_WINDOW;
+  combo.streak = combo.streakTimer > 0 ? combo.streak + 1 : 1;
+  combo.streakTimer = MULTI_KILL_WINDOW;
+
+  let points = enemy.score;
+  if (airborne) {
+    points += Math.round(enemy.score * AIRBORNE_BONUS);
+    stats.airborneKills++;
+  }
+  if (combo.streak > 1) {
+    points += MULTI_KILL_BONUS * (combo.streak - 1);
+    // Counted once, when the streak first becomes a multi-kill
+    if (combo.streak === 2) stats.multiKills++;
+  }
+  const multiplier = comboMultiplier(combo.count);
+  points *= multiplier;
+
+  shooter.score += points;
+  state.score += points;
+  stats.kills++;
+  stats.maxCombo = Math.max(stats.maxCombo, combo.count);
+  return { points, multiplier, combo: combo.count, airborne, multiKill: combo.streak, player: shooter.id };
+}
+
+export function breakCombo(player) {
+  player.combo.count = 0;
+  player.combo.timer = 0;
+}
+
+// Once per tick: chains that go quiet for too long end
+export function updateCombo(state) {
+  state.players.forEach(({ combo }) => {
+    if (combo.streakTimer > 0) combo.streakTimer--;
+    if (combo.timer > 0 && --combo.timer === 0) combo.count = 0;
+  });
+}
+
+// The summary shown after a run and checked by the server. Whole numbers only,
+// so the browser and the verifier always agree exactly.
+export function runStats(state) {
+  const { stats } = state;
+  return {
+    kills: stats.kills,
+    shotsFired: stats.shotsFired,
+    shotsHit: stats.shotsHit,
+    accuracy: stats.shotsFired ? Math.round(stats.shotsHit / stats.shotsFired * 100) : 0,
+    timeSurvived: Math.floor(state.tick / TICK_RATE),
+    maxCombo: stats.maxCombo,
+    airborneKills: stats.airborneKills,
+    multiKills: stats.multiKills,
+    wave: state.wave.number,
+    // Versus only: which player won
+    winner: state.winner
+  };
+}
@@ -0,0 +1,549 @@
+import { createRng } from './rng.js';
+import { TICK_RATE, VIEW_WIDTH, VIEW_HEIGHT, INPUT, EVENTS, TILES, playerInput } from './constants.js';
+import { getWave, FIRST_WAVE_DELAY, INTERMISSION_TICKS } from './waves.js';
+import { overlaps, activePlayers, applyGravity, moveAndCollide, touchesTile, groundY } from './physics.js';
+import { cameraTarget } from './camera.js';
+import { getLevel, loadLevel, DEFAULT_LEVEL } from './levels/index.js';
+import { ENEMY_TYPES, enemyHitbox } from './enemies/index.js';
+import { WEAPONS, DEFAULT_WEAPON } from './weapons.js';
+import { POWER_UPS, DROP_CHANCE, PICKUP_LIFETIME, pickPowerUp } from './powerUps.js';
+import { createCombo, createStats, scoreKill, breakCombo, updateCombo } from './scoring.js';
+import { MODES, DEFAULT_MODE } from './modes.js';
+import { MODIFIERS } from './modifiers.js';
+
+export { TICK_RATE, VIEW_WIDTH, VIEW_HEIGHT, INPUT, EVENTS };
+
+// Bump whenever a change to step() would make old recordings play back differently
+export const ENGINE_VERSION = 8;
+
+// Spawn pacing, enemy speed and boss toughness per difficulty
+export const DIFFICULTIES = {
+  easy: { pacing: 1.3, enemySpeed: 0.75, bossHp: 0.7 },
+  normal: { pacing: 1, enemySpeed: 1, bossHp: 1 },
+  hard: { pacing: 0.8, enemySpeed: 1.3, bossHp: 1.4 }
+};
+
+const MAX_HEALTH = 3;
+const STARTING_LIVES = 3;
+// Ticks of invulnerability after taking a hit, and after losing a life
+const HURT_INVULNERABILITY = TICK_RATE * 1.5;
+const RESPAWN_INVULNERABILITY = TICK_RATE * 2.5;
+// Ticks the player can't steer after being knocked back
+const KNOCKBACK_TICKS = 12;
+// Players share one screen, so their centres can't get further apart than this
+const MAX_PLAYER_SPREAD = VIEW_WIDTH - 100;
+// Versus: points for landing a shot on the other player
+const VERSUS_HIT_POINTS = 50;
+
+// Game rules as pure functions over plain state objects: no DOM, no canvas,
+// no Math.random, and no Math.sin & co. (their last bits differ between
+// engines). The same code runs in the browser, in a worker, and in Node when
+// the backend re-simulates a submitted run.
+// level is a built-in level's id, or level data (e.g. from the editor).
+// mode is a key of MODES; modifiers are keys of MODIFIERS.
+export function createState({ seed, difficulty = 'normal', level = DEFAULT_LEVEL, mode = DEFAULT_MODE, modifiers = [] }) {
+  // The level is read-only, so every state in a run shares the one object
+  const map = typeof level === 'string' ? getLevel(level) : loadLevel(level);
+  const runMode = MODES[mode] ? mode : DEFAULT_MODE;
+  const state = {
+    seed,
+    difficulty: DIFFICULTIES[difficulty] ? difficulty : 'normal',
+    mode: runMode,
+    modifiers: modifiers.filter(id => MODIFIERS[id]),
+    rngState: seed >>> 0,
+    level: map,
+    width: map.width,
+    height: map.height,
+    tick: 0,
+    score: 0,
+    stats: createStats(),
+    isOver: false,
+    // Versus only: id of the player left standing
+    winner: null,
+    gravity: 0.6,
+    // Multipliers on enemy speed and weapon cooldowns, for modifiers to turn
+    enemySpeed: 1,
+    cooldownScale: 1,
+    players: Array.from({ length: MODES[runMode].players }, (_, id) => createPlayer(map, id)),
+    bullets: [],
+    enemies: [],
+    enemyBullets: [],
+    powerUps: [],
+    // Remaining ticks of each timed power-up that affects everyone; the
+    // rest live on the player who picked them up
+    effects: { slowmo: 0 },
+    // 'intermission' counts down to the next wave; 'active' drains the spawn queue
+    wave: {
+      number: 0,
+      phase: 'intermission',
+      timer: FIRST_WAVE_DELAY,
+      queue: [],
+      spawnTimer: 0,
+      spawnInterval: 0,
+      sides: [],
+      speed: [1, 1],
+      bossLevel: 0
+    }
+  };
+  state.modifiers.forEach(id => MODIFIERS[id].apply(state));
+  return state;
+}
+
+const PLAYER_HEIGHT = 40;
+const PLAYER_WIDTH = 30;
+
+// Where a player stands in the level's spawn tile. Player 2 starts a step
+// to the right of player 1.
+const spawnPoint = (level, id) => ({
+  x: Math.min(level.width - PLAYER_WIDTH, level.spawn.x * level.tileSize + id * 40),
+  y: (level.spawn.y + 1) * level.tileSize - PLAYER_HEIGHT
+});
+
+function createPlayer(level, id) {
+  return {
+    id,
+    ...spawnPoint(level, id),
+    width: PLAYER_WIDTH,
+    height: PLAYER_HEIGHT,
+    vx: 0,
+    vy: 0,
+    speed: 5,
+    jumpPower: -12,
+    isGrounded: false,
+    facingRight: true,
+    cooldown: 0,
+    health: MAX_HEALTH,
+    maxHealth: MAX_HEALTH,
+    lives: STARTING_LIVES,
+    invulnerable: 0,
+    knockback: 0,
+    weapon: DEFAULT_WEAPON,
+    ammo: null,
+    // Out of lives; co-op carries on without them
+    isOut: false,
+    // This player's own points, shown in versus
+    score: 0,
+    combo: createCombo(),
+    effects: { shield: 0 }
+  };
+}
+
+// Copies every entity and remembers where it was so renderers can interpolate
+const cloneEntity = (ent) => ({ ...ent, prevX: ent.x, prevY: ent.y });
+
+const cloneState = (state) => ({
+  ...state,
+  players: state.players.map(p => ({ ...cloneEntity(p), combo: { ...p.combo }, effects: { ...p.effects } })),
+  bullets: state.bullets.map(cloneEntity),
+  enemies: state.enemies.map(e => ({ ...cloneEntity(e), attack: e.attack && { ...e.attack } })),
+  enemyBullets: state.enemyBullets.map(cloneEntity),
+  powerUps: state.powerUps.map(cloneEntity),
+  effects: { ...state.effects },
+  stats: { ...state.stats },
+  wave: { ...state.wave, queue: [...state.wave.queue] }
+});
+
+function updatePlayer(state, player, input, events) {
+  // Player Movement (ignored while being knocked back)
+  if (player.knockback > 0) {
+    player.knockback--;
+  } else if (input & INPUT.LEFT) {
+    player.vx = -player.speed;
+    player.facingRight = false;
+  } else if (input & INPUT.RIGHT) {
+    player.vx = player.speed;
+    player.facingRight = true;
+  } else {
+    player.vx = 0;
+  }
+
+  // Jumping
+  if ((input & INPUT.JUMP) && player.isGrounded) {
+    player.vy = player.jumpPower;
+    player.isGrounded = false;
+    events.push({ type: EVENTS.JUMPED, player: player.id });
+  }
+
+  // Shooting
+  if (player.cooldown > 0) player.cooldown--;
+  if ((input & INPUT.SHOOT) && player.cooldown === 0) {
+    const weapon = WEAPONS[player.weapon];
+    const dir = player.facingRight ? 1 : -1;
+    const projectiles = weapon.fire(dir);
+    state.stats.shotsFired += projectiles.length;
+    projectiles.forEach(projectile => {
+      state.bullets.push({
+        ...projectile,
+        weapon: player.weapon,
+        owner: player.id,
+        x: player.facingRight ? player.x + player.width : player.x - projectile.width,
+        y: player.y + 15
+      });
+    });
+    player.cooldown = Math.max(1, Math.round(weapon.cooldown * state.cooldownScale));
+    events.push({ type: EVENTS.SHOT, weapon: player.weapon, player: player.id });
+
+    // Out of ammo: back to the default gun
+    if (player.ammo !== null && --player.ammo <= 0) {
+      player.weapon = DEFAULT_WEAPON;
+      player.ammo = null;
+    }
+  }
+  if (player.invulnerable > 0) player.invulnerable--;
+
+  // Physics
+  applyGravity(state, player);
+  moveAndCollide(state.level, player);
+
+  // Level Bounds
+  if (player.x < 0) player.x = 0;
+  if (player.x + player.width > state.width) player.x = state.width - player.width;
+  holdTogether(state, player);
+}
+
+// Nobody can walk off the shared screen: a step that takes a player too far
+// from someone else still in the game is undone
+function holdTogether(state, player) {
+  const centre = (p, x = p.x) => x + p.width / 2;
+  state.players.forEach(other => {
+    if (other === player || other.isOut) return;
+    const spread = Math.abs(centre(player) - centre(other));
+    if (spread > MAX_PLAYER_SPREAD && spread > Math.abs(centre(player, player.prevX) - centre(other))) {
+      player.x = player.prevX;
+      player.vx = 0;
+    }
+  });
+}
+
+// Horizontal direction (-1 or 1) from an entity's centre toward a player's,
+// which is the way that player gets knocked
+const awayFrom = (player, ent) => (
+  player.x + player.width / 2 < ent.x + ent.width / 2 ? -1 : 1
+);
+
+// Shots stop at the level's edges and at solid tiles
+const inFlight = (state, b) => (
+  b.x + b.width >= 0 && b.x <= state.width && b.y + b.height >= 0 && b.y <= state.height &&
+  !touchesTile(state.level, b, TILES.SOLID)
+);
+
+function updateBullets(state) {
+  state.bullets = state.bullets.filter(b => {
+    b.x += b.vx;
+    b.y += b.vy;
+    return inFlight(state, b);
+  });
+}
+
+// Versus: shots hit the other player as well, and a hit that lands scores
+function updatePlayerHits(state, events) {
+  state.bullets = state.bullets.filter(b => {
+    const target = activePlayers(state).find(p => p.id !== b.owner && overlaps(p, b));
+    if (!target) return true;
+    state.stats.shotsHit++;
+    if (damagePlayer(state, target, b.vx < 0 ? -1 : 1, events)) {
+      state.players[b.owner].score += VERSUS_HIT_POINTS;
+      state.score += VERSUS_HIT_POINTS;
+    }
+    return false;
+  });
+}
+
+function startWave(state, random, events) {
+  const definition = getWave(state.wave.number + 1, state.level.waves);
+  const tuning = DIFFICULTIES[state.difficulty];
+
+  // Bosses lead the wave; everyone else arrives in a seeded random order
+  const queue = [];
+  Object.entries(definition.enemies).forEach(([type, count]) => {
+    if (type !== 'boss') for (let i = 0; i < count; i++) queue.push(type);
+  });
+  for (let i = queue.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [queue[i], queue[j]] = [queue[j], queue[i]];
+  }
+  if (definition.enemies.boss) queue.unshift('boss');
+
+  const spawnInterval = Math.round(definition.spawnInterval * tuning.pacing);
+  state.wave = {
+    number: definition.number,
+    phase: 'active',
+    timer: 0,
+    queue,
+    spawnTimer: spawnInterval,
+    spawnInterval,
+    sides: definition.sides,
+    speed: definition.speed,
+    bossLevel: definition.bossLevel
+  };
+  events.push({ type: EVENTS.WAVE_STARTED, wave: definition.number });
+}
+
+function spawnEnemy(state, type, side, random, events) {
+  const definition = ENEMY_TYPES[type];
+  const tuning = DIFFICULTIES[state.difficulty];
+  const [minSpeed, maxSpeed] = state.wave.speed;
+  const speed = definition.speed * (minSpeed + random() * (maxSpeed - minSpeed)) * tuning.enemySpeed * state.enemySpeed;
+  // Just outside the view on the chosen side, or the level's edge if that's nearer
+  const isRight = side === 'right';
+  const view = cameraTarget(state);
+  const x = isRight
+    ? Math.min(state.width, view.x + VIEW_WIDTH) + 10
+    : Math.max(0, view.x) - definition.width - 10;
+  const enemy = {
+    type,
+    x,
+    y: groundY(state.level, isRight ? x : x + definition.width) - definition.height,
+    width: definition.width,
+    height: definition.height,
+    vx: isRight ? -speed : speed,
+    hp: definition.hp,
+    maxHp: definition.hp,
+    score: definition.score,
+    vy: 0,
+    hitTimer: 0
+  };
+  if (definition.spawn) definition.spawn(enemy, { state, random, tuning, events });
+  state.enemies.push(enemy);
+}
+
+function updateWave(state, random, events) {
+  const { wave } = state;
+
+  if (wave.phase === 'intermission') {
+    wave.timer--;
+    if (wave.timer <= 0) startWave(state, random, events);
+    return;
+  }
+
+  wave.spawnTimer++;
+  if (wave.queue.length && wave.spawnTimer >= wave.spawnInterval) {
+    wave.spawnTimer = 0;
+    const type = wave.queue.shift();
+    const side = wave.sides[Math.floor(random() * wave.sides.length)];
+    spawnEnemy(state, type, side, random, events);
+  }
+
+  if (!wave.queue.length && !state.enemies.length) {
+    wave.phase = 'intermission';
+    wave.timer = INTERMISSION_TICKS;
+    state.enemyBullets = [];
+    events.push({ type: EVENTS.WAVE_CLEARED, wave: wave.number });
+  }
+}
+
+function updateEnemyBullets(state, frozen) {
+  state.enemyBullets = state.enemyBullets.filter(b => {
+    if (!frozen) b.x += b.vx;
+    return inFlight(state, b);
+  });
+}
+
+function tickEffects(effects) {
+  Object.keys(effects).forEach(effect => {
+    if (effects[effect] > 0) effects[effect]--;
+  });
+}
+
+function updateEffects(state) {
+  tickEffects(state.effects);
+  state.players.forEach(p => tickEffects(p.effects));
+}
+
+function dropPowerUp(state, enemy, random, events) {
+  const type = pickPowerUp(random());
+  state.powerUps.push({
+    type,
+    x: enemy.x + enemy.width / 2 - 9,
+    y: enemy.y + enemy.height / 2 - 9,
+    width: 18,
+    height: 18,
+    vy: -4,
+    timer: PICKUP_LIFETIME
+  });
+  events.push({ type: EVENTS.POWERUP_DROPPED, powerUp: type });
+}
+
+function updatePowerUps(state, events) {
+  state.powerUps = state.powerUps.filter(p => {
+    // Pops up out of the enemy, then settles on whatever is below
+    p.vx = 0;
+    applyGravity(state, p);
+    moveAndCollide(state.level, p);
+    if (p.y > state.height) return false;
+
+    // First come, first served
+    const player = activePlayers(state).find(pl => overlaps(pl, p));
+    if (player) {
+      const powerUp = POWER_UPS[p.type];
+      if (powerUp.weapon) {
+        player.weapon = powerUp.weapon;
+        player.ammo = WEAPONS[powerUp.weapon].ammo;
+      } else if (p.type in player.effects) {
+        player.effects[p.type] = powerUp.duration;
+      } else {
+        state.effects[p.type] = powerUp.duration;
+      }
+      events.push({ type: EVENTS.POWERUP_COLLECTED, powerUp: p.type, player: player.id });
+      return false;
+    }
+    return --p.timer > 0;
+  });
+}
+
+// Costs a point of health, or a life once health runs out. away is the
+// direction (-1 or 1) the player gets knocked. Returns whether it landed.
+function damagePlayer(state, player, away, events) {
+  if (state.isOver || player.isOut || player.effects.shield > 0 || player.invulnerable > 0) return false;
+
+  breakCombo(player);
+  player.health--;
+  if (player.health <= 0) {
+    loseLife(state, player, events);
+    return true;
+  }
+  player.vx = away * 6;
+  player.vy = -6;
+  player.isGrounded = false;
+  player.knockback = KNOCKBACK_TICKS;
+  player.invulnerable = HURT_INVULNERABILITY;
+  events.push({ type: EVENTS.PLAYER_HURT, health: player.health, player: player.id });
+  return true;
+}
+
+function loseLife(state, player, events) {
+  breakCombo(player);
+  player.lives--;
+  if (player.lives <= 0) {
+    eliminatePlayer(state, player, events);
+    return;
+  }
+
+  // Back on your feet with a full bar and a clear screen
+  player.health = player.maxHealth;
+  player.invulnerable = RESPAWN_INVULNERABILITY;
+  player.knockback = 0;
+  state.enemyBullets = [];
+  events.push({ type: EVENTS.LIFE_LOST, lives: player.lives, player: player.id });
+}
+
+function updateHazards(state, player, events) {
+  // Once the run has ended this tick, nobody else can lose a life
+  if (state.isOver) return;
+  // Falling out of the level costs a life whatever the shield says
+  if (player.y > state.height) {
+    loseLife(state, player, events);
+    Object.assign(player, spawnPoint(state.level, player.id), { vx: 0, vy: 0 });
+    return;
+  }
+
+  // Spikes bounce you back the way you came
+  if (touchesTile(state.level, player, TILES.HAZARD)) {
+    damagePlayer(state, player, player.facingRight ? -1 : 1, events);
+  }
+}
+
+// Out of lives. Co-op carries on while anyone is left; otherwise that's the
+// run, and in versus the other player wins, or nobody does if they went down
+// on the same tick.
+function eliminatePlayer(state, player, events) {
+  player.isOut = true;
+  const remaining = activePlayers(state);
+  if (MODES[state.mode].shared && remaining.length) {
+    events.push({ type: EVENTS.PLAYER_OUT, player: player.id, x: player.x, y: player.y });
+    return;
+  }
+  if (!MODES[state.mode].shared) state.winner = remaining[0]?.id ?? null;
+  state.isOver = true;
+  events.push({ type: EVENTS.PLAYER_DIED, player: player.id, x: player.x, y: player.y });
+}
+
+function updateEnemies(state, random, events, frozen) {
+  const tuning = DIFFICULTIES[state.difficulty];
+
+  for (let i = state.enemies.length - 1; i >= 0; i--) {
+    const e = state.enemies[i];
+    const definition = ENEMY_TYPES[e.type];
+    if (e.hitTimer > 0) e.hitTimer--;
+    if (!frozen) definition.update(e, { state, random, tuning, events });
+
+    // Anything that leaves by the far side has escaped; pits take the rest
+    const escaped = !definition.staysInArena &&
+      ((e.vx < 0 && e.x + e.width < -40) || (e.vx > 0 && e.x > state.width + 40));
+    if (escaped || e.y > state.height + 40) {
+      state.enemies.splice(i, 1);
+      continue;
+    }
+
+    const hitbox = enemyHitbox(e);
+    const center = { x: hitbox.x + hitbox.width / 2, y: hitbox.y + hitbox.height / 2 };
+
+    // Bullet hits enemy
+    const hit = state.bullets.findIndex(b => overlaps(b, hitbox));
+    if (hit !== -1) {
+      const [bullet] = state.bullets.splice(hit, 1);
+      state.stats.shotsHit++;
+      if (definition.isVulnerable && !definition.isVulnerable(e, bullet)) {
+        events.push({ type: EVENTS.ENEMY_BLOCKED, enemyType: e.type, ...center });
+      } else {
+        e.hp -= bullet.damage;
+        if (e.hp <= 0) {
+          state.enemies.splice(i, 1);
+          const kill = scoreKill(state, e, state.players[bullet.owner]);
+          events.push({ type: EVENTS.ENEMY_KILLED, enemyType: e.type, ...center, ...kill });
+          if (definition.showHealthBar || random() < DROP_CHANCE) dropPowerUp(state, e, random, events);
+          continue;
+        }
+        e.hitTimer = 6;
+        events.push({ type: EVENTS.ENEMY_HIT, enemyType: e.type, ...center });
+      }
+    }
+
+    // Enemy touches player
+    for (const player of activePlayers(state)) {
+      if (overlaps(player, hitbox)) damagePlayer(state, player, awayFrom(player, hitbox), events);
+      if (state.isOver) return;
+    }
+  }
+
+  state.enemyBullets = state.enemyBullets.filter(b => {
+    const player = activePlayers(state).find(p => overlaps(p, b));
+    if (!player) return true;
+    // Shots are used up against the shield as well
+    damagePlayer(state, player, awayFrom(player, b), events);
+    return false;
+  });
+}
+
+// Advances the game by one tick. Never mutates prevState. input packs every
+// player's buttons (see playerInput).
+export function step(prevState, input) {
+  const events = [];
+  if (prevState.isOver) return { state: prevState, events };
+
+  const state = cloneState(prevState);
+  const random = createRng(state.rngState);
+  state.tick++;
+
+  // Slow-mo: enemies and their shots only move every other tick
+  const frozen = state.effects.slowmo > 0 && state.tick % 2 === 1;
+
+  activePlayers(state).forEach(player => {
+    updatePlayer(state, player, playerInput(input, player.id), events);
+    updateHazards(state, player, events);
+  });
+  updateBullets(state);
+  if (!MODES[state.mode].shared && !state.isOver) updatePlayerHits(state, events);
+  updateEnemyBullets(state, frozen);
+  updateWave(state, random, events);
+  updateEnemies(state, random, events, frozen);
+  if (!state.isOver) updatePowerUps(state, events);
+  updateEffects(state);
+  updateCombo(state);
+  // The winner's points are the run's score, or in a draw the better of the two
+  if (state.winner !== null) state.score = state.players[state.winner].score;
+  else if (state.isOver && !MODES[state.mode].shared) state.score = Math.max(...state.players.map(p => p.score));
+
+  state.rngState = random.getState();
+  return { state, events };
+}
@@ -0,0 +1,44 @@
+import { TICK_RATE } from './constants.js';
+
+// A boss joins every BOSS_EVERY-th wave
+export const BOSS_EVERY = 5;
+
+export const FIRST_WAVE_DELAY = 2 * TICK_RATE;
+export const INTERMISSION_TICKS = 4 * TICK_RATE;
+
+// Hand-tuned waves, played in order and then cycled with rising intensity.
+//   enemies:       enemy type (see enemies/index.js) -> how many to send
+//   sides:         where they may enter from
+//   spawnInterval: ticks between spawns
+//   speed:         [min, max] multiplier on an enemy's base speed
+export const WAVES = [
+  { enemies: { grunt: 5 }, sides: ['right'], spawnInterval: 100, speed: [1, 1.6] },
+  { enemies: { grunt: 6, jumper: 3 }, sides: ['left', 'right'], spawnInterval: 85, speed: [1, 2] },
+  { enemies: { grunt: 6, jumper: 2, flyer: 3 }, sides: ['left'], spawnInterval: 70, speed: [1.2, 2.2] },
+  { enemies: { grunt: 8, jumper: 3, flyer: 3, shielded: 2 }, sides: ['left', 'right'], spawnInterval: 60, speed: [1.4, 2.6] },
+  { enemies: { grunt: 4, flyer: 2 }, sides: ['left', 'right'], spawnInterval: 110, speed: [1, 2] }
+];
+
+export const isBossWave = (number) => number > 0 && number % BOSS_EVERY === 0;
+
+// waves: a level's own wave list, if it has one
+export function getWave(number, waves = WAVES) {
+  const base = waves[(number - 1) % waves.length];
+  const cycle = Math.floor((number - 1) / waves.length);
+  const scale = 1 + cycle * 0.35;
+
+  const enemies = {};
+  Object.entries(base.enemies).forEach(([type, count]) => {
+    enemies[type] = Math.round(count * scale);
+  });
+  if (isBossWave(number)) enemies.boss = 1;
+
+  return {
+    number,
+    enemies,
+    sides: base.sides,
+    spawnInterval: Math.max(25, Math.round(base.spawnInterval / scale)),
+    speed: base.speed.map(s => s * (1 + cycle * 0.2)),
+    bossLevel: Math.floor(number / BOSS_EVERY)
+  };
+}
@@ -0,0 +1,30 @@
+// Player weapons. fire() returns the projectiles for one trigger pull, placed
+// relative to the muzzle; the simulation adds the player's position.
+//   cooldown: ticks between shots
+//   ammo:     rounds granted when picked up (null = unlimited)
+//   color:    projectile colour for renderers
+export const DEFAULT_WEAPON = 'blaster';
+
+export const WEAPONS = {
+  blaster: {
+    label: 'Blaster',
+    cooldown: 15,
+    ammo: null,
+    color: '#ffd700',
+    fire: (dir) => [{ vx: 15 * dir, vy: 0, width: 10, height: 4, damage: 1 }]
+  },
+  spread: {
+    label: 'Spread',
+    cooldown: 20,
+    ammo: 24,
+    color: '#ff9800',
+    fire: (dir) => [-2, 0, 2].map(vy => ({ vx: 12 * dir, vy, width: 8, height: 4, damage: 1 }))
+  },
+  rapid: {
+    label: 'Rapid',
+    cooldown: 6,
+    ammo: 60,
+    color: '#80deea',
+    fire: (dir) => [{ vx: 18 * dir, vy: 0, width: 8, height: 3, damage: 1 }]
+  }
+};
@@ -0,0 +1,18 @@
+import { isUnreachable } from '../api/client';
+import { get, put, STORES } from './db';
+
+// Runs request and remembers its result under key. If the server can't be
+// reached, resolves with the last remembered result instead. Resolves to
+// { data, cachedAt }, where cachedAt is null for fresh data.
+export const cachedRequest = async (key, request) => {
+  try {
+    const data = await request();
+    put(STORES.CACHE, { key, data, savedAt: Date.now() }).catch(error => console.error('Failed to cache', key, error));
+    return { data, cachedAt: null };
+  } catch (error) {
+    if (!isUnreachable(error)) throw error;
+    const cached = await get(STORES.CACHE, key).catch(() => undefined);
+    if (!cached) throw error;
+    return { data: cached.data, cachedAt: cached.savedAt };
+  }
+};
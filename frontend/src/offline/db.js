@@ -0,0 +1,57 @@
+// Minimal promise wrapper over the one IndexedDB database the app keeps for
+// offline use. Bump DB_VERSION and extend upgrade() when adding a store.
+const DB_NAME = 'killerBean';
+const DB_VERSION = 1;
+
+export const STORES = {
+  PENDING_SCORES: 'pendingScores',
+  CACHE: 'cache'
+};
+
+const upgrade = (db) => {
+  if (!db.objectStoreNames.contains(STORES.PENDING_SCORES)) {
+    db.createObjectStore(STORES.PENDING_SCORES, { keyPath: 'id', autoIncrement: true });
+  }
+  if (!db.objectStoreNames.contains(STORES.CACHE)) {
+    db.createObjectStore(STORES.CACHE, { keyPath: 'key' });
+  }
+};
+
+let opening = null;
+
+const openDb = () => {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again rather than caching the failure
+    opening.catch(() => { opening = null; });
+  }
+  return opening;
+};
+
+// Runs fn(store) in a transaction and resolves with the request's result
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = fn(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const getAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+
+export const get = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+
+// Resolves with the record's key
+export const put = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+
+export const remove = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
@@ -0,0 +1,104 @@
+import { postScore, scorePayload } from '../api/scoreApi';
+import { isUnreachable } from '../api/client';
+import { getPlayer } from '../player/playerStore';
+import { getAll, put, remove, STORES } from './db';
+
+// Scores that couldn't be submitted wait in IndexedDB and are retried with
+// exponential backoff, and straight away whenever the browser comes back online.
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+let pending = [];
+const listeners = new Set();
+let retryTimer = null;
+let flushing = null;
+
+const notify = () => listeners.forEach(listener => listener(pending));
+
+const reload = async () => {
+  pending = await getAll(STORES.PENDING_SCORES);
+  notify();
+};
+
+const backoff = (attempts) => Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempts);
+
+const scheduleRetry = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (!pending.length) return;
+  const soonest = Math.min(...pending.map(entry => entry.nextAttemptAt));
+  retryTimer = setTimeout(() => flushPendingScores(), Math.max(0, soonest - Date.now()));
+};
+
+const attempt = async (entry) => {
+  try {
+    await postScore(entry.payload, entry.token);
+    await remove(STORES.PENDING_SCORES, entry.id);
+    return true;
+  } catch (error) {
+    if (!isUnreachable(error)) {
+      // The server looked at it and said no; retrying won't change that
+      console.error('Queued score was rejected', error.response?.data?.detail ?? error);
+      await remove(STORES.PENDING_SCORES, entry.id);
+      return true;
+    }
+    const attempts = entry.attempts + 1;
+    await put(STORES.PENDING_SCORES, { ...entry, attempts, nextAttemptAt: Date.now() + backoff(attempts) });
+    return false;
+  }
+};
+
+// Submits every queued score that's due (or all of them with force). Stops at
+// the first one that can't get through, since the rest won't either.
+export const flushPendingScores = (force = false) => {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    try {
+      await reload();
+      const due = pending.filter(entry => force || entry.nextAttemptAt <= Date.now());
+      for (const entry of due) {
+        if (!await attempt(entry)) break;
+      }
+      await reload();
+    } catch (error) {
+      console.error('Failed to sync queued scores', error);
+    } finally {
+      flushing = null;
+      scheduleRetry();
+    }
+  })();
+  return flushing;
+};
+
+// Keeps a run that couldn't be submitted, to send as the current player later
+export const queueScore = async (score, run, stats) => {
+  const player = getPlayer();
+  await put(STORES.PENDING_SCORES, {
+    payload: scorePayload(score, run, stats),
+    token: player.token,
+    playerName: player.name,
+    queuedAt: Date.now(),
+    attempts: 0,
+    nextAttemptAt: Date.now() + BASE_DELAY_MS
+  });
+  await reload();
+  scheduleRetry();
+};
+
+export const getPendingScores = () => pending;
+
+export const subscribePendingScores = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Call once at startup; returns a cleanup function
+export const startScoreSync = () => {
+  const handleOnline = () => flushPendingScores(true);
+  window.addEventListener('online', handleOnline);
+  flushPendingScores();
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    clearTimeout(retryTimer);
+  };
+};
@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { getPendingScores, subscribePendingScores } from './scoreQueue';
+
+export default function usePendingScores() {
+  return useSyncExternalStore(subscribePendingScores, getPendingScores);
+}
@@ -0,0 +1,126 @@
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Award, Lock, Shirt } from 'lucide-react';
+import useAchievements from '../achievements/useAchievements';
+import useSettings from '../settings/useSettings';
+import usePlayer from '../player/usePlayer';
+import StatTile, { formatTime } from '../components/StatTile';
+import { ACHIEVEMENTS } from '../game/achievements';
+import { COSMETICS, COSMETIC_SLOTS, rewardsFor, isUnlocked } from '../game/cosmetics';
+import { selectWithArrowKeys } from '../a11y/arrowKeys';
+
+const formatProgress = (value, format) => (format === 'time' ? formatTime(value) : value.toLocaleString());
+
+// Swatch for a cosmetic in the wardrobe
+function CosmeticPreview({ slot, cosmetic }) {
+  if (slot === 'color') return <span className="w-4 h-4 rounded-sm" style={{ background: cosmetic.color }} />;
+  if (slot === 'trail') {
+    const background = cosmetic.trail === 'rainbow'
+      ? 'linear-gradient(90deg, #f44336, #ffeb3b, #4caf50, #2196f3, #9c27b0)'
+      : cosmetic.trail ?? 'transparent';
+    return <span className="w-4 h-4 rounded-full border border-gray-500" style={{ background }} />;
+  }
+  return null;
+}
+
+// Every achievement with its progress, and the looks they unlock
+export default function Achievements() {
+  const progress = useAchievements();
+  const [settings, updateSettings] = useSettings();
+  const player = usePlayer();
+  const ids = Object.keys(ACHIEVEMENTS);
+  const unlockedCount = ids.filter((id) => progress.unlocked[id]).length;
+
+  const wear = (slot, id) => updateSettings({ cosmetics: { ...settings.cosmetics, [slot]: id } });
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 max-w-2xl mx-auto w-full">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-3xl font-black text-yellow-400 flex items-center gap-3">
+          <Award size={32} /> Achievements
+        </h2>
+        <Link to="/" className="text-gray-400 hover:text-white flex items-center gap-2">
+          <ArrowLeft size={20}/> Back
+        </Link>
+      </div>
+      <p className="text-sm text-gray-400 mb-6">
+        {unlockedCount} of {ids.length} unlocked.{' '}
+        {player
+          ? `Progress is saved to ${player.name}, so it follows you to any device you play on as them.`
+          : 'Progress is kept on this device. Save a score to make a player and it will follow you to other devices too.'}
+      </p>
+
+      <div className="grid grid-cols-3 gap-2 mb-6">
+        <StatTile label="Kills" value={progress.totals.kills.toLocaleString()} />
+        <StatTile label="Runs" value={progress.totals.runs} />
+        <StatTile label="Time Played" value={formatTime(progress.totals.timePlayed)} />
+      </div>
+
+      <ul className="space-y-2 mb-8">
+        {ids.map((id) => {
+          const achievement = ACHIEVEMENTS[id];
+          const unlockedAt = progress.unlocked[id];
+          const value = Math.min(achievement.goal, achievement.progress(progress));
+          const rewards = rewardsFor(id);
+          return (
+            <li key={id} className={`flex items-start gap-3 rounded-lg p-3 ${unlockedAt ? 'bg-gray-900 border border-yellow-600/60' : 'bg-gray-900/60'}`}>
+              {unlockedAt
+                ? <Award size={28} className="text-yellow-400 shrink-0" role="img" aria-label="Unlocked" />
+                : <Lock size={28} className="text-gray-600 shrink-0" role="img" aria-label="Locked" />}
+              <div className="flex-1">
+                <div className="flex items-baseline justify-between gap-2">
+                  <p className={`font-bold ${unlockedAt ? 'text-white' : 'text-gray-300'}`}>{achievement.label}</p>
+                  <p className="text-xs text-gray-400">
+                    {unlockedAt
+                      ? new Date(unlockedAt).toLocaleDateString()
+                      : `${formatProgress(value, achievement.format)} / ${formatProgress(achievement.goal, achievement.format)}`}
+                  </p>
+                </div>
+                <p className="text-sm text-gray-400">{achievement.description}</p>
+                {!unlockedAt && (
+                  <div className="h-1.5 bg-gray-700 rounded mt-2" role="progressbar" aria-valuemin={0} aria-valuemax={achievement.goal} aria-valuenow={value} aria-label={`${achievement.label} progress`}>
+                    <div className="h-full bg-yellow-500 rounded" style={{ width: `${value / achievement.goal * 100}%` }} />
+                  </div>
+                )}
+                {rewards.length > 0 && (
+                  <p className="text-xs text-purple-300 mt-1">Unlocks: {rewards.map((r) => r.label).join(', ')}</p>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <h3 className="flex items-center gap-2 text-xl font-bold text-white mb-1"><Shirt size={20} /> Wardrobe</h3>
+      <p className="text-xs text-gray-400 mb-3">Player 1's look. Visors show with the Retro theme, which draws Killer Bean with shapes, and a colour-safe palette in Settings takes over from the colour.</p>
+      <div className="space-y-3">
+        {COSMETIC_SLOTS.map(({ id: slot, label }) => (
+          <div key={slot} role="radiogroup" aria-label={label} onKeyDown={selectWithArrowKeys}>
+            <p className="text-sm text-gray-300 mb-1">{label}</p>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(COSMETICS[slot]).map(([id, cosmetic]) => {
+                const available = isUnlocked(cosmetic, progress.unlocked);
+                const selected = settings.cosmetics[slot] === id;
+                return (
+                  <button
+                    key={id}
+                    role="radio"
+                    aria-checked={selected}
+                    tabIndex={selected ? 0 : -1}
+                    disabled={!available}
+                    title={available ? cosmetic.label : `Unlocked by ${ACHIEVEMENTS[cosmetic.unlockedBy].label}`}
+                    onClick={() => wear(slot, id)}
+                    className={`flex items-center gap-2 py-1 px-3 rounded text-sm font-semibold ${selected ? 'bg-yellow-500 text-gray-900' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'} disabled:opacity-40 disabled:hover:bg-gray-700`}
+                  >
+                    {available ? <CosmeticPreview slot={slot} cosmetic={cosmetic} /> : <Lock size={14} />}
+                    {cosmetic.label}
+                    {!available && <span className="sr-only">(locked: {ACHIEVEMENTS[cosmetic.unlockedBy].label})</span>}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
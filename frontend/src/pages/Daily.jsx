@@ -0,0 +1,181 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, CalendarDays, Dumbbell, Play, Sparkles, Timer, WifiOff } from 'lucide-react';
+import { getScores, getScoreRank, startDailyAttempt } from '../api/scoreApi';
+import { createPlayer } from '../api/playerApi';
+import { cachedRequest } from '../offline/cache';
+import ScoreTable from '../components/ScoreTable';
+import DailyCountdown from '../components/DailyCountdown';
+import { dailyChallenge, dailyDate } from '../game/daily';
+import { MODIFIERS } from '../game/modifiers';
+import { LEVELS } from '../game/levels';
+import { hasPlayedDaily, markDailyPlayed } from '../daily/dailyStore';
+import { signIn, signOut } from '../player/playerStore';
+import usePlayer from '../player/usePlayer';
+
+const BOARD_SIZE = 10;
+
+// Today's challenge, its board, and the countdown to tomorrow's.
+// ?score=<id> highlights that score, as on the main leaderboard.
+export default function Daily() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const ownScoreId = Number(searchParams.get('score')) || null;
+  const [date, setDate] = useState(dailyDate);
+  const [data, setData] = useState({ scores: [], total: 0 });
+  const [ownRank, setOwnRank] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [loadError, setLoadError] = useState(false);
+  const challenge = dailyChallenge(date);
+  const played = hasPlayedDaily(date);
+  const player = usePlayer();
+  const [name, setName] = useState('');
+  const [starting, setStarting] = useState(false);
+  const [startError, setStartError] = useState(null);
+
+  const rollover = useCallback(() => setDate(dailyDate()), []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    cachedRequest(`daily:${date}`, () => getScores({ daily: date, limit: BOARD_SIZE }))
+      .then((result) => {
+        if (cancelled) return;
+        setData(result.data);
+        setCachedAt(result.cachedAt);
+        setLoadError(false);
+      })
+      .catch((error) => {
+        console.error('Error fetching daily scores:', error);
+        if (!cancelled) setLoadError(true);
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [date]);
+
+  useEffect(() => {
+    if (!ownScoreId) return undefined;
+    let cancelled = false;
+    // A 404 just means the score is from another day
+    cachedRequest(`daily-rank:${ownScoreId}:${date}`, () => getScoreRank(ownScoreId, { daily: date }))
+      .then(({ data: rank }) => { if (!cancelled) setOwnRank(rank); })
+      .catch(() => { if (!cancelled) setOwnRank(null); });
+    return () => { cancelled = true; };
+  }, [ownScoreId, date]);
+
+  // The server issues the attempt and its seed; the game only gets to be
+  // ranked with one in hand
+  const handleStartRanked = async (e) => {
+    e.preventDefault();
+    setStarting(true);
+    setStartError(null);
+    try {
+      // Ranked attempts belong to a player, so make one first if need be
+      if (!player) signIn(await createPlayer(name));
+      const attempt = await startDailyAttempt(date);
+      markDailyPlayed(date);
+      navigate('/daily/play', { state: { attempt } });
+    } catch (error) {
+      console.error('Failed to start ranked attempt', error);
+      const status = error.response?.status;
+      if (status === 409) markDailyPlayed(date);
+      // The server no longer knows this device's token
+      if (status === 401) signOut();
+      const detail = error.response?.data?.detail;
+      setStartError(typeof detail === 'string' ? detail : "Can't reach the server to start a ranked attempt. You can still practice.");
+      setStarting(false);
+    }
+  };
+
+  const ownScoreOnBoard = data.scores.some((s) => s.id === ownScoreId);
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 max-w-2xl mx-auto w-full">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-3xl font-black text-yellow-400 flex items-center gap-3">
+          <CalendarDays size={32} /> Daily Challenge
+        </h2>
+        <Link to="/" className="text-gray-400 hover:text-white flex items-center gap-2">
+          <ArrowLeft size={20}/> Back
+        </Link>
+      </div>
+
+      <div className="bg-gray-900 rounded-lg p-4 mb-4">
+        <div className="flex flex-wrap items-baseline justify-between gap-2 mb-3">
+          <p className="text-white font-bold">
+            {date} · {LEVELS[challenge.level].name}
+          </p>
+          <p className="flex items-center gap-2 text-sm text-gray-400">
+            <Timer size={16} /> Next challenge in <DailyCountdown onRollover={rollover} className="text-white" />
+          </p>
+        </div>
+        <ul className="space-y-2 mb-4">
+          {challenge.modifiers.map((id) => (
+            <li key={id} className="flex items-start gap-2">
+              <Sparkles size={18} className="text-purple-400 mt-0.5 shrink-0" />
+              <span><span className="font-semibold text-white">{MODIFIERS[id].label}:</span> <span className="text-gray-300">{MODIFIERS[id].description}</span></span>
+            </li>
+          ))}
+        </ul>
+        {!played && (
+          <form onSubmit={handleStartRanked} className="mb-2">
+            {!player && (
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Pick a player name..."
+                aria-label="Player name"
+                maxLength={15}
+                pattern="[A-Za-z0-9 _\-]{2,15}"
+                title="2-15 letters, digits, spaces, _ or -"
+                required
+                className="w-full bg-gray-800 border border-gray-600 rounded p-3 text-white mb-2 text-center focus:outline-none focus:border-red-500"
+              />
+            )}
+            <button type="submit" disabled={starting} className="flex items-center justify-center gap-3 w-full bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-6 rounded-lg disabled:opacity-50">
+              <Play size={20} /> {starting ? 'Starting...' : 'Play Ranked Attempt'}
+            </button>
+          </form>
+        )}
+        <Link
+          to="/daily/play"
+          className={`flex items-center justify-center gap-3 w-full text-white font-bold py-3 px-6 rounded-lg ${played ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+        >
+          <Dumbbell size={20} /> Practice
+        </Link>
+        {startError && <p role="alert" className="text-red-400 text-sm mt-2 text-center">{startError}</p>}
+        <p className="text-xs text-gray-400 mt-2 text-center">
+          {played
+            ? "You've had your ranked attempt today. Practice runs aren't saved."
+            : 'Same stage and modifiers for everyone, solo on Normal. You get one ranked attempt a day, on a seed that practice never plays, and starting it uses it up.'}
+        </p>
+      </div>
+
+      {cachedAt && (
+        <div role="status" className="flex items-center gap-2 bg-gray-900 border border-gray-700 text-gray-300 text-sm rounded-lg px-3 py-2 mb-4">
+          <WifiOff size={16} /> Offline: showing scores saved {new Date(cachedAt).toLocaleString()}
+        </div>
+      )}
+
+      <h3 className="text-lg font-bold text-white mb-2">Today's best</h3>
+      {loading ? (
+        <div role="status" className="text-center py-10 text-gray-400">Loading scores...</div>
+      ) : loadError ? (
+        <div className="text-center py-10 text-gray-400">Can't reach the leaderboard right now, and there's no saved copy of it yet.</div>
+      ) : (
+        <ScoreTable scores={data.scores} highlightId={ownScoreId} emptyMessage="Nobody has played today's challenge yet." />
+      )}
+
+      {ownScoreId && (
+        <div className="mt-6">
+          <h3 className="text-lg font-bold text-white mb-2">
+            {ownRank ? `Your rank: #${ownRank.rank} of ${ownRank.total}` : 'Your score isn\'t on today\'s board.'}
+          </h3>
+          {ownRank && !ownScoreOnBoard && <ScoreTable scores={ownRank.scores} highlightId={ownScoreId} />}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,321 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  ArrowLeft, Square, Minus, Triangle, Eraser, MapPin, Undo2, Redo2,
+  FilePlus, Save, FolderOpen, Trash2, FileUp, Download, UploadCloud, DownloadCloud, Play
+} from 'lucide-react';
+import { TILES } from '../game/constants';
+import { loadLevel } from '../game/levels';
+import {
+  createBlankLevel, setTile, setSpawn, resizeLevel, slugify,
+  MIN_COLS, MAX_COLS, MIN_ROWS, MAX_ROWS
+} from '../editor/levelDocument';
+import { getSavedLevels, saveLevel, deleteSavedLevel } from '../editor/levelStorage';
+import useHistory from '../editor/useHistory';
+import { uploadLevel, listLevels, getUploadedLevel } from '../api/levelApi';
+import EditorCanvas from '../components/EditorCanvas';
+import WaveEditor from '../components/WaveEditor';
+import LevelPlaytest from '../components/LevelPlaytest';
+
+const TOOLS = [
+  { id: 'solid', label: 'Solid', icon: Square, tile: TILES.SOLID },
+  { id: 'platform', label: 'Platform', icon: Minus, tile: TILES.ONE_WAY },
+  { id: 'hazard', label: 'Spikes', icon: Triangle, tile: TILES.HAZARD },
+  { id: 'erase', label: 'Erase', icon: Eraser, tile: TILES.EMPTY },
+  { id: 'spawn', label: 'Spawn', icon: MapPin }
+];
+
+const buttonClass = 'flex items-center gap-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:hover:bg-gray-700 text-white font-semibold py-2 px-3 rounded-lg text-sm';
+
+// Checks the level the same way the game will, returning an error message or null
+const findProblem = (level) => {
+  try {
+    loadLevel(level);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+export default function Editor() {
+  const { value: level, update, undo, redo, canUndo, canRedo } = useHistory(createBlankLevel);
+  const [tool, setTool] = useState('solid');
+  const [savedLevels, setSavedLevels] = useState(getSavedLevels);
+  const [status, setStatus] = useState(null);
+  const [isPlaytesting, setIsPlaytesting] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  // Levels on the server, newest first; null until they've loaded, or if they can't be
+  const [uploadedLevels, setUploadedLevels] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const cols = level.tiles[0].length;
+  const rows = level.tiles.length;
+
+  useEffect(() => {
+    if (isPlaytesting) return undefined;
+    const handleKeyDown = (e) => {
+      // Leave text fields to their own undo
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.code === 'KeyZ' && !e.shiftKey) undo();
+      else if ((e.code === 'KeyZ' && e.shiftKey) || e.code === 'KeyY') redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, isPlaytesting]);
+
+  const refreshUploadedLevels = () => listLevels().then(setUploadedLevels, () => setUploadedLevels(null));
+  useEffect(() => { refreshUploadedLevels(); }, []);
+
+  const report = (message, isError = false) => setStatus({ message, isError });
+
+  const handlePaint = (col, row, strokeId) => {
+    const { tile } = TOOLS.find((t) => t.id === tool);
+    update((current) => (
+      tool === 'spawn' ? setSpawn(current, col, row) : setTile(current, col, row, tile)
+    ), strokeId);
+  };
+
+  // Runs action only if the level would load in the game
+  const withValidLevel = (action) => {
+    const problem = findProblem(level);
+    if (problem) report(problem, true);
+    else action();
+  };
+
+  const handleNew = () => {
+    update(createBlankLevel());
+    report('Started a new level.');
+  };
+
+  const handleSave = () => withValidLevel(() => {
+    try {
+      saveLevel(level);
+      setSavedLevels(getSavedLevels());
+      report(`Saved "${level.name}" in this browser.`);
+    } catch (error) {
+      report(`Couldn't save: ${error.message}`, true);
+    }
+  });
+
+  const handleLoad = (id) => {
+    if (!id) return;
+    update(savedLevels[id]);
+    report(`Loaded "${savedLevels[id].name}".`);
+  };
+
+  const handleDelete = () => {
+    if (!savedLevels[level.id] || !window.confirm(`Delete the saved copy of "${level.id}"?`)) return;
+    deleteSavedLevel(level.id);
+    setSavedLevels(getSavedLevels());
+    report(`Deleted the saved copy of "${level.id}".`);
+  };
+
+  const handleExport = () => withValidLevel(() => {
+    const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${level.id}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      const problem = findProblem(data);
+      if (problem) {
+        report(problem, true);
+        return;
+      }
+      update({ ...data, waves: data.waves ?? [] });
+      report(`Imported "${data.name ?? data.id}".`);
+    } catch {
+      report(`${file.name} isn't valid JSON.`, true);
+    }
+  };
+
+  const handleUpload = () => withValidLevel(async () => {
+    setIsUploading(true);
+    try {
+      const uploaded = await uploadLevel(level);
+      report(`Uploaded "${uploaded.name}" to the server (#${uploaded.id}).`);
+      refreshUploadedLevels();
+    } catch (error) {
+      const detail = error.response?.data?.detail;
+      report(`Upload failed: ${typeof detail === 'string' ? detail : error.message}`, true);
+    } finally {
+      setIsUploading(false);
+    }
+  });
+
+  const handleLoadUploaded = async (id) => {
+    if (!id) return;
+    try {
+      const { data } = await getUploadedLevel(id);
+      const problem = findProblem(data);
+      if (problem) {
+        report(problem, true);
+        return;
+      }
+      update({ ...data, waves: data.waves ?? [] });
+      report(`Loaded "${data.name ?? data.id}" from the server.`);
+    } catch (error) {
+      const detail = error.response?.data?.detail;
+      report(`Couldn't load that level: ${typeof detail === 'string' ? detail : error.message}`, true);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border border-gray-700 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4 border-b border-gray-700 pb-4">
+        <h2 className="text-3xl font-black text-white">Level Editor</h2>
+        <div className="flex flex-wrap gap-3">
+          <label className="flex items-center gap-2 text-sm text-gray-400">
+            Name
+            <input
+              value={level.name}
+              onChange={(e) => update({ ...level, name: e.target.value }, 'name')}
+              className="w-40 bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white focus:outline-none focus:border-red-500"
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-400">
+            Id
+            <input
+              value={level.id}
+              onChange={(e) => update({ ...level, id: slugify(e.target.value) }, 'id')}
+              className="w-32 bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white font-mono focus:outline-none focus:border-red-500"
+            />
+          </label>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {TOOLS.map(({ id, label, icon: Icon }) => (
+          <button
+            key={id}
+            onClick={() => setTool(id)}
+            aria-pressed={tool === id}
+            className={`flex items-center gap-1 py-2 px-3 rounded-lg text-sm font-semibold ${tool === id ? 'bg-red-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            <Icon size={16} /> {label}
+          </button>
+        ))}
+        <span className="w-px h-8 bg-gray-700 mx-1" />
+        <button onClick={undo} disabled={!canUndo} className={buttonClass} title="Undo (Ctrl+Z)">
+          <Undo2 size={16} /> Undo
+        </button>
+        <button onClick={redo} disabled={!canRedo} className={buttonClass} title="Redo (Ctrl+Shift+Z)">
+          <Redo2 size={16} /> Redo
+        </button>
+        <span className="w-px h-8 bg-gray-700 mx-1" />
+        <label className="flex items-center gap-2 text-sm text-gray-400">
+          Width
+          <input
+            type="number"
+            min={MIN_COLS}
+            max={MAX_COLS}
+            value={cols}
+            onChange={(e) => update(resizeLevel(level, Number(e.target.value), rows), 'width')}
+            className="w-16 bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white focus:outline-none focus:border-red-500"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-400">
+          Height
+          <input
+            type="number"
+            min={MIN_ROWS}
+            max={MAX_ROWS}
+            value={rows}
+            onChange={(e) => update(resizeLevel(level, cols, Number(e.target.value)), 'height')}
+            className="w-16 bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white focus:outline-none focus:border-red-500"
+          />
+        </label>
+      </div>
+
+      <div className="overflow-auto max-h-[60vh] rounded-lg border border-gray-700 bg-black">
+        <EditorCanvas level={level} onPaint={handlePaint} />
+      </div>
+
+      <WaveEditor
+        waves={level.waves ?? []}
+        onChange={(waves, mergeKey) => update({ ...level, waves }, mergeKey)}
+      />
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={handleNew} className={buttonClass}>
+          <FilePlus size={16} /> New
+        </button>
+        <button onClick={handleSave} className={buttonClass}>
+          <Save size={16} /> Save
+        </button>
+        <label className="flex items-center gap-2 text-sm text-gray-400">
+          <FolderOpen size={16} />
+          <select
+            value=""
+            onChange={(e) => handleLoad(e.target.value)}
+            disabled={!Object.keys(savedLevels).length}
+            aria-label="Load a saved level"
+            className="bg-gray-900 border border-gray-600 rounded px-2 py-2 text-white focus:outline-none focus:border-red-500 disabled:opacity-40"
+          >
+            <option value="">Load saved...</option>
+            {Object.values(savedLevels).map((saved) => (
+              <option key={saved.id} value={saved.id}>{saved.name} ({saved.id})</option>
+            ))}
+          </select>
+        </label>
+        <button onClick={handleDelete} disabled={!savedLevels[level.id]} className={buttonClass}>
+          <Trash2 size={16} /> Delete
+        </button>
+        <span className="w-px h-8 bg-gray-700 mx-1" />
+        <button onClick={() => fileInputRef.current.click()} className={buttonClass}>
+          <FileUp size={16} /> Import
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        <button onClick={handleExport} className={buttonClass}>
+          <Download size={16} /> Export
+        </button>
+        <button onClick={handleUpload} disabled={isUploading} className={buttonClass}>
+          <UploadCloud size={16} /> {isUploading ? 'Uploading...' : 'Upload'}
+        </button>
+        <label className="flex items-center gap-2 text-sm text-gray-400">
+          <DownloadCloud size={16} />
+          <select
+            value=""
+            onChange={(e) => handleLoadUploaded(e.target.value)}
+            disabled={!uploadedLevels?.length}
+            aria-label="Load a level from the server"
+            className="bg-gray-900 border border-gray-600 rounded px-2 py-2 text-white focus:outline-none focus:border-red-500 disabled:opacity-40"
+          >
+            <option value="">{uploadedLevels ? 'Load from server...' : 'Server unavailable'}</option>
+            {uploadedLevels?.map((uploaded) => (
+              <option key={uploaded.id} value={uploaded.id}>{uploaded.name} (#{uploaded.id})</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={() => withValidLevel(() => setIsPlaytesting(true))}
+          className="ml-auto flex items-center gap-2 bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg"
+        >
+          <Play size={18} /> Playtest
+        </button>
+      </div>
+
+      {status && (
+        <p role="status" className={`text-sm ${status.isError ? 'text-red-400' : 'text-green-400'}`}>{status.message}</p>
+      )}
+
+      <Link to="/" className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors">
+        <ArrowLeft size={18} /> Back to Menu
+      </Link>
+
+      {isPlaytesting && <LevelPlaytest level={level} onClose={() => setIsPlaytesting(false)} />}
+    </div>
+  );
+}
@@ -1,27 +1,91 @@
 import { useState } from 'react';
 import { useLocation, useNavigate, Link } from 'react-router-dom';
-import { submitScore } from '../api/scoreApi';
-import { Home, RotateCcw, Trophy } from 'lucide-react';
+import { submitScore, getScoreRank } from '../api/scoreApi';
+import { createPlayer } from '../api/playerApi';
+import { isUnreachable } from '../api/client';
+import { queueScore } from '../offline/scoreQueue';
+import { getPlayer, signIn, signOut } from '../player/playerStore';
+import usePlayer from '../player/usePlayer';
+import ScoreTable from '../components/ScoreTable';
+import StatTile, { formatTime } from '../components/StatTile';
+import ModeBadge from '../components/ModeBadge';
+import AssistBadge from '../components/AssistBadge';
+import { MODES, DEFAULT_MODE } from '../game/modes';
+import { Home, RotateCcw, Trophy, Film } from 'lucide-react';
 
 export default function GameOver() {
   const location = useLocation();
   const navigate = useNavigate();
   const score = location.state?.score || 0;
+  const stats = location.state?.stats;
+  const wave = stats?.wave || 0;
+  const run = location.state?.run;
+  // Online co-op: the name of the player who saves this run instead
+  const savedBy = location.state?.savedBy;
+  const mode = run?.mode ?? DEFAULT_MODE;
+  // Versus with both players out on the same tick
+  const isDraw = Boolean(stats) && !MODES[mode].shared && stats.winner == null;
+  // Modifiers only come from the daily challenge; without its date the run
+  // was practice rather than a started ranked attempt, and isn't saved
+  const isDailyRun = Boolean(run?.modifiers?.length);
+  const isPractice = isDailyRun && !run.daily;
+  const retryPath = isDailyRun
+    ? '/daily/play'
+    : `${run ? `/game/${run.level}` : '/game'}${mode === DEFAULT_MODE ? '' : `?mode=${mode}`}`;
   
+  const player = usePlayer();
   const [name, setName] = useState('');
-  const [submitted, setSubmitted] = useState(false);
+  const [submitted, setSubmitted] = useState(null);
+  const [rank, setRank] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [queued, setQueued] = useState(false);
+
+  // The token is the player's only key, so this is for good
+  const confirmSignOut = () => {
+    if (window.confirm(`Sign out of ${player.name}? This device won't be able to sign back in as them.`)) signOut();
+  };
+
+  // Offline: keep the run and send it when the server is back. A brand new
+  // player can't be created offline, so they have to try again later.
+  const saveForLater = async () => {
+    if (!getPlayer()) {
+      setError("Can't reach the server to create your player. Try again once you're online.");
+      return;
+    }
+    try {
+      await queueScore(score, run, stats);
+      setQueued(true);
+    } catch (error) {
+      console.error('Failed to queue score', error);
+      setError('Could not save your score. Try again.');
+    }
+  };
 
   const handleSaveScore = async (e) => {
     e.preventDefault();
-    if (!name.trim()) return;
+    if ((!player && !name.trim()) || !run) return;
     
     setLoading(true);
+    setError(null);
     try {
-      await submitScore(name, score);
-      setSubmitted(true);
+      // First score on this device: make a player to save it under
+      if (!player) signIn(await createPlayer(name));
+      const saved = await submitScore(score, run, stats);
+      setSubmitted(saved);
+      getScoreRank(saved.id, { mode: saved.mode, daily: saved.daily ?? undefined })
+        .then(setRank)
+        .catch((error) => console.error('Failed to fetch rank', error));
     } catch (error) {
       console.error('Failed to submit score', error);
+      if (isUnreachable(error)) {
+        await saveForLater();
+        return;
+      }
+      // The server no longer knows this device's token
+      if (error.response?.status === 401) signOut();
+      const detail = error.response?.data?.detail;
+      setError(typeof detail === 'string' ? detail : 'Could not save your score. Try again.');
     } finally {
       setLoading(false);
     }
@@ -30,35 +94,101 @@ export default function GameOver() {
   return (
     <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-red-900 max-w-md mx-auto text-center">
       <h1 className="text-5xl font-black text-red-500 mb-2">GAME OVER</h1>
-      <p className="text-2xl text-white mb-6">Final Score: <span className="text-yellow-400 font-bold">{score}</span></p>
+      {stats?.winner != null && (
+        <p className="text-3xl font-black text-yellow-400 mb-2">Player {stats.winner + 1} wins!</p>
+      )}
+      {isDraw && <p className="text-3xl font-black text-yellow-400 mb-2">It's a draw!</p>}
+      <p className="text-2xl text-white mb-1">
+        {MODES[mode].shared ? 'Final Score' : isDraw ? 'Best Score' : "Winner's Score"}: <span className="text-yellow-400 font-bold">{score}</span>
+        <ModeBadge mode={mode} />
+        <AssistBadge assisted={run?.assisted} />
+      </p>
+      {isDailyRun && (
+        <p className="text-sm text-purple-300 mb-1">
+          Daily Challenge{run.daily ? ` ${run.daily}` : ' (practice)'}
+        </p>
+      )}
+      {run?.assisted && !isPractice && (
+        <p className="text-sm text-sky-300 mb-1">Assist mode was on, so this score is marked as assisted.</p>
+      )}
+      <p className="text-gray-400 mb-6">Reached wave <span className="text-white font-bold">{wave}</span></p>
 
-      {!submitted ? (
+      {stats && (
+        <div className="grid grid-cols-3 gap-2 mb-6">
+          <StatTile label="Kills" value={stats.kills} />
+          <StatTile label="Accuracy" value={`${stats.accuracy}%`} />
+          <StatTile label="Shots" value={stats.shotsFired} />
+          <StatTile label="Survived" value={formatTime(stats.timeSurvived)} />
+          <StatTile label="Max Combo" value={stats.maxCombo} />
+          <StatTile label="Air / Multi" value={`${stats.airborneKills} / ${stats.multiKills}`} />
+        </div>
+      )}
+
+      {isPractice ? (
+        <div role="status" className="bg-gray-900 text-gray-300 p-4 rounded mb-8">
+          Only ranked attempts started from the Daily Challenge page are saved, so this practice score isn't.
+        </div>
+      ) : savedBy ? (
+        <div role="status" className="bg-gray-900 text-gray-300 p-4 rounded mb-8">
+          Both of you played this run, so it's saved once, by P1 ({savedBy}), and goes on the leaderboard under their name.
+        </div>
+      ) : queued ? (
+        <div role="status" className="bg-amber-900/40 border border-amber-700 text-amber-200 p-4 rounded mb-8">
+          You're offline, so your score is saved on this device and pending sync. It'll be submitted as soon as the server can be reached.
+        </div>
+      ) : !submitted ? (
         <form onSubmit={handleSaveScore} className="mb-8">
-          <input 
-            type="text" 
-            value={name}
-            onChange={(e) => setName(e.target.value)}
-            placeholder="Enter your name..."
-            maxLength={15}
-            required
-            className="w-full bg-gray-900 border border-gray-600 rounded p-3 text-white mb-3 text-center focus:outline-none focus:border-red-500"
-          />
+          {player ? (
+            <p className="text-gray-400 mb-3">
+              Saving as <Link to={`/profile/${player.id}`} className="text-white font-bold hover:underline">{player.name}</Link>
+              {' '}<button type="button" onClick={confirmSignOut} className="text-xs text-gray-500 hover:text-white underline">Not you?</button>
+            </p>
+          ) : (
+            <input 
+              type="text" 
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Pick a player name..."
+              aria-label="Player name"
+              maxLength={15}
+              pattern="[A-Za-z0-9 _\-]{2,15}"
+              title="2-15 letters, digits, spaces, _ or -"
+              required
+              className="w-full bg-gray-900 border border-gray-600 rounded p-3 text-white mb-3 text-center focus:outline-none focus:border-red-500"
+            />
+          )}
           <button 
             type="submit" 
             disabled={loading}
             className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-4 rounded disabled:opacity-50"
           >
-            {loading ? 'Saving...' : 'Save Score'}
+            {loading ? 'Saving...' : player ? 'Save Score' : 'Create Player & Save'}
           </button>
+          {error && <p role="alert" className="text-red-400 text-sm mt-2">{error}</p>}
         </form>
       ) : (
-        <div className="bg-green-900 text-green-200 p-4 rounded mb-8">
-          Score Saved Successfully!
+        <div className="mb-8 space-y-3">
+          <div className="bg-green-900 text-green-200 p-4 rounded">
+            Score Saved Successfully!{rank && <> You placed <span className="font-bold">#{rank.rank}</span> of {rank.total}.</>}
+          </div>
+          {rank && <ScoreTable scores={rank.scores} highlightId={submitted.id} />}
+          <Link
+            to={submitted.daily ? `/daily?score=${submitted.id}` : `/leaderboard?score=${submitted.id}&mode=${submitted.mode}`}
+            className="inline-block text-sm text-yellow-400 hover:text-yellow-300"
+          >
+            See it on the {submitted.daily ? 'daily ' : ''}leaderboard
+          </Link>
         </div>
       )}
 
+      {run && (
+        <button onClick={() => navigate('/replay', { state: { run, score } })} className="w-full flex items-center justify-center gap-2 p-3 mb-2 bg-gray-700 hover:bg-gray-600 rounded text-sm">
+          <Film size={20}/> Watch Replay
+        </button>
+      )}
+
       <div className="grid grid-cols-3 gap-2">
-        <button onClick={() => navigate('/game')} className="flex flex-col items-center p-3 bg-gray-700 hover:bg-gray-600 rounded text-sm">
+        <button onClick={() => navigate(retryPath)} className="flex flex-col items-center p-3 bg-gray-700 hover:bg-gray-600 rounded text-sm">
           <RotateCcw size={20} className="mb-1"/> Retry
         </button>
         <Link to="/leaderboard" className="flex flex-col items-center p-3 bg-gray-700 hover:bg-gray-600 rounded text-sm text-yellow-400">
@@ -1,38 +1,149 @@
-import { useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { GameEngine } from '../game/engine';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useLocation, useNavigate, useParams, useSearchParams, Navigate } from 'react-router-dom';
+import { Play, RotateCcw, Settings as SettingsIcon, Home } from 'lucide-react';
+import useGameEngine from '../play/useGameEngine';
+import useSettings from '../settings/useSettings';
+import { describeControls, SHARED_KEYBOARD_BINDINGS } from '../game/bindings';
+import { TouchInput } from '../game/adapters/touchInput';
+import TouchControls, { isTouchDevice } from '../components/TouchControls';
+import LoadingScreen, { useThemeLoading } from '../components/LoadingScreen';
+import Settings from './Settings';
+import { LEVELS, DEFAULT_LEVEL } from '../game/levels';
+import { MODES, DEFAULT_MODE } from '../game/modes';
+import { dailyChallenge } from '../game/daily';
 
-export default function GameScreen() {
+// daily: play today's challenge instead of the stage and mode in the URL.
+// It's ranked when the Daily page hands over a started attempt
+// ({ daily, seed }) in the location state, and practice otherwise.
+export default function GameScreen({ daily = false }) {
   const canvasRef = useRef(null);
-  const engineRef = useRef(null);
   const navigate = useNavigate();
+  const location = useLocation();
+  const [attempt] = useState(() => (daily ? location.state?.attempt ?? null : null));
+  // Fixed when the page opens, so a run that goes past midnight stays on its day
+  const [challenge] = useState(() => (daily ? dailyChallenge(attempt?.daily) : null));
+  // Restarts are practice
+  const [isRanked, setIsRanked] = useState(() => Boolean(attempt));
+  const { levelId: levelParam = DEFAULT_LEVEL } = useParams();
+  const levelId = challenge ? challenge.level : levelParam;
+  const isKnownLevel = Boolean(LEVELS[levelId]);
+  const [searchParams] = useSearchParams();
+  const modeParam = MODES[searchParams.get('mode')] ? searchParams.get('mode') : DEFAULT_MODE;
+  const mode = challenge ? challenge.mode : modeParam;
+  // Two players share the keyboard or bring gamepads; there's no touch layout for two
+  const isMultiplayer = MODES[mode].players > 1;
+  const [settings] = useSettings();
+  const [runId, setRunId] = useState(0);
+  const [isPaused, setIsPaused] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showTouchControls] = useState(isTouchDevice);
+  const touchInput = useMemo(() => new TouchInput(), []);
+  const loadProgress = useThemeLoading(settings.theme);
+  // Only the first load holds the run back; a theme switched mid-run draws
+  // rectangles until its images arrive
+  const [assetsReady, setAssetsReady] = useState(false);
+  if (!assetsReady && loadProgress >= 1) setAssetsReady(true);
 
+  // Reloading the page mustn't replay the attempt
   useEffect(() => {
-    if (canvasRef.current && !engineRef.current) {
-      engineRef.current = new GameEngine(canvasRef.current, (finalScore) => {
-        navigate('/game-over', { state: { score: finalScore } });
-      });
-      engineRef.current.start();
-    }
-
-    return () => {
-      if (engineRef.current) {
-        engineRef.current.stop();
+    if (location.state?.attempt) navigate(location.pathname, { replace: true, state: null });
+  }, [location, navigate]);
+
+  const engineRef = useGameEngine(canvasRef, {
+    settings,
+    ready: isKnownLevel && assetsReady,
+    deps: [runId, touchInput, levelId, mode, challenge, attempt, isRanked],
+    onGameOver: (finalScore, run, stats) => {
+      navigate('/game-over', { state: { score: finalScore, stats, run } });
+    },
+    options: {
+      level: levelId,
+      mode,
+      ...(challenge && {
+        seed: isRanked ? attempt.seed : challenge.seed,
+        difficulty: challenge.difficulty,
+        modifiers: challenge.modifiers,
+        daily: isRanked ? challenge.date : null
+      }),
+      touchInput
+    },
+    onStatusChange: (status) => setIsPaused(status.isPaused)
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Escape' && e.code !== 'KeyP') return;
+      if (showSettings) {
+        setShowSettings(false);
+        return;
       }
+      engineRef.current?.togglePause();
     };
-  }, [navigate]);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [showSettings]);
+
+  if (!isKnownLevel) return <Navigate to="/" replace />;
+
+  const handleRestart = () => {
+    setShowSettings(false);
+    setIsRanked(false);
+    setRunId((id) => id + 1);
+  };
+
+  const handleQuit = () => {
+    engineRef.current?.stop();
+    navigate('/');
+  };
 
   return (
     <div className="flex flex-col items-center">
-      <div className="mb-4 text-gray-400 font-mono">
-        Controls: [A/D] or [Left/Right] to Move | [W/Up/Space] to Jump | [F/Enter] to Shoot
+      {!showTouchControls && (
+        <div className="mb-4 text-gray-400 font-mono">
+          {challenge && `Daily Challenge ${challenge.date} (${isRanked ? 'ranked' : 'practice'}) | `}{LEVELS[levelId].name} | {isMultiplayer
+            ? SHARED_KEYBOARD_BINDINGS.map((keyboard, i) => `P${i + 1}: ${describeControls({ keyboard })}`).join(' · ')
+            : `Controls: ${describeControls(settings.bindings)}`} | [Esc/P] Pause
+        </div>
+      )}
+      <div className="relative w-full max-w-[800px]">
+        <canvas 
+          ref={canvasRef} 
+          width={800} 
+          height={450} 
+          className="w-full aspect-video bg-black rounded-lg shadow-[0_0_30px_rgba(233,69,96,0.3)]"
+        />
+        {!assetsReady && <LoadingScreen progress={loadProgress} />}
+        {showTouchControls && !isMultiplayer && assetsReady && !isPaused && (
+          <TouchControls touchInput={touchInput} onPause={() => engineRef.current?.pause()} />
+        )}
+        {isPaused && (
+          <div className="absolute inset-0 bg-black/70 rounded-lg flex p-4 overflow-auto">
+            {showSettings ? (
+              <div className="m-auto">
+                <Settings onClose={() => setShowSettings(false)} />
+              </div>
+            ) : (
+              <div className="m-auto bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 text-center w-72">
+                <h2 className="text-4xl font-black text-white mb-6 tracking-widest">PAUSED</h2>
+                <div className="space-y-3">
+                  <button onClick={() => engineRef.current?.resume()} autoFocus className="flex items-center justify-center gap-2 w-full bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-4 rounded-lg">
+                    <Play size={20} /> Resume
+                  </button>
+                  <button onClick={handleRestart} className="flex items-center justify-center gap-2 w-full bg-gray-700 hover:bg-gray-600 text-white font-semibold py-3 px-4 rounded-lg">
+                    <RotateCcw size={18} /> Restart
+                  </button>
+                  <button onClick={() => setShowSettings(true)} className="flex items-center justify-center gap-2 w-full bg-gray-700 hover:bg-gray-600 text-white font-semibold py-3 px-4 rounded-lg">
+                    <SettingsIcon size={18} /> Settings
+                  </button>
+                  <button onClick={handleQuit} className="flex items-center justify-center gap-2 w-full bg-gray-700 hover:bg-gray-600 text-white font-semibold py-3 px-4 rounded-lg">
+                    <Home size={18} /> Quit to Menu
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
       </div>
-      <canvas 
-        ref={canvasRef} 
-        width={800} 
-        height={450} 
-        className="bg-black rounded-lg shadow-[0_0_30px_rgba(233,69,96,0.3)]"
-      />
     </div>
   );
-}
\ No newline at end of file
+}
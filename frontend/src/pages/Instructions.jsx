@@ -1,5 +1,5 @@
 import { Link } from 'react-router-dom';
-import { ArrowLeft, Move, Crosshair, ChevronsUp } from 'lucide-react';
+import { ArrowLeft, Move, Crosshair, ChevronsUp, Users, CalendarDays, Accessibility } from 'lucide-react';
 
 export default function Instructions() {
   return (
@@ -32,6 +32,31 @@ export default function Instructions() {
             <p className="text-gray-300">Press <kbd className="bg-gray-900 px-2 py-1 rounded">F</kbd> or <kbd className="bg-gray-900 px-2 py-1 rounded">Enter</kbd> to shoot your weapons. Destroy enemies to earn points. Don't let them touch you!</p>
           </div>
         </div>
+
+        <div className="flex items-start gap-4">
+          <div className="bg-yellow-600 p-3 rounded-lg text-white"><Users size={24}/></div>
+          <div>
+            <h3 className="text-xl font-bold text-yellow-400">Two Players</h3>
+            <p className="text-gray-300">Pick Co-op or Versus on the menu. Sharing a keyboard, player 1 uses <kbd className="bg-gray-900 px-2 py-1 rounded">WASD</kbd> with <kbd className="bg-gray-900 px-2 py-1 rounded">F</kbd> to shoot, and player 2 the arrow keys with <kbd className="bg-gray-900 px-2 py-1 rounded">Enter</kbd>. With two gamepads, the first one plugged in is player 1. In Co-op you share a score; in Versus your shots hit each other and the last one standing wins.</p>
+            <p className="text-gray-300 mt-2">To play Co-op with a friend on another computer, choose Play Online: one of you creates a room and sends the other its code. Each of you plays with your own controls.</p>
+          </div>
+        </div>
+
+        <div className="flex items-start gap-4">
+          <div className="bg-purple-600 p-3 rounded-lg text-white"><CalendarDays size={24}/></div>
+          <div>
+            <h3 className="text-xl font-bold text-purple-400">Daily Challenge</h3>
+            <p className="text-gray-300">Every day at midnight UTC there's a new challenge: the same stage for everyone, with two modifiers such as Low Gravity or Double Time. You get one ranked attempt a day for the daily leaderboard, started from the Daily Challenge page on a seed practice never plays; practice as much as you like.</p>
+          </div>
+        </div>
+
+        <div className="flex items-start gap-4">
+          <div className="bg-sky-600 p-3 rounded-lg text-white"><Accessibility size={24}/></div>
+          <div>
+            <h3 className="text-xl font-bold text-sky-400">Accessibility</h3>
+            <p className="text-gray-300">Settings has colour-safe palettes, a reduced motion mode with no particles, shake or flashing, and high-contrast outlines. Assist mode slows the game down or fires for you; scores from assisted runs still count, marked as assisted on the leaderboard.</p>
+          </div>
+        </div>
       </div>
 
       <Link to="/" className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors">
@@ -1,29 +1,94 @@
 import { useEffect, useState } from 'react';
-import { Link } from 'react-router-dom';
-import { getTopScores } from '../api/scoreApi';
-import { Trophy, ArrowLeft } from 'lucide-react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getScores, getScoreRank } from '../api/scoreApi';
+import { cachedRequest } from '../offline/cache';
+import { Trophy, ArrowLeft, ChevronLeft, ChevronRight, WifiOff } from 'lucide-react';
+import ScoreTable from '../components/ScoreTable';
+import PendingSyncNotice from '../components/PendingSyncNotice';
+import { MODES } from '../game/modes';
+import { selectWithArrowKeys } from '../a11y/arrowKeys';
 
+const PAGE_SIZE = 10;
+
+const PERIODS = [
+  { id: 'daily', label: 'Daily' },
+  { id: 'weekly', label: 'Weekly' },
+  { id: 'all', label: 'All Time' }
+];
+
+// '' shows every mode on one board
+const MODE_FILTERS = [{ id: '', label: 'All Modes' }, ...Object.entries(MODES).map(([id, { label }]) => ({ id, label }))];
+
+// ?score=<id> highlights that score and shows where it ranks, even off the
+// current page. ?mode=<mode> opens on that mode's board.
 export default function Leaderboard() {
-  const [scores, setScores] = useState([]);
+  const [searchParams] = useSearchParams();
+  const ownScoreId = Number(searchParams.get('score')) || null;
+  const [period, setPeriod] = useState('all');
+  const [mode, setMode] = useState(MODES[searchParams.get('mode')] ? searchParams.get('mode') : '');
+  const [page, setPage] = useState(0);
+  const [data, setData] = useState({ scores: [], total: 0 });
+  const [ownRank, setOwnRank] = useState(null);
   const [loading, setLoading] = useState(true);
+  // When the API is unreachable we show the last copy we saw, and when it was from
+  const [cachedAt, setCachedAt] = useState(null);
+  const [loadError, setLoadError] = useState(false);
 
   useEffect(() => {
+    let cancelled = false;
     const fetchScores = async () => {
+      setLoading(true);
       try {
-        const data = await getTopScores();
-        setScores(data);
+        const offset = page * PAGE_SIZE;
+        const result = await cachedRequest(
+          `scores:${period}:${mode}:${offset}:${PAGE_SIZE}`,
+          () => getScores({ period, mode: mode || undefined, offset, limit: PAGE_SIZE })
+        );
+        if (!cancelled) {
+          setData(result.data);
+          setCachedAt(result.cachedAt);
+          setLoadError(false);
+        }
       } catch (error) {
         console.error('Error fetching scores:', error);
+        if (!cancelled) {
+          setData({ scores: [], total: 0 });
+          setLoadError(true);
+        }
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
     fetchScores();
-  }, []);
+    return () => { cancelled = true; };
+  }, [period, mode, page]);
+
+  useEffect(() => {
+    if (!ownScoreId) return undefined;
+    let cancelled = false;
+    // A 404 just means the score is older than this period or from another mode
+    cachedRequest(`rank:${ownScoreId}:${period}:${mode}`, () => getScoreRank(ownScoreId, { period, mode: mode || undefined }))
+      .then(({ data: rank }) => { if (!cancelled) setOwnRank(rank); })
+      .catch(() => { if (!cancelled) setOwnRank(null); });
+    return () => { cancelled = true; };
+  }, [ownScoreId, period, mode]);
+
+  const changePeriod = (id) => {
+    setPeriod(id);
+    setPage(0);
+  };
+
+  const changeMode = (id) => {
+    setMode(id);
+    setPage(0);
+  };
+
+  const pageCount = Math.max(1, Math.ceil(data.total / PAGE_SIZE));
+  const ownScoreOnPage = data.scores.some((s) => s.id === ownScoreId);
 
   return (
     <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 max-w-2xl mx-auto w-full">
-      <div className="flex items-center justify-between mb-8">
+      <div className="flex items-center justify-between mb-6">
         <h2 className="text-3xl font-black text-yellow-400 flex items-center gap-3">
           <Trophy size={32} /> Hall of Fame
         </h2>
@@ -32,34 +97,83 @@ export default function Leaderboard() {
         </Link>
       </div>
 
+      <div role="radiogroup" aria-label="Time period" onKeyDown={selectWithArrowKeys} className="flex gap-2 mb-2">
+        {PERIODS.map(({ id, label }) => (
+          <button
+            key={id}
+            role="radio"
+            aria-checked={period === id}
+            tabIndex={period === id ? 0 : -1}
+            onClick={() => changePeriod(id)}
+            className={`py-2 px-4 rounded-lg text-sm font-semibold ${period === id ? 'bg-yellow-500 text-gray-900' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div role="radiogroup" aria-label="Game mode" onKeyDown={selectWithArrowKeys} className="flex gap-2 mb-4">
+        {MODE_FILTERS.map(({ id, label }) => (
+          <button
+            key={id || 'all'}
+            role="radio"
+            aria-checked={mode === id}
+            tabIndex={mode === id ? 0 : -1}
+            onClick={() => changeMode(id)}
+            className={`py-1 px-3 rounded-lg text-xs font-semibold ${mode === id ? 'bg-blue-500 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="space-y-2 mb-4">
+        <PendingSyncNotice />
+        {cachedAt && (
+          <div role="status" className="flex items-center gap-2 bg-gray-900 border border-gray-700 text-gray-300 text-sm rounded-lg px-3 py-2">
+            <WifiOff size={16} /> Offline: showing scores saved {new Date(cachedAt).toLocaleString()}
+          </div>
+        )}
+      </div>
+
       {loading ? (
-        <div className="text-center py-10 text-gray-400">Loading scores...</div>
+        <div role="status" className="text-center py-10 text-gray-400">Loading scores...</div>
+      ) : loadError ? (
+        <div role="alert" className="text-center py-10 text-gray-400">Can't reach the leaderboard right now, and there's no saved copy of this page yet.</div>
       ) : (
-        <div className="bg-gray-900 rounded-lg overflow-hidden">
-          <table className="w-full text-left">
-            <thead className="bg-gray-950">
-              <tr>
-                <th className="p-4 text-gray-400">Rank</th>
-                <th className="p-4 text-gray-400">Player</th>
-                <th className="p-4 text-gray-400 text-right">Score</th>
-              </tr>
-            </thead>
-            <tbody>
-              {scores.length === 0 ? (
-                <tr><td colSpan="3" className="p-4 text-center text-gray-500">No scores yet. Be the first!</td></tr>
-              ) : (
-                scores.map((s, idx) => (
-                  <tr key={s.id} className="border-t border-gray-800 hover:bg-gray-800">
-                    <td className="p-4 font-bold text-gray-300">#{idx + 1}</td>
-                    <td className="p-4 font-medium text-white">{s.player_name}</td>
-                    <td className="p-4 font-mono text-right text-yellow-400">{s.score}</td>
-                  </tr>
-                ))
-              )}
-            </tbody>
-          </table>
+        <ScoreTable
+          scores={data.scores}
+          highlightId={ownScoreId}
+          emptyMessage={period === 'all' && !mode ? 'No scores yet. Be the first!' : 'No scores here yet.'}
+        />
+      )}
+
+      <div className="flex items-center justify-between mt-4 text-sm text-gray-400">
+        <button
+          onClick={() => setPage((p) => p - 1)}
+          disabled={page === 0 || loading}
+          className="flex items-center gap-1 py-2 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-40 disabled:hover:bg-gray-700"
+        >
+          <ChevronLeft size={16} /> Prev
+        </button>
+        <span aria-live="polite">Page {page + 1} of {pageCount} · {data.total} scores</span>
+        <button
+          onClick={() => setPage((p) => p + 1)}
+          disabled={page + 1 >= pageCount || loading}
+          className="flex items-center gap-1 py-2 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-40 disabled:hover:bg-gray-700"
+        >
+          Next <ChevronRight size={16} />
+        </button>
+      </div>
+
+      {ownScoreId && (
+        <div className="mt-6">
+          <h3 className="text-lg font-bold text-white mb-2">
+            {ownRank ? `Your rank: #${ownRank.rank} of ${ownRank.total}` : 'Your score isn\'t on this board.'}
+          </h3>
+          {ownRank && !ownScoreOnPage && <ScoreTable scores={ownRank.scores} highlightId={ownScoreId} />}
         </div>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -1,7 +1,23 @@
+import { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { Play, Trophy, HelpCircle, Settings, Info } from 'lucide-react';
+import { Play, Trophy, HelpCircle, Settings, Info, Map, PencilRuler, User, Users, Globe, CalendarDays, Award } from 'lucide-react';
+import { LEVELS } from '../game/levels';
+import { MODES, DEFAULT_MODE } from '../game/modes';
+import usePlayer from '../player/usePlayer';
+import DailyCountdown from '../components/DailyCountdown';
+import PendingSyncNotice from '../components/PendingSyncNotice';
+import { selectWithArrowKeys } from '../a11y/arrowKeys';
+
+// Solo is the default, so its links stay as they were
+const gamePath = (levelId, mode) => {
+  const path = levelId ? `/game/${levelId}` : '/game';
+  return mode === DEFAULT_MODE ? path : `${path}?mode=${mode}`;
+};
 
 export default function MainMenu() {
+  const player = usePlayer();
+  const [mode, setMode] = useState(DEFAULT_MODE);
+
   return (
     <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 text-center">
       <h1 className="text-6xl font-black text-transparent bg-clip-text bg-gradient-to-r from-red-500 to-yellow-500 mb-8 uppercase tracking-widest">
@@ -9,13 +25,57 @@ export default function MainMenu() {
       </h1>
       
       <div className="space-y-4 max-w-md mx-auto">
-        <Link to="/game" className="flex items-center justify-center gap-3 w-full bg-red-600 hover:bg-red-700 text-white font-bold py-4 px-6 rounded-lg transition-transform hover:scale-105">
+        <div>
+          <div role="radiogroup" aria-label="Game mode" aria-describedby="mode-description" onKeyDown={selectWithArrowKeys} className="grid grid-cols-3 gap-2">
+            {Object.entries(MODES).map(([id, { label, players }]) => (
+              <button
+                key={id}
+                role="radio"
+                aria-checked={mode === id}
+                tabIndex={mode === id ? 0 : -1}
+                onClick={() => setMode(id)}
+                className={`flex items-center justify-center gap-2 py-2 px-3 rounded-lg text-sm font-semibold ${mode === id ? 'bg-yellow-500 text-gray-900' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+              >
+                {players > 1 ? <Users size={16} /> : <User size={16} />} {label}
+              </button>
+            ))}
+          </div>
+          <p id="mode-description" className="text-xs text-gray-400 mt-2">{MODES[mode].description}</p>
+        </div>
+
+        <Link to={gamePath(null, mode)} className="flex items-center justify-center gap-3 w-full bg-red-600 hover:bg-red-700 text-white font-bold py-4 px-6 rounded-lg transition-transform hover:scale-105">
           <Play size={24} /> Start Game
         </Link>
+
+        <Link to="/online" className="flex items-center justify-center gap-3 w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg transition-colors">
+          <Globe size={20} /> Play Online
+        </Link>
+
+        <Link to="/daily" className="flex items-center justify-center gap-3 w-full bg-purple-700 hover:bg-purple-800 text-white font-bold py-3 px-6 rounded-lg transition-colors">
+          <CalendarDays size={20} /> Daily Challenge
+          <span className="text-sm font-normal text-purple-200">next in <DailyCountdown /></span>
+        </Link>
+
+        <nav aria-label="Stages" className="flex items-center gap-2 text-sm">
+          <span className="flex items-center gap-1 text-gray-400"><Map size={16} /> Stages:</span>
+          {Object.values(LEVELS).map((level) => (
+            <Link key={level.id} to={gamePath(level.id, mode)} className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-1 px-3 rounded">
+              {level.name}
+            </Link>
+          ))}
+        </nav>
         
         <Link to="/leaderboard" className="flex items-center justify-center gap-3 w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg transition-colors">
           <Trophy size={20} /> Leaderboard
         </Link>
+
+        <PendingSyncNotice />
+
+        {player && (
+          <Link to={`/profile/${player.id}`} className="flex items-center justify-center gap-2 text-sm text-gray-400 hover:text-white">
+            <User size={16} /> Signed in as <span className="font-semibold text-white">{player.name}</span>
+          </Link>
+        )}
         
         <div className="grid grid-cols-2 gap-4">
           <Link to="/instructions" className="flex items-center justify-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-semibold py-3 px-4 rounded-lg">
@@ -26,9 +86,17 @@ export default function MainMenu() {
           </Link>
         </div>
 
-        <Link to="/about" className="flex items-center justify-center gap-2 w-full bg-gray-700 hover:bg-gray-600 text-white font-semibold py-3 px-6 rounded-lg">
-          <Info size={18} /> About
-        </Link>
+        <div className="grid grid-cols-3 gap-4">
+          <Link to="/editor" className="flex items-center justify-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-semibold text-sm py-3 px-2 rounded-lg">
+            <PencilRuler size={18} /> Level Editor
+          </Link>
+          <Link to="/achievements" className="flex items-center justify-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-semibold text-sm py-3 px-2 rounded-lg">
+            <Award size={18} /> Achievements
+          </Link>
+          <Link to="/about" className="flex items-center justify-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-semibold text-sm py-3 px-2 rounded-lg">
+            <Info size={18} /> About
+          </Link>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,182 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { ArrowLeft, Globe, Plus, LogIn, Users } from 'lucide-react';
+import { createRoom, getRooms } from '../api/roomApi';
+import { createPlayer } from '../api/playerApi';
+import { signIn } from '../player/playerStore';
+import usePlayer from '../player/usePlayer';
+import useSettings from '../settings/useSettings';
+import { LEVELS, DEFAULT_LEVEL } from '../game/levels';
+
+const ROOM_POLL_MS = 3000;
+
+// Lobby for online co-op: start a room and share its code, or join one
+export default function Online() {
+  const navigate = useNavigate();
+  const player = usePlayer();
+  const [settings] = useSettings();
+  const [rooms, setRooms] = useState([]);
+  const [roomsError, setRoomsError] = useState(false);
+  const [level, setLevel] = useState(DEFAULT_LEVEL);
+  const [code, setCode] = useState('');
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchRooms = () => {
+      getRooms()
+        .then((data) => {
+          if (cancelled) return;
+          setRooms(data);
+          setRoomsError(false);
+        })
+        .catch(() => { if (!cancelled) setRoomsError(true); });
+    };
+    fetchRooms();
+    const timer = setInterval(fetchRooms, ROOM_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, []);
+
+  const failed = (err, fallback) => {
+    const detail = err.response?.data?.detail;
+    setError(typeof detail === 'string' ? detail : fallback);
+  };
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      signIn(await createPlayer(name));
+    } catch (err) {
+      failed(err, 'Could not create your player. Try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const room = await createRoom({ level, difficulty: settings.difficulty });
+      navigate(`/online/${room.code}`);
+    } catch (err) {
+      failed(err, 'Could not create a room. Is the server running?');
+      setBusy(false);
+    }
+  };
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    if (code.trim()) navigate(`/online/${code.trim().toUpperCase()}`);
+  };
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 max-w-2xl mx-auto w-full">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-3xl font-black text-white flex items-center gap-3">
+          <Globe size={32} className="text-blue-400" /> Play Online
+        </h2>
+        <Link to="/" className="text-gray-400 hover:text-white flex items-center gap-2">
+          <ArrowLeft size={20}/> Back
+        </Link>
+      </div>
+      <p className="text-sm text-gray-400 mb-6">Co-op with a friend on another computer: one shared score, and it lasts until you're both out. Play with a keyboard or gamepad.</p>
+
+      {!player ? (
+        <form onSubmit={handleSignIn} className="bg-gray-900 rounded-lg p-4 space-y-3">
+          <label htmlFor="online-name" className="block text-sm text-gray-300">Pick a player name to play online</label>
+          <input
+            id="online-name"
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={15}
+            pattern="[A-Za-z0-9 _\-]{2,15}"
+            title="2-15 letters, digits, spaces, _ or -"
+            required
+            className="w-full bg-gray-800 border border-gray-600 rounded p-3 text-white focus:outline-none focus:border-blue-500"
+          />
+          <button type="submit" disabled={busy} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded disabled:opacity-50">
+            {busy ? 'Creating...' : 'Create Player'}
+          </button>
+        </form>
+      ) : (
+        <div className="space-y-4">
+          <div className="bg-gray-900 rounded-lg p-4 flex flex-wrap items-end gap-3">
+            <label className="flex-1 min-w-[10rem] text-sm text-gray-300">
+              Stage
+              <select
+                value={level}
+                onChange={(e) => setLevel(e.target.value)}
+                className="mt-1 w-full bg-gray-800 border border-gray-600 rounded p-2 text-white"
+              >
+                {Object.values(LEVELS).map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+              </select>
+            </label>
+            <button
+              onClick={handleCreate}
+              disabled={busy}
+              className="flex items-center gap-2 bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded disabled:opacity-50"
+            >
+              <Plus size={18} /> Create Room
+            </button>
+          </div>
+
+          <form onSubmit={handleJoin} className="bg-gray-900 rounded-lg p-4 flex gap-3">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Room code"
+              aria-label="Room code"
+              maxLength={8}
+              className="flex-1 bg-gray-800 border border-gray-600 rounded p-2 text-white uppercase tracking-widest focus:outline-none focus:border-blue-500"
+            />
+            <button type="submit" className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded">
+              <LogIn size={18} /> Join
+            </button>
+          </form>
+        </div>
+      )}
+
+      {error && <p role="alert" className="text-red-400 text-sm mt-3">{error}</p>}
+
+      <h3 className="flex items-center gap-2 text-lg font-bold text-white mt-6 mb-2">
+        <Users size={18} /> Open rooms
+      </h3>
+      <div className="bg-gray-900 rounded-lg overflow-hidden">
+        {roomsError ? (
+          <p className="p-4 text-center text-gray-500">Can't reach the server.</p>
+        ) : rooms.length === 0 ? (
+          <p className="p-4 text-center text-gray-500">No one is waiting right now. Create a room and send a friend its code.</p>
+        ) : (
+          <ul>
+            {rooms.map((room) => (
+              <li key={room.code} className="flex items-center justify-between gap-3 p-3 border-t border-gray-800 first:border-t-0">
+                <div>
+                  <span className="font-mono font-bold text-yellow-400 mr-3">{room.code}</span>
+                  <span className="text-white">{room.host}</span>
+                  <span className="text-sm text-gray-400"> · {LEVELS[room.level]?.name ?? room.level} · {room.difficulty} · {room.players.length}/{room.size}</span>
+                </div>
+                <button
+                  onClick={() => navigate(`/online/${room.code}`)}
+                  disabled={!player}
+                  className="bg-gray-700 hover:bg-gray-600 text-white text-sm font-semibold py-1 px-3 rounded disabled:opacity-40"
+                >
+                  Join
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Copy, Home, Users, Wifi } from 'lucide-react';
+import useGameEngine from '../play/useGameEngine';
+import { RoomSocket } from '../api/roomSocket';
+import usePlayer from '../player/usePlayer';
+import useSettings from '../settings/useSettings';
+import { describeControls } from '../game/bindings';
+import LoadingScreen, { useThemeLoading } from '../components/LoadingScreen';
+import { LEVELS } from '../game/levels';
+
+// One online room: waits in the lobby until everyone's in, then plays
+export default function OnlineGame() {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const player = usePlayer();
+  const token = player?.token;
+  const [settings] = useSettings();
+  const canvasRef = useRef(null);
+  const socketRef = useRef(null);
+  // Messages for the engine that arrive before it's been created
+  const pendingRef = useRef([]);
+  const startedRef = useRef(false);
+  // Both sides record the same run, so only P1 saves it, unless P2 is left
+  // to finish it alone
+  const partnerLeftRef = useRef(false);
+  const [slot, setSlot] = useState(null);
+  const [players, setPlayers] = useState([]);
+  // The server's start message: { seed, level, difficulty, mode, players }
+  const [match, setMatch] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [isWaiting, setIsWaiting] = useState(false);
+  const loadProgress = useThemeLoading(settings.theme);
+  const [assetsReady, setAssetsReady] = useState(false);
+  if (!assetsReady && loadProgress >= 1) setAssetsReady(true);
+
+  const engineRef = useGameEngine(canvasRef, {
+    settings,
+    ready: Boolean(match) && assetsReady && Boolean(LEVELS[match?.level]),
+    deps: [match, slot],
+    onGameOver: (finalScore, run, stats) => {
+      const savedBy = slot === 0 || partnerLeftRef.current ? null : match.players[0];
+      navigate('/game-over', { state: { score: finalScore, stats, run, savedBy } });
+    },
+    options: match && {
+      seed: match.seed,
+      difficulty: match.difficulty,
+      level: match.level,
+      mode: match.mode,
+      online: { slot, send: (message) => socketRef.current?.send(message) }
+    },
+    onStatusChange: (status) => setIsWaiting(status.isWaiting),
+    onStart: (engine) => {
+      pendingRef.current.forEach((apply) => apply(engine.netplay));
+      pendingRef.current = [];
+    }
+  });
+
+  useEffect(() => {
+    if (!token) return;
+    const toEngine = (apply) => {
+      if (engineRef.current) apply(engineRef.current.netplay);
+      else pendingRef.current.push(apply);
+    };
+    // Nobody else's input is coming any more: play on without them
+    const everyoneElseLeft = (netplay) => {
+      for (let s = 0; s < netplay.slots; s++) {
+        if (s !== netplay.localSlot) netplay.playerLeft(s);
+      }
+    };
+
+    const socket = new RoomSocket(code, token, {
+      onMessage: (message) => {
+        switch (message.type) {
+          case 'joined':
+            setSlot(message.slot);
+            break;
+          case 'lobby':
+            setPlayers(message.players);
+            break;
+          case 'start':
+            startedRef.current = true;
+            setPlayers(message.players);
+            setMatch(message);
+            break;
+          case 'input':
+            toEngine((netplay) => netplay.receive(message.slot, message.tick, message.mask));
+            break;
+          case 'left':
+            // Before the start the lobby message says it all
+            if (!startedRef.current) break;
+            partnerLeftRef.current = true;
+            toEngine((netplay) => netplay.playerLeft(message.slot));
+            setNotice('Your partner left. Their bean stands still from here on.');
+            break;
+          default:
+        }
+      },
+      onClose: (reason) => {
+        if (!startedRef.current) {
+          setError(reason);
+          return;
+        }
+        partnerLeftRef.current = true;
+        toEngine(everyoneElseLeft);
+        setNotice('Lost the connection to the server. Your partner stands still from here on.');
+      }
+    });
+    socketRef.current = socket;
+
+    return () => {
+      socket.close();
+      socketRef.current = null;
+      startedRef.current = false;
+      partnerLeftRef.current = false;
+      pendingRef.current = [];
+    };
+  }, [code, token]);
+
+  const panel = 'bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 max-w-md mx-auto text-center';
+
+  if (!player) {
+    return (
+      <div className={panel}>
+        <p className="text-gray-300 mb-4">Pick a player name before joining a room.</p>
+        <Link to="/online" className="text-blue-400 hover:text-blue-300">Go to the online lobby</Link>
+      </div>
+    );
+  }
+
+  if (error || (match && !LEVELS[match.level])) {
+    return (
+      <div className={panel}>
+        <p role="alert" className="text-red-400 mb-4">{error ?? `This room's stage (${match.level}) isn't available here.`}</p>
+        <Link to="/online" className="inline-flex items-center gap-2 text-blue-400 hover:text-blue-300">
+          <ArrowLeft size={18} /> Back to the lobby
+        </Link>
+      </div>
+    );
+  }
+
+  if (!match) {
+    return (
+      <div className={panel}>
+        <h2 className="text-2xl font-black text-white mb-1 flex items-center justify-center gap-2"><Users size={24} /> Room</h2>
+        <p className="text-5xl font-mono font-black text-yellow-400 tracking-widest mb-2">{code.toUpperCase()}</p>
+        <button
+          onClick={() => navigator.clipboard?.writeText(code.toUpperCase())}
+          className="inline-flex items-center gap-1 text-sm text-gray-400 hover:text-white mb-6"
+        >
+          <Copy size={14} /> Copy code
+        </button>
+        <ul className="space-y-2 mb-6 text-left">
+          {[0, 1].map((i) => (
+            <li key={i} className="flex items-center justify-between bg-gray-900 rounded px-4 py-2">
+              <span className="text-gray-400 font-bold">P{i + 1}</span>
+              <span className={players[i] ? 'text-white' : 'text-gray-500 italic'}>
+                {players[i] ?? 'Waiting for a player...'}{i === slot && ' (you)'}
+              </span>
+            </li>
+          ))}
+        </ul>
+        <p role="status" className="text-sm text-gray-400 mb-6">
+          {slot === null ? 'Connecting...' : 'The game starts as soon as both players are in.'}
+        </p>
+        <Link to="/online" className="inline-flex items-center gap-2 text-gray-400 hover:text-white">
+          <ArrowLeft size={18} /> Leave room
+        </Link>
+      </div>
+    );
+  }
+
+  const partner = match.players.find((name, i) => i !== slot) ?? 'your partner';
+
+  return (
+    <div className="flex flex-col items-center">
+      <div className="mb-4 text-gray-400 font-mono text-center">
+        {LEVELS[match.level].name} | Online co-op with {partner} | You are P{slot + 1} | Controls: {describeControls(settings.bindings)}
+      </div>
+      <div className="relative w-full max-w-[800px]">
+        <canvas
+          ref={canvasRef}
+          width={800}
+          height={450}
+          className="w-full aspect-video bg-black rounded-lg shadow-[0_0_30px_rgba(233,69,96,0.3)]"
+        />
+        {!assetsReady && <LoadingScreen progress={loadProgress} />}
+        {isWaiting && (
+          <div role="status" className="absolute inset-x-0 top-1/3 mx-auto w-fit flex items-center gap-2 bg-black/80 text-white font-bold rounded-lg px-4 py-3">
+            <Wifi size={18} className="animate-pulse" /> Waiting for {partner}...
+          </div>
+        )}
+      </div>
+      {notice && <p role="status" className="mt-3 text-amber-300 text-sm">{notice}</p>}
+      <button onClick={() => navigate('/online')} className="mt-4 flex items-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg">
+        <Home size={18} /> Leave Game
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, User, LineChart } from 'lucide-react';
+import { getProfile } from '../api/playerApi';
+import usePlayer from '../player/usePlayer';
+import StatTile, { formatTime } from '../components/StatTile';
+import ModeBadge from '../components/ModeBadge';
+import AssistBadge from '../components/AssistBadge';
+import { LEVELS } from '../game/levels';
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 140;
+
+// Score per run, oldest on the left
+function ScoreChart({ history }) {
+  if (history.length < 2) {
+    return <p className="text-sm text-gray-500 py-6 text-center">Play a few more runs to see your progress.</p>;
+  }
+  const best = Math.max(1, ...history.map((run) => run.score));
+  const points = history.map((run, i) => [
+    i / (history.length - 1) * CHART_WIDTH,
+    CHART_HEIGHT - run.score / best * (CHART_HEIGHT - 10) - 5
+  ]);
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full h-36"
+      role="img"
+      aria-label={`Scores over the last ${history.length} runs, best ${best}`}
+    >
+      <polyline
+        points={points.map(([x, y]) => `${x},${y}`).join(' ')}
+        fill="none"
+        stroke="#facc15"
+        strokeWidth="2"
+        strokeLinejoin="round"
+      />
+      {points.map(([x, y], i) => (
+        <circle key={history[i].id} cx={x} cy={y} r="3" fill="#facc15">
+          <title>{`${history[i].score} on ${new Date(history[i].created_at).toLocaleDateString()}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+export default function Profile() {
+  const { playerId } = useParams();
+  const player = usePlayer();
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setProfile(null);
+    setError(null);
+    getProfile(playerId)
+      .then((data) => { if (!cancelled) setProfile(data); })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.status === 404 ? 'No such player.' : 'Could not load this profile.');
+      });
+    return () => { cancelled = true; };
+  }, [playerId]);
+
+  const isOwn = player && String(player.id) === playerId;
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 max-w-2xl mx-auto w-full">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-3xl font-black text-white flex items-center gap-3">
+          <User size={32} className="text-red-400" /> {profile?.player.name ?? 'Player'}
+          {isOwn && <span className="text-xs font-semibold bg-red-600 text-white rounded px-2 py-1">You</span>}
+        </h2>
+        <Link to="/leaderboard" className="text-gray-400 hover:text-white flex items-center gap-2">
+          <ArrowLeft size={20}/> Leaderboard
+        </Link>
+      </div>
+
+      {error && <div className="text-center py-10 text-red-400">{error}</div>}
+      {!profile && !error && <div role="status" className="text-center py-10 text-gray-400">Loading profile...</div>}
+
+      {profile && (
+        <div className="space-y-6">
+          <p className="text-sm text-gray-500">Playing since {new Date(profile.player.created_at).toLocaleDateString()}</p>
+
+          <div className="grid grid-cols-3 gap-2 text-center">
+            <StatTile label="Best Score" value={profile.best_score} />
+            <StatTile label="Runs" value={profile.runs} />
+            <StatTile label="Kills" value={profile.total_kills} />
+            <StatTile label="Accuracy" value={`${profile.accuracy}%`} />
+            <StatTile label="Time Played" value={formatTime(profile.time_played)} />
+            <StatTile label="Best Combo" value={profile.best_combo} />
+          </div>
+
+          <div className="bg-gray-900 rounded-lg p-4">
+            <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-400 mb-2">
+              <LineChart size={16} /> Score history
+            </h3>
+            <ScoreChart history={profile.history} />
+          </div>
+
+          <div className="bg-gray-900 rounded-lg overflow-hidden">
+            <table className="w-full text-left text-sm">
+              <thead className="bg-gray-950">
+                <tr>
+                  <th scope="col" className="p-3 text-gray-400">Date</th>
+                  <th scope="col" className="p-3 text-gray-400">Stage</th>
+                  <th scope="col" className="p-3 text-gray-400 text-right">Wave</th>
+                  <th scope="col" className="p-3 text-gray-400 text-right">Kills</th>
+                  <th scope="col" className="p-3 text-gray-400 text-right">Accuracy</th>
+                  <th scope="col" className="p-3 text-gray-400 text-right">Score</th>
+                </tr>
+              </thead>
+              <tbody>
+                {profile.history.length === 0 ? (
+                  <tr><td colSpan="6" className="p-4 text-center text-gray-500">No runs yet.</td></tr>
+                ) : (
+                  [...profile.history].reverse().map((run) => (
+                    <tr key={run.id} className="border-t border-gray-800">
+                      <td className="p-3 text-gray-300">{new Date(run.created_at).toLocaleDateString()}</td>
+                      <td className="p-3 text-gray-300">{LEVELS[run.level]?.name ?? run.level ?? '-'}<ModeBadge mode={run.mode} /><AssistBadge assisted={run.assisted} /></td>
+                      <td className="p-3 font-mono text-right text-gray-400">{run.wave ?? '-'}</td>
+                      <td className="p-3 font-mono text-right text-gray-400">{run.stats?.kills ?? '-'}</td>
+                      <td className="p-3 font-mono text-right text-gray-400">{run.stats ? `${run.stats.accuracy}%` : '-'}</td>
+                      <td className="p-3 font-mono text-right text-yellow-400">{run.score}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useEffect, useRef, useState } from 'react';
+import { useLocation, useNavigate, Navigate } from 'react-router-dom';
+import { ArrowLeft, RotateCcw, Play } from 'lucide-react';
+import { GameEngine } from '../game/engine';
+import { getSettings } from '../settings/settingsStore';
+
+export default function Replay() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const run = location.state?.run;
+  const expectedScore = location.state?.score;
+
+  const canvasRef = useRef(null);
+  const engineRef = useRef(null);
+  const [finalScore, setFinalScore] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!run || !canvasRef.current) return;
+
+    engineRef.current = new GameEngine(canvasRef.current, (score) => {
+      setFinalScore(score);
+    }, {
+      settings: getSettings(),
+      seed: run.seed,
+      difficulty: run.difficulty,
+      level: run.level,
+      mode: run.mode,
+      modifiers: run.modifiers,
+      replay: run.inputs,
+      onStatusChange: (status) => setIsPaused(status.isPaused)
+    });
+    engineRef.current.start();
+
+    return () => {
+      engineRef.current.stop();
+      engineRef.current = null;
+    };
+  }, [run, attempt]);
+
+  if (!run) return <Navigate to="/" replace />;
+
+  const restart = () => {
+    setFinalScore(null);
+    setAttempt((n) => n + 1);
+  };
+
+  return (
+    <div className="flex flex-col items-center">
+      <div className="mb-4 text-gray-400 font-mono">
+        REPLAY | Seed {run.seed}
+      </div>
+      <div className="relative w-full max-w-[800px]">
+        <canvas 
+          ref={canvasRef} 
+          width={800} 
+          height={450} 
+          className="w-full aspect-video bg-black rounded-lg shadow-[0_0_30px_rgba(233,69,96,0.3)]"
+        />
+        {isPaused && (
+          <button onClick={() => engineRef.current?.resume()} className="absolute inset-0 bg-black/70 rounded-lg flex items-center justify-center gap-2 text-white text-2xl font-bold">
+            <Play size={28} /> Resume Replay
+          </button>
+        )}
+      </div>
+      {finalScore !== null && (
+        <div className="mt-4 flex items-center gap-4 text-white">
+          <span>
+            Replay Score: <span className="text-yellow-400 font-bold">{finalScore}</span>
+            {expectedScore !== undefined && finalScore !== expectedScore && (
+              <span className="text-red-400 ml-2">(recorded {expectedScore})</span>
+            )}
+          </span>
+          <button onClick={restart} className="flex items-center gap-2 bg-gray-700 hover:bg-gray-600 py-2 px-4 rounded">
+            <RotateCcw size={18}/> Watch Again
+          </button>
+          <button onClick={() => navigate(-1)} className="flex items-center gap-2 bg-gray-700 hover:bg-gray-600 py-2 px-4 rounded">
+            <ArrowLeft size={18}/> Back
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
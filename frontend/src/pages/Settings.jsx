@@ -1,7 +1,43 @@
 import { Link } from 'react-router-dom';
-import { ArrowLeft, Volume2, Monitor } from 'lucide-react';
+import { ArrowLeft, Volume2, Music, Monitor, Gauge, Sparkles, Vibrate, Palette, RotateCcw, Accessibility, Eye, Contrast, Snail, Turtle, Crosshair } from 'lucide-react';
+import useSettings from '../settings/useSettings';
+import { DIFFICULTY_OPTIONS, GAME_SPEED_OPTIONS, resetSettings } from '../settings/settingsStore';
+import { THEMES } from '../game/assets/themes';
+import { PALETTES } from '../game/palettes';
+import ControlBindings from '../components/ControlBindings';
+
+function Toggle({ checked, onChange, label, color }) {
+  return (
+    <label className="relative inline-flex items-center cursor-pointer">
+      <input type="checkbox" className="sr-only peer" checked={checked} onChange={(e) => onChange(e.target.checked)} aria-label={label} />
+      <div className={`w-11 h-6 bg-gray-700 peer-focus-visible:ring-2 peer-focus-visible:ring-yellow-400 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all ${color}`}></div>
+    </label>
+  );
+}
+
+function Slider({ value, onChange, label, disabled }) {
+  return (
+    <div className="flex items-center gap-3">
+      <input
+        type="range"
+        min={0}
+        max={100}
+        step={5}
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onChange(Number(e.target.value))}
+        aria-label={label}
+        className="w-32 accent-red-500 disabled:opacity-40"
+      />
+      <span className="w-10 text-right font-mono text-sm text-gray-400">{value}%</span>
+    </div>
+  );
+}
+
+// Rendered as a page, or inside the in-game pause menu when onClose is given
+export default function Settings({ onClose }) {
+  const [settings, updateSettings] = useSettings();
 
-export default function Settings() {
   return (
     <div className="bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-700 max-w-xl mx-auto w-full">
       <h2 className="text-3xl font-black text-white mb-6 border-b border-gray-700 pb-4">
@@ -14,10 +50,37 @@ export default function Settings() {
             <Volume2 className="text-blue-400" />
             <span className="font-semibold text-gray-200">Sound Effects</span>
           </div>
-          <label className="relative inline-flex items-center cursor-pointer">
-            <input type="checkbox" className="sr-only peer" defaultChecked />
-            <div className="w-11 h-6 bg-gray-700 peer-focus:outline-none rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-          </label>
+          <div className="flex items-center gap-4">
+            <Slider
+              label="Sound effects volume"
+              value={settings.soundVolume}
+              disabled={!settings.soundEnabled}
+              onChange={(soundVolume) => updateSettings({ soundVolume })}
+            />
+            <Toggle
+              label="Sound"
+              checked={settings.soundEnabled}
+              onChange={(soundEnabled) => updateSettings({ soundEnabled })}
+              color="peer-checked:bg-blue-600"
+            />
+          </div>
+        </div>
+
+        <div className="bg-gray-900 p-4 rounded-lg flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Music className="text-pink-400" />
+            <span className="font-semibold text-gray-200">Music</span>
+          </div>
+          <div className="flex items-center gap-4">
+            <Slider
+              label="Music volume"
+              value={settings.musicVolume}
+              disabled={!settings.soundEnabled}
+              onChange={(musicVolume) => updateSettings({ musicVolume })}
+            />
+            {/* Spacer so both sliders line up; the toggle above mutes everything */}
+            <div className="w-11" />
+          </div>
         </div>
 
         <div className="bg-gray-900 p-4 rounded-lg flex items-center justify-between">
@@ -25,18 +88,192 @@ export default function Settings() {
             <Monitor className="text-green-400" />
             <span className="font-semibold text-gray-200">Show FPS</span>
           </div>
-          <label className="relative inline-flex items-center cursor-pointer">
-            <input type="checkbox" className="sr-only peer" />
-            <div className="w-11 h-6 bg-gray-700 peer-focus:outline-none rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-green-600"></div>
-          </label>
+          <Toggle
+            label="Show FPS"
+            checked={settings.showFps}
+            onChange={(showFps) => updateSettings({ showFps })}
+            color="peer-checked:bg-green-600"
+          />
+        </div>
+
+        <div className="bg-gray-900 p-4 rounded-lg flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Gauge className="text-red-400" />
+            <div>
+              <span className="font-semibold text-gray-200">Difficulty</span>
+              <p className="text-xs text-gray-500">Applies from the next run</p>
+            </div>
+          </div>
+          <select
+            value={settings.difficulty}
+            onChange={(e) => updateSettings({ difficulty: e.target.value })}
+            aria-label="Difficulty"
+            className="bg-gray-800 border border-gray-600 rounded px-3 py-1 text-white capitalize focus:outline-none focus:border-red-500"
+          >
+            {DIFFICULTY_OPTIONS.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="bg-gray-900 p-4 rounded-lg flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Sparkles className="text-yellow-400" />
+            <span className="font-semibold text-gray-200">Particle Density</span>
+          </div>
+          <Slider
+            label="Particle density"
+            value={settings.particleDensity}
+            disabled={settings.reducedMotion}
+            onChange={(particleDensity) => updateSettings({ particleDensity })}
+          />
+        </div>
+
+        <div className="bg-gray-900 p-4 rounded-lg flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Vibrate className="text-purple-400" />
+            <span className="font-semibold text-gray-200">Screen Shake</span>
+          </div>
+          <Slider
+            label="Screen shake"
+            value={settings.screenShake}
+            disabled={settings.reducedMotion}
+            onChange={(screenShake) => updateSettings({ screenShake })}
+          />
         </div>
 
-        <p className="text-sm text-gray-500 italic mt-4">Note: Settings are saved locally in your browser.</p>
+        <div className="bg-gray-900 p-4 rounded-lg flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Palette className="text-orange-400" />
+            <span className="font-semibold text-gray-200">Theme</span>
+          </div>
+          <select
+            value={settings.theme}
+            onChange={(e) => updateSettings({ theme: e.target.value })}
+            aria-label="Theme"
+            className="bg-gray-800 border border-gray-600 rounded px-3 py-1 text-white focus:outline-none focus:border-red-500"
+          >
+            {Object.values(THEMES).map((theme) => (
+              <option key={theme.id} value={theme.id}>{theme.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <h3 className="flex items-center gap-2 text-xl font-bold text-white pt-2">
+          <Accessibility size={20} /> Accessibility
+        </h3>
+
+        <div className="bg-gray-900 p-4 rounded-lg flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Eye className="text-teal-400" />
+            <div>
+              <span className="font-semibold text-gray-200">Colour Palette</span>
+              <p className="text-xs text-gray-500">Keeps players, enemies and hazards apart</p>
+            </div>
+          </div>
+          <select
+            value={settings.palette}
+            onChange={(e) => updateSettings({ palette: e.target.value })}
+            aria-label="Colour palette"
+            className="bg-gray-800 border border-gray-600 rounded px-3 py-1 text-white focus:outline-none focus:border-red-500"
+          >
+            {Object.entries(PALETTES).map(([id, palette]) => (
+              <option key={id} value={id}>{palette.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="bg-gray-900 p-4 rounded-lg flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Snail className="text-lime-400" />
+            <div>
+              <span className="font-semibold text-gray-200">Reduced Motion</span>
+              <p className="text-xs text-gray-500">No particles, screen shake or flashing</p>
+            </div>
+          </div>
+          <Toggle
+            label="Reduced motion"
+            checked={settings.reducedMotion}
+            onChange={(reducedMotion) => updateSettings({ reducedMotion })}
+            color="peer-checked:bg-lime-600"
+          />
+        </div>
+
+        <div className="bg-gray-900 p-4 rounded-lg flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Contrast className="text-gray-200" />
+            <div>
+              <span className="font-semibold text-gray-200">High-Contrast Outlines</span>
+              <p className="text-xs text-gray-500">Rings players, enemies, bullets and spikes</p>
+            </div>
+          </div>
+          <Toggle
+            label="High-contrast outlines"
+            checked={settings.highContrast}
+            onChange={(highContrast) => updateSettings({ highContrast })}
+            color="peer-checked:bg-gray-500"
+          />
+        </div>
+
+        <div className="bg-gray-900 p-4 rounded-lg flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Turtle className="text-sky-400" />
+            <div>
+              <span className="font-semibold text-gray-200">Game Speed</span>
+              <p className="text-xs text-gray-500">Assist mode; not online</p>
+            </div>
+          </div>
+          <select
+            value={settings.gameSpeed}
+            onChange={(e) => updateSettings({ gameSpeed: Number(e.target.value) })}
+            aria-label="Game speed"
+            className="bg-gray-800 border border-gray-600 rounded px-3 py-1 text-white focus:outline-none focus:border-red-500"
+          >
+            {GAME_SPEED_OPTIONS.map((speed) => (
+              <option key={speed} value={speed}>{speed}%</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="bg-gray-900 p-4 rounded-lg flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Crosshair className="text-sky-400" />
+            <div>
+              <span className="font-semibold text-gray-200">Auto-Fire</span>
+              <p className="text-xs text-gray-500">Assist mode; shoots while enemies are about</p>
+            </div>
+          </div>
+          <Toggle
+            label="Auto-fire"
+            checked={settings.autoFire}
+            onChange={(autoFire) => updateSettings({ autoFire })}
+            color="peer-checked:bg-sky-600"
+          />
+        </div>
+        <p className="text-xs text-gray-500 -mt-3">Scores from runs with assist mode on are marked as assisted on the leaderboard.</p>
+
+        <ControlBindings
+          bindings={settings.bindings}
+          onChange={(bindings) => updateSettings({ bindings })}
+        />
+
+        <div className="flex items-center justify-between mt-4">
+          <p className="text-sm text-gray-500 italic">Note: Settings are saved locally in your browser.</p>
+          <button onClick={resetSettings} className="flex items-center gap-1 text-sm text-gray-400 hover:text-white">
+            <RotateCcw size={14} /> Reset to defaults
+          </button>
+        </div>
       </div>
 
-      <Link to="/" className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors">
-        <ArrowLeft size={18} /> Save & Return
-      </Link>
+      {onClose ? (
+        <button onClick={onClose} className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors">
+          <ArrowLeft size={18} /> Save & Return
+        </button>
+      ) : (
+        <Link to="/" className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors">
+          <ArrowLeft size={18} /> Save & Return
+        </Link>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
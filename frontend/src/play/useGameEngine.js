@@ -0,0 +1,60 @@
+import { useEffect, useRef } from 'react';
+import { GameEngine } from '../game/engine';
+import { audio } from '../audio/audioEngine';
+import { AchievementTracker } from '../achievements/achievementTracker';
+
+// Runs a GameEngine on the canvas, with its sound and music (and its
+// achievements, unless trackAchievements is false) wired up, and tears all of
+// it down when the run is replaced or the page goes. A new run starts whenever
+// something in deps changes, as with useEffect, and none runs while ready is
+// false. options are the engine's, as they stand when the run starts; onStart
+// gets the engine just before it starts. Settings changes are pushed to the
+// running engine instead of restarting the run. Returns a ref to the engine.
+export default function useGameEngine(canvasRef, {
+  settings,
+  options,
+  onGameOver,
+  onStatusChange,
+  onStart,
+  ready = true,
+  trackAchievements = true,
+  deps = []
+}) {
+  const engineRef = useRef(null);
+
+  useEffect(() => {
+    if (!ready) return undefined;
+    const engine = new GameEngine(canvasRef.current, onGameOver, {
+      settings,
+      ...options,
+      onStatusChange: (status) => {
+        if (status.isRunning && !status.isPaused) audio.startMusic();
+        else audio.stopMusic();
+        onStatusChange?.(status);
+      }
+    });
+    engineRef.current = engine;
+    const tracker = trackAchievements ? new AchievementTracker() : null;
+    const unsubscribeAchievements = tracker ? engine.subscribe(tracker.handleEvents) : () => {};
+    const unsubscribeAudio = engine.subscribe(audio.handleEvents);
+    audio.attachUnlock();
+    audio.unlock();
+    onStart?.(engine);
+    engine.start();
+
+    return () => {
+      unsubscribeAudio();
+      unsubscribeAchievements();
+      tracker?.finish();
+      engine.stop();
+      engineRef.current = null;
+    };
+  }, [ready, ...deps]);
+
+  useEffect(() => {
+    engineRef.current?.setSettings(settings);
+    audio.setSettings(settings);
+  }, [settings]);
+
+  return engineRef;
+}
@@ -0,0 +1,43 @@
+const STORAGE_KEY = 'killerBean.player';
+
+// The player this device is signed in as: { id, name, token }, or null.
+// The token is the only credential, so losing it means making a new player.
+const load = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && Number.isInteger(stored.id) && typeof stored.name === 'string' && typeof stored.token === 'string') {
+      return stored;
+    }
+  } catch {
+    // Fall through to signed out
+  }
+  return null;
+};
+
+let current;
+const listeners = new Set();
+
+export const getPlayer = () => {
+  if (current === undefined) current = load();
+  return current;
+};
+
+const set = (player) => {
+  current = player;
+  try {
+    if (player) localStorage.setItem(STORAGE_KEY, JSON.stringify(player));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('Failed to save player', error);
+  }
+  listeners.forEach(listener => listener(current));
+};
+
+export const signIn = ({ id, name, token }) => set({ id, name, token });
+
+export const signOut = () => set(null);
+
+export const subscribePlayer = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
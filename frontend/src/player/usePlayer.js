@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { getPlayer, subscribePlayer } from './playerStore';
+
+export default function usePlayer() {
+  return useSyncExternalStore(subscribePlayer, getPlayer);
+}
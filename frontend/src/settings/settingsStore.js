@@ -0,0 +1,138 @@
+import { DEFAULT_BINDINGS, normalizeBindings } from '../game/bindings.js';
+import { THEMES, DEFAULT_THEME } from '../game/assets/themes/index.js';
+import { COSMETICS, DEFAULT_COSMETICS } from '../game/cosmetics.js';
+import { PALETTES, DEFAULT_PALETTE } from '../game/palettes.js';
+
+const STORAGE_KEY = 'killerBean.settings';
+
+// Bump when the stored shape changes and add a migration from the previous version
+export const SETTINGS_VERSION = 6;
+
+export const DIFFICULTY_OPTIONS = ['easy', 'normal', 'hard'];
+
+// Assist mode's game speeds, in percent of normal
+export const GAME_SPEED_OPTIONS = [100, 75, 50];
+
+// Starts out following the system's reduced motion preference
+const prefersReducedMotion = () => (
+  typeof window !== 'undefined' && window.matchMedia?.('(prefers-reduced-motion: reduce)').matches === true
+);
+
+export const DEFAULT_SETTINGS = {
+  soundEnabled: true,
+  soundVolume: 80,
+  musicVolume: 60,
+  showFps: false,
+  difficulty: 'normal',
+  particleDensity: 100,
+  screenShake: 100,
+  theme: DEFAULT_THEME,
+  bindings: DEFAULT_BINDINGS,
+  // Player 1's look, from what achievements have unlocked
+  cosmetics: DEFAULT_COSMETICS,
+  palette: DEFAULT_PALETTE,
+  // No particles, shake, hit-stop or flashing
+  reducedMotion: prefersReducedMotion(),
+  highContrast: false,
+  // Assist mode; either one flags the run's score as assisted
+  gameSpeed: 100,
+  autoFire: false
+};
+
+// migrations[n] upgrades a version-n settings object to version n + 1
+const migrations = {
+  // v2 added remappable controls
+  1: (settings) => ({ ...settings, bindings: DEFAULT_BINDINGS }),
+  // v3 split music onto its own volume
+  2: (settings) => ({ ...settings, musicVolume: DEFAULT_SETTINGS.musicVolume }),
+  // v4 added theme packs
+  3: (settings) => ({ ...settings, theme: DEFAULT_SETTINGS.theme }),
+  // v5 added cosmetics
+  4: (settings) => ({ ...settings, cosmetics: DEFAULT_SETTINGS.cosmetics }),
+  // v6 added the accessibility options
+  5: (settings) => ({
+    ...settings,
+    palette: DEFAULT_SETTINGS.palette,
+    reducedMotion: DEFAULT_SETTINGS.reducedMotion,
+    highContrast: DEFAULT_SETTINGS.highContrast,
+    gameSpeed: DEFAULT_SETTINGS.gameSpeed,
+    autoFire: DEFAULT_SETTINGS.autoFire
+  })
+};
+
+const sanitizeCosmetics = (raw) => Object.fromEntries(Object.entries(DEFAULT_COSMETICS).map(([slot, fallback]) => (
+  [slot, COSMETICS[slot][raw?.[slot]] ? raw[slot] : fallback]
+)));
+
+const clampPercent = (value, fallback) => (
+  Number.isFinite(value) ? Math.min(100, Math.max(0, Math.round(value))) : fallback
+);
+
+// Drops unknown keys and replaces anything malformed with its default
+const sanitize = (raw) => ({
+  soundEnabled: typeof raw.soundEnabled === 'boolean' ? raw.soundEnabled : DEFAULT_SETTINGS.soundEnabled,
+  soundVolume: clampPercent(raw.soundVolume, DEFAULT_SETTINGS.soundVolume),
+  musicVolume: clampPercent(raw.musicVolume, DEFAULT_SETTINGS.musicVolume),
+  showFps: typeof raw.showFps === 'boolean' ? raw.showFps : DEFAULT_SETTINGS.showFps,
+  difficulty: DIFFICULTY_OPTIONS.includes(raw.difficulty) ? raw.difficulty : DEFAULT_SETTINGS.difficulty,
+  particleDensity: clampPercent(raw.particleDensity, DEFAULT_SETTINGS.particleDensity),
+  screenShake: clampPercent(raw.screenShake, DEFAULT_SETTINGS.screenShake),
+  theme: THEMES[raw.theme] ? raw.theme : DEFAULT_SETTINGS.theme,
+  bindings: normalizeBindings(raw.bindings),
+  cosmetics: sanitizeCosmetics(raw.cosmetics),
+  palette: PALETTES[raw.palette] ? raw.palette : DEFAULT_SETTINGS.palette,
+  reducedMotion: typeof raw.reducedMotion === 'boolean' ? raw.reducedMotion : DEFAULT_SETTINGS.reducedMotion,
+  highContrast: typeof raw.highContrast === 'boolean' ? raw.highContrast : DEFAULT_SETTINGS.highContrast,
+  gameSpeed: GAME_SPEED_OPTIONS.includes(raw.gameSpeed) ? raw.gameSpeed : DEFAULT_SETTINGS.gameSpeed,
+  autoFire: typeof raw.autoFire === 'boolean' ? raw.autoFire : DEFAULT_SETTINGS.autoFire
+});
+
+// Whether these settings make a run an assisted one
+export const isAssisted = (settings) => settings.gameSpeed < 100 || settings.autoFire;
+
+const load = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored || typeof stored.settings !== 'object') return { ...DEFAULT_SETTINGS };
+
+    let { version, settings } = stored;
+    // Settings from a newer build can't be trusted to mean the same thing
+    if (!Number.isInteger(version) || version > SETTINGS_VERSION) return { ...DEFAULT_SETTINGS };
+    while (version < SETTINGS_VERSION) {
+      settings = migrations[version] ? migrations[version](settings) : settings;
+      version++;
+    }
+    return sanitize({ ...DEFAULT_SETTINGS, ...settings });
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+const save = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, settings }));
+  } catch (error) {
+    console.error('Failed to save settings', error);
+  }
+};
+
+let current = null;
+const listeners = new Set();
+
+export const getSettings = () => {
+  if (!current) current = load();
+  return current;
+};
+
+export const updateSettings = (patch) => {
+  current = sanitize({ ...getSettings(), ...patch });
+  save(current);
+  listeners.forEach(listener => listener(current));
+};
+
+export const resetSettings = () => updateSettings(DEFAULT_SETTINGS);
+
+export const subscribeSettings = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { getSettings, subscribeSettings, updateSettings } from './settingsStore';
+
+export default function useSettings() {
+  const settings = useSyncExternalStore(subscribeSettings, getSettings);
+  return [settings, updateSettings];
+}
@@ -0,0 +1,28 @@
+import { createState, step, TICK_RATE } from '../src/game/simulation.js';
+import { InputRecorder } from '../src/game/replay.js';
+import { PLAYER_INPUT_BITS } from '../src/game/constants.js';
+import { MODES } from '../src/game/modes.js';
+import { createRng } from '../src/game/rng.js';
+
+// Long enough for any of these runs to end on its own
+export const MAX_TICKS = TICK_RATE * 60 * 10;
+
+// Plays a run on random inputs from the seed, holding each mask for a
+// random stretch, and returns the final state with the inputs it recorded
+export function fuzzRun({ seed, mode = 'solo', level, difficulty, modifiers }) {
+  const random = createRng(seed);
+  const bits = PLAYER_INPUT_BITS * MODES[mode].players;
+  const recorder = new InputRecorder();
+  let state = createState({ seed, mode, level, difficulty, modifiers });
+  let mask = 0;
+  let holdUntil = 0;
+  while (!state.isOver && state.tick < MAX_TICKS) {
+    if (state.tick >= holdUntil) {
+      mask = Math.floor(random() * (1 << bits));
+      holdUntil = state.tick + 1 + Math.floor(random() * 30);
+    }
+    recorder.record(state.tick, mask);
+    state = step(state, mask).state;
+  }
+  return { state, inputs: recorder.inputs };
+}
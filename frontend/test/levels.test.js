@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LEVELS, loadLevel } from '../src/game/levels/index.js';
+
+const WAVE = { enemies: { grunt: 3 }, sides: ['left', 'right'], spawnInterval: 60, speed: [1, 2] };
+
+const level = (waves) => ({
+  id: 'test',
+  tileSize: 32,
+  tiles: ['....', '....', '####'],
+  spawn: { x: 1, y: 1 },
+  waves
+});
+
+test('the built-in levels load', () => {
+  Object.values(LEVELS).forEach((data) => assert.equal(loadLevel(data).id, data.id));
+});
+
+test('a level with well-formed waves loads', () => {
+  assert.deepEqual(loadLevel(level([WAVE])).waves, [WAVE]);
+});
+
+const MALFORMED = {
+  'waves that are not a list': { enemies: {} },
+  'a wave that is not an object': [null],
+  'a wave with no enemies': [{ ...WAVE, enemies: {} }],
+  'an unknown enemy type': [{ ...WAVE, enemies: { dragon: 1 } }],
+  'a boss in a wave': [{ ...WAVE, enemies: { boss: 1 } }],
+  'a fractional enemy count': [{ ...WAVE, enemies: { grunt: 1.5 } }],
+  'a zero enemy count': [{ ...WAVE, enemies: { grunt: 0 } }],
+  'no sides': [{ ...WAVE, sides: [] }],
+  'an unknown side': [{ ...WAVE, sides: ['top'] }],
+  'a missing spawnInterval': [{ ...WAVE, spawnInterval: undefined }],
+  'a zero spawnInterval': [{ ...WAVE, spawnInterval: 0 }],
+  'a missing speed': [{ ...WAVE, speed: undefined }],
+  'a speed that is not a pair': [{ ...WAVE, speed: [1] }],
+  'a speed range the wrong way round': [{ ...WAVE, speed: [3, 1] }],
+  'a zero speed': [{ ...WAVE, speed: [0, 1] }],
+  'a speed that is not a number': [{ ...WAVE, speed: [1, 'fast'] }]
+};
+
+for (const [problem, waves] of Object.entries(MALFORMED)) {
+  test(`loadLevel rejects ${problem}`, () => {
+    assert.throws(() => loadLevel(level(waves)), /Level "test": wave/);
+  });
+}
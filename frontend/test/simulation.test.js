@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuzzRun, MAX_TICKS } from './fuzz.js';
+import { MODES } from '../src/game/modes.js';
+
+const SEEDS = [1, 42, 2024, 123456789];
+
+const assertSane = (state) => {
+  assert.ok(Number.isInteger(state.score) && state.score >= 0, `score ${state.score}`);
+  state.players.forEach((player) => {
+    assert.ok(Number.isFinite(player.x) && Number.isFinite(player.y), `player ${player.id} at ${player.x}, ${player.y}`);
+  });
+  state.enemies.forEach((enemy) => {
+    assert.ok(Number.isFinite(enemy.x) && Number.isFinite(enemy.y), `${enemy.type} at ${enemy.x}, ${enemy.y}`);
+  });
+};
+
+for (const mode of Object.keys(MODES)) {
+  test(`${mode} survives random inputs`, () => {
+    for (const seed of SEEDS) {
+      const { state } = fuzzRun({ seed, mode });
+      assert.ok(state.isOver, `seed ${seed} still going after ${MAX_TICKS} ticks`);
+      assertSane(state);
+      if (!MODES[mode].shared) {
+        // The winner's score, or the better one in a draw
+        const scores = state.players.map(p => p.score);
+        assert.equal(state.score, state.winner === null ? Math.max(...scores) : scores[state.winner]);
+      }
+    }
+  });
+
+  test(`${mode} plays out the same from the same seed and inputs`, () => {
+    const first = fuzzRun({ seed: 7, mode });
+    const second = fuzzRun({ seed: 7, mode });
+    assert.deepEqual(second.inputs, first.inputs);
+    assert.equal(JSON.stringify(second.state), JSON.stringify(first.state));
+  });
+}
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { fuzzRun } from './fuzz.js';
+import { ENGINE_VERSION } from '../src/game/simulation.js';
+import { runStats } from '../src/game/scoring.js';
+import { dailyChallenge } from '../src/game/daily.js';
+
+const VERIFIER = fileURLToPath(new URL('../scripts/verify-run.js', import.meta.url));
+
+const verify = (run) => JSON.parse(execFileSync(process.execPath, [VERIFIER], { input: JSON.stringify(run) }).toString());
+
+const payload = ({ seed, mode = 'solo', level = 'arena', difficulty = 'normal', daily = null }, { state, inputs }) => ({
+  seed,
+  difficulty,
+  level,
+  mode,
+  daily,
+  engine_version: ENGINE_VERSION,
+  ticks: state.tick,
+  inputs
+});
+
+for (const mode of ['solo', 'coop', 'versus']) {
+  test(`a recorded ${mode} run verifies to the same score and stats`, () => {
+    const run = { seed: 99, mode };
+    const played = fuzzRun(run);
+    const stats = runStats(played.state);
+    const result = verify(payload(run, played));
+    assert.equal(result.score, played.state.score);
+    assert.equal(result.ticks, played.state.tick);
+    assert.equal(result.finished, true);
+    assert.equal(result.winner, played.state.winner);
+    assert.deepEqual(result.stats, {
+      kills: stats.kills,
+      shots_fired: stats.shotsFired,
+      shots_hit: stats.shotsHit,
+      accuracy: stats.accuracy,
+      time_survived: stats.timeSurvived,
+      max_combo: stats.maxCombo,
+      airborne_kills: stats.airborneKills,
+      multi_kills: stats.multiKills,
+      wave: stats.wave
+    });
+  });
+}
+
+test('a daily run verifies with that day\'s modifiers on any seed', () => {
+  const challenge = dailyChallenge('2026-10-19');
+  const run = { ...challenge, seed: 12345, daily: challenge.date };
+  const played = fuzzRun(run);
+  assert.equal(verify(payload(run, played)).score, played.state.score);
+});
+
+test('a run off the daily challenge\'s stage is turned down', () => {
+  const challenge = dailyChallenge('2026-10-19');
+  const level = challenge.level === 'arena' ? 'rooftops' : 'arena';
+  const played = fuzzRun({ ...challenge, level });
+  assert.throws(() => execFileSync(process.execPath, [VERIFIER], {
+    input: JSON.stringify(payload({ ...challenge, level, daily: challenge.date }, played)),
+    stdio: 'pipe'
+  }));
+});
+
+test('padding a recording doesn\'t change the inputs the verifier reports', () => {
+  const run = { seed: 99 };
+  const played = fuzzRun(run);
+  const original = payload(run, played);
+  const { score, inputs } = verify(original);
+  const padded = [
+    { ...original, inputs: [...original.inputs, [original.ticks + 5, 0]] },
+    { ...original, inputs: original.inputs.map(([tick, mask]) => [tick, mask | 16]) },
+    { ...original, inputs: [[0, 0], ...original.inputs.flatMap(([tick, mask]) => [[tick, mask], [tick, mask]])] }
+  ];
+  padded.forEach((tampered) => {
+    const result = verify(tampered);
+    assert.equal(result.score, score);
+    assert.deepEqual(result.inputs, inputs);
+  });
+});
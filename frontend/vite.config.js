@@ -9,6 +9,8 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:8000',
         changeOrigin: true,
+        // Online rooms talk over WebSockets
+        ws: true,
         rewrite: (path) => path.replace(/^\/api/, '')
       }
     }